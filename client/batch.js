@@ -0,0 +1,104 @@
+import { encodeVector } from './vectors.js'
+
+// Builder for batched calls, created by `db.batch()`. Calls are recorded, not sent, until `run()`
+// sends them all in one `request-batch` message:
+//
+//   const results = await db.batch().add('a', 'alpha', {}).has('a').get('a').run()
+//
+// `run()` resolves with one `{ status, value | reason }` entry per call, in order. With
+// `{ atomic: true }` a failing call rolls back the batch's writes and `run()` rejects with its error.
+export default class Batch {
+  constructor(db, { atomic = false } = {}) {
+    this._db = db
+    this.atomic = !!atomic
+    this.ops = []
+  }
+
+  _push(method, params = []) {
+    this.ops.push({ method, params })
+    return this
+  }
+
+  add(id, text, metadata) {
+    if (typeof id !== 'string') throw new TypeError('id must be string')
+    if (typeof text !== 'string') throw new TypeError('text must be string')
+    if (!metadata || typeof metadata !== 'object') throw new TypeError('metadata must be an object')
+    return this._push('add', [id, text, metadata])
+  }
+
+  addMany(docs) {
+    if (!Array.isArray(docs)) throw new TypeError('docs must be an array')
+    return this._push('addMany', [docs])
+  }
+
+  addVector(id, vector, metadata = {}) {
+    if (typeof id !== 'string') throw new TypeError('id must be string')
+    if (!metadata || typeof metadata !== 'object') throw new TypeError('metadata must be an object')
+    return this._push('addVector', [id, encodeVector(vector), metadata])
+  }
+
+  addManyVectors(docs) {
+    return this._push('addManyVectors', [this._db.constructor._vectorDocs(docs)])
+  }
+
+  has(id) {
+    return this._push('has', [id])
+  }
+
+  get(id) {
+    return this._push('get', [id])
+  }
+
+  size() {
+    return this._push('size')
+  }
+
+  update(id, updates, opts = {}) {
+    return this._push('update', [id, updates, opts])
+  }
+
+  updateMetadata(id, metadata) {
+    return this._push('updateMetadata', [id, metadata])
+  }
+
+  updateMany(updates) {
+    return this._push('updateMany', [updates])
+  }
+
+  remove(id) {
+    return this._push('remove', [id])
+  }
+
+  removeMany(ids) {
+    return this._push('removeMany', [ids])
+  }
+
+  clear() {
+    return this._push('clear')
+  }
+
+  filter(fnOrSpec) {
+    const DB = this._db.constructor
+    if (typeof fnOrSpec !== 'function' && !DB._isFilterSpec(fnOrSpec)) {
+      throw new TypeError('filter requires a function or a filter spec object')
+    }
+    return this._push('filter', [DB._serializeFilter(fnOrSpec)])
+  }
+
+  search(queryOrVector, options = {}) {
+    const DB = this._db.constructor
+    return this._push('search', [DB._query(queryOrVector), DB._searchOptions(options)])
+  }
+
+  // send the recorded calls; `{ signal, timeout }` apply to the batch as a whole
+  async run({ signal, timeout } = {}) {
+    if (this.ops.length === 0) return []
+    return this._db._socket.sendBatch({
+      ops: this.ops,
+      atomic: this.atomic,
+      collection: this._db._collection || undefined,
+      signal,
+      timeout,
+    })
+  }
+}
@@ -0,0 +1,98 @@
+// Error classes thrown by the client SDK. Each carries the server's stable `code`, the request
+// `id` and `method`, the server-side `took` (ms, when the server answered) and any `details`.
+
+export class VectoriaError extends Error {
+  constructor(message, { code = 'ServerError', id = null, method = null, took = null, details = undefined } = {}) {
+    super(message)
+    this.name = 'VectoriaError'
+    this.code = code
+    this.id = id
+    this.method = method
+    this.took = took
+    this.details = details
+  }
+}
+
+// no response within the client's `requestTimeout`
+export class VectoriaTimeoutError extends VectoriaError {
+  constructor(message = 'RequestTimeout', info = {}) {
+    super(message, { code: 'RequestTimeout', ...info })
+    this.name = 'VectoriaTimeoutError'
+  }
+}
+
+export class UnauthorizedError extends VectoriaError {
+  constructor(message = 'Unauthorized', info = {}) {
+    super(message, { code: 'Unauthorized', ...info })
+    this.name = 'UnauthorizedError'
+  }
+}
+
+// authenticated, but the API key lacks a scope or collection
+export class ForbiddenError extends VectoriaError {
+  constructor(message = 'Forbidden', info = {}) {
+    super(message, { code: 'Forbidden', ...info })
+    this.name = 'ForbiddenError'
+  }
+}
+
+export class MethodNotFoundError extends VectoriaError {
+  constructor(message = 'MethodNotFound', info = {}) {
+    super(message, { code: 'MethodNotFound', ...info })
+    this.name = 'MethodNotFoundError'
+  }
+}
+
+// bad params, filter specs or request envelopes; `code` keeps the server's specific code
+export class ValidationError extends VectoriaError {
+  constructor(message = 'InvalidParams', info = {}) {
+    super(message, { code: 'InvalidParams', ...info })
+    this.name = 'ValidationError'
+  }
+}
+
+export class DocumentNotFoundError extends VectoriaError {
+  constructor(message = 'DocumentNotFound', info = {}) {
+    super(message, { code: 'DocumentNotFound', ...info })
+    this.name = 'DocumentNotFoundError'
+  }
+}
+
+// the server gave up on the call after its own execution deadline
+export class ServerTimeoutError extends VectoriaError {
+  constructor(message = 'ServerTimeout', info = {}) {
+    super(message, { code: 'ServerTimeout', ...info })
+    this.name = 'ServerTimeoutError'
+  }
+}
+
+export class RateLimitedError extends VectoriaError {
+  constructor(message = 'RateLimited', info = {}) {
+    super(message, { code: 'RateLimited', ...info })
+    this.name = 'RateLimitedError'
+    this.retryAfterMs = info.details?.retryAfterMs ?? null
+  }
+}
+
+const ERRORS_BY_CODE = {
+  Unauthorized: UnauthorizedError,
+  Forbidden: ForbiddenError,
+  FunctionFiltersDisabled: ForbiddenError,
+  MethodNotFound: MethodNotFoundError,
+  InvalidParams: ValidationError,
+  InvalidFilter: ValidationError,
+  DimensionMismatch: ValidationError,
+  InvalidRequest: ValidationError,
+  DocumentNotFound: DocumentNotFoundError,
+  ServerTimeout: ServerTimeoutError,
+  RateLimited: RateLimitedError,
+  RequestTimeout: VectoriaTimeoutError,
+}
+
+// build the matching error instance from a response envelope's `error` ({ message, code, details })
+export function errorFromResponse(error = {}, { id = null, method = null, took = null } = {}) {
+  const code = error.code || 'ServerError'
+  const ErrorClass = ERRORS_BY_CODE[code] || VectoriaError
+  // the specific server code (e.g. InvalidFilter) is kept even when a shared class is used
+  return new ErrorClass(error.message || code, { code, id, method, took, details: error.details })
+}
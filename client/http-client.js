@@ -0,0 +1,102 @@
+import { VectoriaError, VectoriaTimeoutError, errorFromResponse } from './errors.js'
+import Transport, { abortReason, makeId } from './transport.js'
+import { vectorReplacer } from './vectors.js'
+
+// `fetch`-based transport for the server's REST API (`new VectoriaDB({ transport: 'http' })`).
+// No persistent connection, so it works in edge runtimes, serverless handlers and short-lived scripts.
+//
+// Same semantics as the socket transport: per-call timeouts and AbortSignals (closing the HTTP request
+// cancels it on the server), typed errors from the server's error codes, and while the server can't be
+// reached, calls are retried until their timeout runs out, just as the socket transport queues them
+// until it reconnects. `status` follows the last attempt: 'connected' after any answer from the server,
+// 'disconnected' (then 'reconnecting' while retrying) when it couldn't be reached.
+
+// connection failures where the request never reached the server, so sending it again is safe
+const UNREACHABLE = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'])
+
+const _unreachable = err => UNREACHABLE.has(err?.cause?.code) || UNREACHABLE.has(err?.code)
+
+export default class HttpClient extends Transport {
+  constructor({ serverUrl, apiKey = null, requestTimeout = 30000, autoBatch = false, retry = false, retryDelayMs = 500, fetch: fetchImpl } = {}) {
+    if (!serverUrl) throw new Error('serverUrl is required')
+    super({ requestTimeout, autoBatch, retry })
+    this.serverUrl = serverUrl.replace(/\/$/, '')
+    this.apiKey = apiKey
+    this.retryDelayMs = retryDelayMs
+    this._fetch = fetchImpl || globalThis.fetch
+    if (typeof this._fetch !== 'function') throw new Error('fetch is not available; pass `fetch` to the HttpClient')
+  }
+
+  async _request(kind, body, { method, timeout = undefined, signal = undefined, idempotencyKey = undefined }) {
+    if (signal?.aborted) throw abortReason(signal)
+
+    const id = makeId()
+    const effectiveTimeout = typeof timeout === 'number' ? timeout : this.requestTimeout
+    const { collection, ...rest } = body
+    const route = kind === 'request-batch' ? 'batch' : 'rpc'
+    const prefix = collection ? `/v1/collections/${encodeURIComponent(collection)}` : '/v1'
+    // the server uses `timeout` as its execution deadline, as with the socket envelope
+    const url = `${this.serverUrl}${prefix}/${route}?timeout=${effectiveTimeout}`
+    const headers = { 'Content-Type': 'application/json', 'X-Request-Id': id }
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`
+    // every attempt at a mutation sends the same key, so the server applies it once
+    if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey
+
+    // one controller covers the caller's signal and our timeout; aborting it closes the request
+    const controller = new AbortController()
+    let timedOut = false
+    const timer = setTimeout(() => {
+      timedOut = true
+      controller.abort()
+    }, effectiveTimeout)
+    const onAbort = () => controller.abort()
+    signal?.addEventListener('abort', onAbort, { once: true })
+
+    const fail = () => {
+      if (timedOut) return new VectoriaTimeoutError('RequestTimeout', { id, method, details: { timeoutMs: effectiveTimeout } })
+      return abortReason(signal)
+    }
+
+    try {
+      let res
+      let attempt = 0
+      while (true) {
+        try {
+          res = await this._fetch(url, { method: 'POST', headers, body: JSON.stringify(rest, vectorReplacer), signal: controller.signal })
+          this._setStatus('connected')
+          break
+        } catch (err) {
+          if (controller.signal.aborted) throw fail()
+          if (!_unreachable(err)) {
+            this._emit('error', err)
+            throw new VectoriaError(err.message, { code: 'NetworkError', id, method })
+          }
+          if (this.status !== 'reconnecting') this._setStatus('disconnected', 'disconnected', { reason: err.cause?.code || err.code })
+          await new Promise(resolve => setTimeout(resolve, this.retryDelayMs))
+          this._setStatus('reconnecting', 'reconnecting', { attempt: ++attempt })
+          if (controller.signal.aborted) throw fail()
+        }
+      }
+
+      let payload
+      try {
+        payload = await res.json()
+      } catch (err) {
+        if (controller.signal.aborted) throw fail()
+        payload = null
+      }
+      if (payload?.error) throw errorFromResponse(payload.error, { id, method, took: payload.took })
+      if (!res.ok || !payload) throw errorFromResponse({ message: `HTTP ${res.status}` }, { id, method })
+      return payload.result
+    } finally {
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', onAbort)
+    }
+  }
+
+  // The REST API returns results whole, so a "stream" is one request whose items are yielded in turn.
+  async *sendStream({ method, params = [], collection = undefined, timeout = undefined, signal = undefined } = {}) {
+    const items = await this._send('request', { method, params, collection }, { method, timeout, signal })
+    yield* Array.isArray(items) ? items : []
+  }
+}
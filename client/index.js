@@ -1,4 +1,8 @@
 import SocketClient from './socket-client.js'
+import HttpClient from './http-client.js'
+import Batch from './batch.js'
+import { parseNdjson, toNdjsonLine } from './ndjson.js'
+import { encodeVector, isVectorLike } from './vectors.js'
 
 // Client SDK that mirrors VectoriaDB API surface (runtime validation + forwarding)
 export default class VectoriaDB {
@@ -7,7 +11,30 @@ export default class VectoriaDB {
     this.serverUrl = opts.serverUrl
     this.apiKey = opts.apiKey || null
     this.requestTimeout = opts.requestTimeout || 30000
-    this._socket = new SocketClient({ serverUrl: this.serverUrl, apiKey: this.apiKey, requestTimeout: this.requestTimeout })
+    // the transport (see transport.js): 'socket' (default), 'http', or an object implementing the interface
+    this._socket = VectoriaDB._createTransport(opts.transport || 'socket', {
+      serverUrl: this.serverUrl,
+      apiKey: this.apiKey,
+      requestTimeout: this.requestTimeout,
+      autoBatch: opts.autoBatch || false,
+      // retry policy for failed calls: `true` or { maxAttempts, baseDelayMs, maxDelayMs, jitter, retryOn, mutations }
+      retry: opts.retry || false,
+      // http transport only: a custom `fetch` implementation (defaults to the global one), and the pause
+      // between attempts while the server can't be reached
+      fetch: opts.fetch,
+      retryDelayMs: opts.retryDelayMs,
+      // socket transport only: keep unanswered mutations in durable storage (see queue-store.js)
+      durableQueue: opts.durableQueue || null,
+    })
+    // named server-side collection this instance talks to (null = default index), see `collection()`
+    this._collection = null
+  }
+
+  static _createTransport(transport, config) {
+    if (transport === 'socket') return new SocketClient(config)
+    if (transport === 'http') return new HttpClient(config)
+    if (transport && typeof transport === 'object' && typeof transport.sendRequest === 'function') return transport
+    throw new TypeError(`unknown transport: ${transport}`)
   }
 
   // --- helper to serialize function filters ---
@@ -18,156 +45,329 @@ export default class VectoriaDB {
     return null
   }
 
-  // low-level forwarder
-  async _forward(method, ...params) {
-    return this._socket.sendRequest({ method, params })
+  // declarative filter specs (plain objects, e.g. { category: 'tech', priority: { $gt: 5 } })
+  // are JSON data and are compiled by the server without evaluating any code
+  static _isFilterSpec(v) {
+    if (!v || typeof v !== 'object' || Array.isArray(v)) return false
+    const proto = Object.getPrototypeOf(v)
+    return (proto === Object.prototype || proto === null) && !v.__isFnString && !v.__isFilterSpec
+  }
+
+  static _serializeFilter(filter) {
+    if (typeof filter === 'function' || typeof filter === 'string') return VectoriaDB._serializeFunction(filter)
+    if (filter && (filter.__isFnString || filter.__isFilterSpec)) return filter
+    if (VectoriaDB._isFilterSpec(filter)) return { __isFilterSpec: true, spec: filter }
+    throw new TypeError('filter must be a function or a filter spec object')
+  }
+
+  // a search query: text as is, vectors encoded for the wire (see vectors.js)
+  static _query(queryOrVector) {
+    return typeof queryOrVector !== 'string' && isVectorLike(queryOrVector) ? encodeVector(queryOrVector, 'query') : queryOrVector
+  }
+
+  // documents for `addManyVectors`, each `{ id, vector, metadata?, text? }`
+  static _vectorDocs(docs) {
+    if (!Array.isArray(docs)) throw new TypeError('docs must be an array')
+    return docs.map((doc, i) => {
+      if (!doc || typeof doc.id !== 'string') throw new TypeError(`docs[${i}].id must be string`)
+      return { ...doc, vector: encodeVector(doc.vector, `docs[${i}].vector`) }
+    })
+  }
+
+  // low-level forwarder. `requestOpts`: { signal, timeout } — aborting `signal` rejects the call and
+  // tells the server to drop the request; `timeout` overrides the client's `requestTimeout`.
+  async _forward(method, params = [], requestOpts = {}) {
+    const { signal, timeout } = requestOpts || {}
+    return this._socket.sendRequest({ method, params, collection: this._collection || undefined, signal, timeout })
   }
 
   // --- VectoriaDB API methods (as in docs) ---
-  async initialize() {
-    return this._forward('initialize')
+  // every method takes an optional trailing `{ signal, timeout }` (for `search`/`update` inside their options)
+  async initialize(requestOpts) {
+    return this._forward('initialize', [], requestOpts)
   }
 
-  async add(id, text, metadata) {
+  async add(id, text, metadata, requestOpts) {
     if (typeof id !== 'string') throw new TypeError('id must be string')
     if (typeof text !== 'string') throw new TypeError('text must be string')
     if (!metadata || typeof metadata !== 'object') throw new TypeError('metadata must be an object')
-    return this._forward('add', id, text, metadata)
+    return this._forward('add', [id, text, metadata], requestOpts)
   }
 
-  async addMany(docs) {
+  async addMany(docs, requestOpts) {
     if (!Array.isArray(docs)) throw new TypeError('docs must be an array')
     if (docs.length === 0) return { added: 0 }
-    return this._forward('addMany', docs)
+    return this._forward('addMany', [docs], requestOpts)
+  }
+
+  // documents with precomputed vectors (a Float32Array or array of numbers); nothing is embedded on the server,
+  // and vectors must have the server's dimensions or the call fails with a `DimensionMismatch` ValidationError
+  async addVector(id, vector, metadata = {}, requestOpts) {
+    if (typeof id !== 'string') throw new TypeError('id must be string')
+    if (!metadata || typeof metadata !== 'object') throw new TypeError('metadata must be an object')
+    return this._forward('addVector', [id, encodeVector(vector), metadata], requestOpts)
   }
 
-  async has(id) {
-    return this._forward('has', id)
+  async addManyVectors(docs, requestOpts) {
+    const encoded = VectoriaDB._vectorDocs(docs)
+    if (encoded.length === 0) return { added: 0 }
+    return this._forward('addManyVectors', [encoded], requestOpts)
   }
 
-  async get(id) {
-    return this._forward('get', id)
+  async has(id, requestOpts) {
+    return this._forward('has', [id], requestOpts)
   }
 
-  async size() {
-    return this._forward('size')
+  async get(id, requestOpts) {
+    return this._forward('get', [id], requestOpts)
+  }
+
+  async size(requestOpts) {
+    return this._forward('size', [], requestOpts)
   }
 
   async update(id, updates, opts = {}) {
-    return this._forward('update', id, updates, opts)
+    const { signal, timeout, ...updateOpts } = opts
+    return this._forward('update', [id, updates, updateOpts], { signal, timeout })
   }
 
-  async updateMetadata(id, metadata) {
-    return this._forward('updateMetadata', id, metadata)
+  async updateMetadata(id, metadata, requestOpts) {
+    return this._forward('updateMetadata', [id, metadata], requestOpts)
   }
 
-  async updateMany(updates) {
-    return this._forward('updateMany', updates)
+  async updateMany(updates, requestOpts) {
+    return this._forward('updateMany', [updates], requestOpts)
   }
 
-  async remove(id) {
-    return this._forward('remove', id)
+  async remove(id, requestOpts) {
+    return this._forward('remove', [id], requestOpts)
   }
 
-  async removeMany(ids) {
-    return this._forward('removeMany', ids)
+  async removeMany(ids, requestOpts) {
+    return this._forward('removeMany', [ids], requestOpts)
   }
 
-  async clear() {
-    return this._forward('clear')
+  async clear(requestOpts) {
+    return this._forward('clear', [], requestOpts)
   }
 
-  async saveToStorage() {
-    return this._forward('saveToStorage')
+  // Split a long text into chunks on the server, stored as `${id}#${n}` with `parentId` / `chunkIndex` metadata.
+  // `options`: { chunkSize, overlap, splitter: 'sentence' | 'paragraph' | 'markdown', signal, timeout }.
+  // Ingesting the same id again replaces all of its chunks.
+  async ingestDocument(id, text, metadata = {}, options = {}) {
+    if (typeof id !== 'string') throw new TypeError('id must be string')
+    if (typeof text !== 'string') throw new TypeError('text must be string')
+    if (!metadata || typeof metadata !== 'object') throw new TypeError('metadata must be an object')
+    const { signal, timeout, ...chunkOpts } = options
+    return this._forward('ingestDocument', [id, text, metadata, chunkOpts], { signal, timeout })
   }
 
-  async loadFromStorage() {
-    return this._forward('loadFromStorage')
+  // remove every chunk of a document added with `ingestDocument`
+  async removeDocument(id, requestOpts) {
+    if (typeof id !== 'string') throw new TypeError('id must be string')
+    return this._forward('removeDocument', [id], requestOpts)
+  }
+
+  async saveToStorage(requestOpts) {
+    return this._forward('saveToStorage', [], requestOpts)
   }
 
-  async clearStorage() {
-    return this._forward('clearStorage')
+  async loadFromStorage(requestOpts) {
+    return this._forward('loadFromStorage', [], requestOpts)
   }
 
-  async filter(fn) {
-    // filter is executed server-side — serialize function
-    if (typeof fn !== 'function') throw new TypeError('filter requires a function')
-    const serialized = VectoriaDB._serializeFunction(fn)
-    return this._forward('filter', serialized)
+  async clearStorage(requestOpts) {
+    return this._forward('clearStorage', [], requestOpts)
+  }
+
+  // `options`: { offset, limit, cursor, sort, fields, includeVector } as for `search`, plus { signal, timeout }
+  async filter(fnOrSpec, options = {}) {
+    // filter is executed server-side — serialize the function or filter spec
+    if (typeof fnOrSpec !== 'function' && !VectoriaDB._isFilterSpec(fnOrSpec)) {
+      throw new TypeError('filter requires a function or a filter spec object')
+    }
+    const { signal, timeout, ...viewOpts } = options || {}
+    const params = [VectoriaDB._serializeFilter(fnOrSpec)]
+    if (Object.keys(viewOpts).length) params.push(viewOpts)
+    return this._forward('filter', params, { signal, timeout })
   }
 
   async search(queryOrVector, options = {}) {
+    const { signal, timeout, ...searchOpts } = options
+    return this._forward('search', [VectoriaDB._query(queryOrVector), VectoriaDB._searchOptions(searchOpts)], { signal, timeout })
+  }
+
+  static _searchOptions(options) {
     const opts = { ...options }
-    if (opts.filter && typeof opts.filter === 'function') {
-      opts.filter = VectoriaDB._serializeFunction(opts.filter)
+    if (opts.filter && (typeof opts.filter === 'function' || VectoriaDB._isFilterSpec(opts.filter))) {
+      opts.filter = VectoriaDB._serializeFilter(opts.filter)
     }
 
     // forward optional `filterContext` (must be JSON-serializable)
     if (opts.filterContext !== undefined && typeof opts.filterContext === 'function') {
       throw new TypeError('filterContext must be serializable (not a function)')
     }
+    return opts
+  }
+
+  // --- batches: many calls in one message, see batch.js ---
+  // `db.batch().add(...).get(...).run()`; `db.batch({ atomic: true })` rolls back on the first failure
+  batch(opts = {}) {
+    return new Batch(this, opts)
+  }
 
-    return this._forward('search', queryOrVector, opts)
+  // --- streamed results: async iterables yielding items as chunks arrive from the server ---
+  // `for await (const hit of db.searchStream(q, { topK: 10000, chunkSize: 200, signal }))`; leaving the loop
+  // early or aborting `signal` cancels the stream on the server.
+  searchStream(queryOrVector, options = {}) {
+    const { signal, chunkSize, ...rest } = options
+    return this._socket.sendStream({
+      method: 'search',
+      params: [VectoriaDB._query(queryOrVector), VectoriaDB._searchOptions(rest)],
+      collection: this._collection || undefined,
+      chunkSize,
+      signal,
+    })
   }
 
-  // --- convenience collection-style API (maps to VectoriaDB primitives) ---
-  async createCollection(name) {
+  filterStream(fnOrSpec, { signal, chunkSize } = {}) {
+    if (typeof fnOrSpec !== 'function' && !VectoriaDB._isFilterSpec(fnOrSpec)) {
+      throw new TypeError('filter requires a function or a filter spec object')
+    }
+    return this._socket.sendStream({
+      method: 'filter',
+      params: [VectoriaDB._serializeFilter(fnOrSpec)],
+      collection: this._collection || undefined,
+      chunkSize,
+      signal,
+    })
+  }
+
+  // --- snapshots: every document as one NDJSON line `{ id, text, metadata, vector }` ---
+  // `Readable.from(db.exportSnapshot()).pipe(fs.createWriteStream('backup.ndjson'))`; streamed in chunks
+  // like `filterStream`, and aborting `signal` stops the export.
+  async *exportSnapshot({ signal, chunkSize } = {}) {
+    const docs = this._socket.sendStream({
+      method: 'exportSnapshot',
+      params: [],
+      collection: this._collection || undefined,
+      chunkSize,
+      signal,
+    })
+    for await (const doc of docs) yield toNdjsonLine(doc)
+  }
+
+  // Load a snapshot: `exportSnapshot()` output, a file or web stream, or a string. With `mode: 'merge'`
+  // documents replace those with the same id; `'replace'` empties the index first. Documents are sent
+  // `chunkSize` at a time, so a failure part way leaves the chunks before it imported.
+  async importSnapshot(source, { mode = 'merge', chunkSize = 500, signal, timeout } = {}) {
+    if (mode !== 'merge' && mode !== 'replace') throw new TypeError("mode must be 'merge' or 'replace'")
+    let imported = 0
+    let chunk = []
+    let first = true
+    const send = async () => {
+      // only the first chunk replaces the index; the rest add to it
+      await this._forward('importSnapshot', [chunk, { mode: first ? mode : 'merge' }], { signal, timeout })
+      imported += chunk.length
+      chunk = []
+      first = false
+    }
+    for await (const doc of parseNdjson(source)) {
+      chunk.push(doc)
+      if (chunk.length >= chunkSize) await send()
+    }
+    // an empty snapshot still empties the index in 'replace' mode
+    if (chunk.length || (first && mode === 'replace')) await send()
+    return { imported, mode }
+  }
+
+  // --- change feed: pushed events for every add / update / remove on the server ---
+  // `const sub = await db.subscribe({ filter: { tag: 'x' }, events: ['add'] }, event => ...)`; `sub.unsubscribe()`
+  // stops it. Views from `collection(name)` subscribe to that collection.
+  async subscribe(options = {}, handler) {
+    if (typeof options === 'function') [options, handler] = [{}, options]
+    if (typeof handler !== 'function') throw new TypeError('handler must be a function')
+    const { collection = this._collection || undefined, filter, events, timeout, onError } = options
+    if (filter !== undefined && typeof filter !== 'function' && !VectoriaDB._isFilterSpec(filter)) {
+      throw new TypeError('filter requires a function or a filter spec object')
+    }
+    const serialized = filter === undefined ? undefined : VectoriaDB._serializeFilter(filter)
+    return this._socket.subscribe({ collection, filter: serialized, events, timeout, onError }, handler)
+  }
+
+  // --- server-side collections (each one is an isolated index on the server) ---
+
+  // a view of this client whose calls all target collection `name`; shares the same connection
+  collection(name) {
     if (!name || typeof name !== 'string') throw new TypeError('collection name required')
-    // no-op on server side; client manages "collection" via metadata.owner
-    return { ok: true, collection: name }
+    const view = Object.create(this)
+    view._collection = name
+    return view
   }
 
-  async insert(collection, docs) {
+  async createCollection(name, { signal, timeout } = {}) {
+    if (!name || typeof name !== 'string') throw new TypeError('collection name required')
+    return this._socket.sendRequest({ method: 'createCollection', params: [name], signal, timeout })
+  }
+
+  async listCollections({ signal, timeout } = {}) {
+    return this._socket.sendRequest({ method: 'listCollections', params: [], signal, timeout })
+  }
+
+  async dropCollection(name, { signal, timeout } = {}) {
+    if (!name || typeof name !== 'string') throw new TypeError('collection name required')
+    return this._socket.sendRequest({ method: 'dropCollection', params: [name], signal, timeout })
+  }
+
+  // server-wide request, latency, save and streaming stats (needs an `admin` key when keys are enabled)
+  async getStats({ signal, timeout } = {}) {
+    return this._socket.sendRequest({ method: 'getStats', params: [], signal, timeout })
+  }
+
+  async insert(collection, docs, requestOpts) {
     if (!collection || typeof collection !== 'string') throw new TypeError('collection required')
     if (!Array.isArray(docs)) throw new TypeError('docs must be an array')
 
     const transformed = docs.map(d => {
       const id = d.id || d.metadata?.id || `${collection}:${Math.random().toString(36).slice(2, 9)}`
-      const metadata = Object.assign({}, d.metadata || {}, { id, owner: collection })
-      return { id, text: d.text || d.vector?.toString() || (d.text ?? ''), metadata, vector: d.vector }
+      const metadata = Object.assign({}, d.metadata || {})
+      return d.vector ? { id, text: d.text, metadata, vector: d.vector } : { id, text: d.text ?? '', metadata }
     })
 
-    // Use addMany for textual documents; for vector-only docs we forward to addMany as well
-    return this.addMany(transformed)
+    // documents bring their own vectors or are all embedded by the server: one call can't do both
+    const withVectors = transformed.filter(d => d.vector).length
+    if (withVectors && withVectors < transformed.length) throw new TypeError('docs must all have a vector or none may')
+    // the server only routes to existing collections; creating one that exists is a no-op
+    await this.createCollection(collection, requestOpts)
+    const target = this.collection(collection)
+    return withVectors ? target.addManyVectors(transformed, requestOpts) : target.addMany(transformed, requestOpts)
   }
 
   async query(collection, queryVectorOrText, opts = {}) {
     if (!collection || typeof collection !== 'string') throw new TypeError('collection required')
-    const options = { ...opts }
-    const originalFilter = options.filter
-
-    // Build a self-contained, serializable filter that enforces owner === collection
-    // and (optionally) runs the user's filter. We inline the user's filter source
-    // so the resulting function does not rely on outer closures when evaluated
-    // on the server process.
-    const ownerLiteral = JSON.stringify(collection)
-
-    if (originalFilter) {
-      // normalize original filter to a source string
-      let origFnStr
-      if (typeof originalFilter === 'function') {
-        origFnStr = originalFilter.toString()
-      } else if (typeof originalFilter === 'string') {
-        origFnStr = originalFilter
-      } else if (originalFilter && originalFilter.__isFnString && typeof originalFilter.fn === 'string') {
-        origFnStr = originalFilter.fn
-      } else {
-        throw new TypeError('filter must be a function or serialized function')
-      }
-
-      // inline user's filter so the combined function is self-contained server-side
-      // the combined function accepts a second `__ctx` arg — pass `filterContext` from the client
-      const combinedFnStr = `(function(m,__ctx){ try { const __orig = ${origFnStr}; return !!(__orig(m,__ctx) && m && m.owner === ${ownerLiteral}); } catch(e) { return false } })`
-      options.filter = VectoriaDB._serializeFunction(combinedFnStr)
-      // forward any provided filterContext to the server so the inlined function can use it
-      if (opts.filterContext !== undefined) options.filterContext = opts.filterContext
-    } else {
-      const ownerFnStr = `(function(m,__ctx){ return m && m.owner === ${ownerLiteral}; })`
-      options.filter = VectoriaDB._serializeFunction(ownerFnStr)
-      if (opts.filterContext !== undefined) options.filterContext = opts.filterContext
-    }
+    return this.collection(collection).search(queryVectorOrText, opts)
+  }
+
+  // --- connection state ---
+  // 'connecting' | 'connected' | 'reconnecting' | 'disconnected' | 'closed'
+  get status() {
+    return this._socket.status
+  }
+
+  // `db.on('connected' | 'disconnected' | 'reconnecting' | 'error' | 'server-shutting-down', listener)`
+  on(event, listener) {
+    this._socket.on?.(event, listener)
+    return this
+  }
+
+  off(event, listener) {
+    this._socket.off?.(event, listener)
+    return this
+  }
 
-    return this.search(queryVectorOrText, options)
+  // mutations kept by `durableQueue` that the server hasn't answered yet (0 without one)
+  get queuedMutations() {
+    return this._socket.queuedMutations ?? 0
   }
 
   // close socket
@@ -179,4 +379,17 @@ export default class VectoriaDB {
 }
 
 // CommonJS fallback (so `require('./client')` still works in many setups)
-export { VectoriaDB }
+export { VectoriaDB, Batch, SocketClient, HttpClient }
+export { default as Transport } from './transport.js'
+export { FileQueueStore, IndexedDBQueueStore } from './queue-store.js'
+export {
+  VectoriaError,
+  VectoriaTimeoutError,
+  UnauthorizedError,
+  ForbiddenError,
+  MethodNotFoundError,
+  ValidationError,
+  DocumentNotFoundError,
+  ServerTimeoutError,
+  RateLimitedError,
+} from './errors.js'
@@ -0,0 +1,39 @@
+// NDJSON (one JSON value per line) helpers for `exportSnapshot` / `importSnapshot`.
+
+// `source`: a string, or an (async) iterable of string / Uint8Array chunks — a Node stream, a web
+// ReadableStream, or `db.exportSnapshot()` itself. Lines may be split across chunks.
+export async function* parseNdjson(source) {
+  const decoder = new TextDecoder()
+  let buffered = ''
+  const chunks = typeof source === 'string' ? [source] : source
+  if (!chunks || (typeof chunks[Symbol.asyncIterator] !== 'function' && typeof chunks[Symbol.iterator] !== 'function')) {
+    throw new TypeError('snapshot must be a string or an iterable of chunks')
+  }
+  let lineNo = 0
+  const parse = line => {
+    lineNo++
+    if (!line.trim()) return undefined
+    try {
+      return JSON.parse(line)
+    } catch (e) {
+      throw new SyntaxError(`invalid NDJSON on line ${lineNo}: ${e.message}`)
+    }
+  }
+
+  for await (const chunk of chunks) {
+    buffered += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true })
+    const lines = buffered.split('\n')
+    buffered = lines.pop()
+    for (const line of lines) {
+      const value = parse(line)
+      if (value !== undefined) yield value
+    }
+  }
+  buffered += decoder.decode()
+  const last = parse(buffered)
+  if (last !== undefined) yield last
+}
+
+export function toNdjsonLine(value) {
+  return JSON.stringify(value) + '\n'
+}
@@ -0,0 +1,115 @@
+import { vectorReplacer } from './vectors.js'
+
+// Durable storage for the socket transport's queue of unacknowledged mutations (`durableQueue` option).
+//
+// A store keeps entries `{ key, seq, event, body }` (`key` is the call's idempotency key, `seq` orders
+// entries across restarts) and implements:
+//
+//   load() -> Promise<entry[]>   put(entry) -> Promise   delete(key) -> Promise
+//
+// FileQueueStore is for Node, IndexedDBQueueStore for browsers; any object with those methods works too.
+
+// Node: the whole queue as one JSON file, rewritten (via a temporary file and rename) on every change
+export class FileQueueStore {
+  constructor({ path = './.cache/vectoriadb-queue.json' } = {}) {
+    this.path = path
+    this._entries = null // key -> entry, once loaded
+    this._queue = Promise.resolve() // writes run one at a time
+  }
+
+  async load() {
+    const fs = await import('fs/promises')
+    let entries = []
+    try {
+      entries = JSON.parse(await fs.readFile(this.path, 'utf8'))
+    } catch (e) {
+      // a missing file is an empty queue; an unreadable one is a bug worth surfacing
+      if (e.code !== 'ENOENT') throw e
+    }
+    this._entries = new Map(entries.map(e => [e.key, e]))
+    return entries
+  }
+
+  put(entry) {
+    return this._write(entries => entries.set(entry.key, entry))
+  }
+
+  delete(key) {
+    return this._write(entries => entries.delete(key))
+  }
+
+  _write(change) {
+    const run = async () => {
+      if (!this._entries) await this.load()
+      change(this._entries)
+      const fs = await import('fs/promises')
+      const { dirname } = await import('path')
+      await fs.mkdir(dirname(this.path), { recursive: true })
+      const tmp = `${this.path}.tmp`
+      // encoded vectors are kept as base64 (see vectors.js)
+      await fs.writeFile(tmp, JSON.stringify([...this._entries.values()], vectorReplacer))
+      await fs.rename(tmp, this.path)
+    }
+    const result = this._queue.then(run)
+    this._queue = result.catch(() => {})
+    return result
+  }
+}
+
+// Browsers: one IndexedDB object store keyed by idempotency key
+export class IndexedDBQueueStore {
+  constructor({ dbName = 'vectoriadb', storeName = 'offline-queue', indexedDB = globalThis.indexedDB } = {}) {
+    if (!indexedDB) throw new Error('IndexedDB is not available')
+    this.dbName = dbName
+    this.storeName = storeName
+    this._indexedDB = indexedDB
+    this._db = null
+  }
+
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const req = this._indexedDB.open(this.dbName, 1)
+        req.onupgradeneeded = () => req.result.createObjectStore(this.storeName, { keyPath: 'key' })
+        req.onsuccess = () => resolve(req.result)
+        req.onerror = () => reject(req.error)
+      })
+    }
+    return this._db
+  }
+
+  async _tx(mode, fn) {
+    const db = await this._open()
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode)
+      const req = fn(tx.objectStore(this.storeName))
+      tx.oncomplete = () => resolve(req.result)
+      tx.onerror = () => reject(tx.error)
+      tx.onabort = () => reject(tx.error)
+    })
+  }
+
+  load() {
+    return this._tx('readonly', store => store.getAll())
+  }
+
+  put(entry) {
+    return this._tx('readwrite', store => store.put(entry))
+  }
+
+  delete(key) {
+    return this._tx('readwrite', store => store.delete(key))
+  }
+}
+
+// `durableQueue` option: a store, `true` (a file in Node, IndexedDB in browsers),
+// `{ path }` for a file, or `{ dbName, storeName }` for IndexedDB
+export function createQueueStore(option) {
+  if (!option) return null
+  if (typeof option.load === 'function') return option
+  const opts = option === true ? {} : option
+  if (opts.path) return new FileQueueStore(opts)
+  if (opts.dbName || opts.storeName || globalThis.indexedDB) return new IndexedDBQueueStore(opts)
+  if (typeof process !== 'undefined' && process.versions?.node) return new FileQueueStore(opts)
+  throw new Error('durableQueue: no storage available here; pass a store')
+}
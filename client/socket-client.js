@@ -1,17 +1,36 @@
 import { io } from 'socket.io-client'
+import { UnauthorizedError, VectoriaTimeoutError, errorFromResponse } from './errors.js'
+import { createQueueStore } from './queue-store.js'
+import Transport, { abortReason as _abortReason, makeId as _makeId } from './transport.js'
 
-function _makeId() {
-  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 9)}`
-}
+// a replay answered with one of these is tried again on the next connect instead of being dropped
+const RETRY_REPLAY = new Set(['ServerTimeout', 'Cancelled', 'Unauthorized', 'ServerShuttingDown'])
+
+// wait before connecting again after a shutting-down server refused the connection
+const SHUTDOWN_RECONNECT_MS = 1000
 
-export default class SocketClient {
-  constructor({ serverUrl, namespace = '/vectoriadb', apiKey = null, requestTimeout = 30000 } = {}) {
+// Default transport: one persistent Socket.IO connection, with offline queueing, chunked and
+// flow-controlled streaming, and server-side cancellation of abandoned requests.
+//
+// Mutations carry an idempotency key. With `durableQueue` (see queue-store.js) every mutation is also
+// stored until the server answers it: one that times out, or was still unanswered when the process
+// exited, is resent with the same key on the next connect, and the server applies each key only once.
+export default class SocketClient extends Transport {
+  constructor({
+    serverUrl,
+    namespace = '/vectoriadb',
+    apiKey = null,
+    requestTimeout = 30000,
+    autoBatch = false,
+    retry = false,
+    durableQueue = null,
+  } = {}) {
     if (!serverUrl) throw new Error('serverUrl is required')
+    super({ requestTimeout, autoBatch, retry })
     this.serverUrl = serverUrl.replace(/\/$/, '')
     this.namespace = namespace.startsWith('/') ? namespace : `/${namespace}`
     this.url = `${this.serverUrl}${this.namespace}`
     this.apiKey = apiKey
-    this.requestTimeout = requestTimeout || 30000
 
     this.socket = io(this.url, {
       auth: { apiKey },
@@ -22,29 +41,86 @@ export default class SocketClient {
     })
 
     this._pending = new Map() // id -> { resolve, reject, timer, chunks }
-    this._offlineQueue = []
+    this._offlineQueue = [] // { event, payload }
+    // set by the server's `server-shutting-down`: hold new requests until the next connect
+    this._serverDraining = false
+    this._subscriptions = new Map() // subId -> { subId, options, handler, onError, seq, epoch }
+
+    // unanswered mutations, mirrored to the durable store: idempotency key -> { key, seq, event, body }
+    this._store = createQueueStore(durableQueue)
+    this._outbox = new Map()
+    this._liveKeys = new Set() // outbox keys whose original call is still waiting for its answer
+    this._replaying = new Set() // outbox keys resent by `_replayOutbox` and not answered yet
+    this._lastSeq = 0
+    this._outboxReady = this._store
+      ? this._store.load().then(entries => {
+          for (const entry of [...entries].sort((a, b) => (a.seq || 0) - (b.seq || 0))) {
+            this._outbox.set(entry.key, entry)
+            this._lastSeq = Math.max(this._lastSeq, entry.seq || 0)
+          }
+        })
+      : Promise.resolve()
+
+    // connection state for `status` and the 'connected' / 'disconnected' / 'reconnecting' / 'error' events
+    this.socket.io.on('reconnect_attempt', attempt => this._setStatus('reconnecting', 'reconnecting', { attempt }))
+    this.socket.io.on('reconnect_failed', () => this._setStatus('disconnected', 'disconnected', { reason: 'reconnect failed' }))
 
     this.socket.on('connect', () => {
+      this._serverDraining = false
+      this._setStatus('connected')
       // flush queue
       while (this._offlineQueue.length) {
-        const payload = this._offlineQueue.shift()
-        this.socket.emit('request', payload)
+        const { event, payload } = this._offlineQueue.shift()
+        this.socket.emit(event, payload)
+      }
+      if (this._store) this._replayOutbox().catch(() => {})
+      // renew change feed subscriptions from the last event they saw (new ones subscribe themselves)
+      for (const sub of this._subscriptions.values()) {
+        if (sub.seq !== undefined) this._renewSubscription(sub).catch(err => sub.onError?.(err))
       }
     })
 
     this.socket.on('connect_error', err => {
-      // reject nothing here; pending requests will timeout or be retried
-      // console.warn('connect_error', err.message)
+      this._emit('error', err)
+      // an auth rejection from the server middleware won't be retried by socket.io:
+      // fail everything that's waiting instead of letting it run into RequestTimeout
+      if (err?.data?.code === 'Unauthorized') {
+        this._setStatus('disconnected', 'disconnected', { reason: 'unauthorized' })
+        this._rejectAll(info => new UnauthorizedError(err.message, { ...info, details: err.data.details }))
+        return
+      }
+      // socket.io doesn't retry a connection a draining server refused; try again once it (or its replacement) may be up
+      if (err?.data?.code === 'ServerShuttingDown') {
+        setTimeout(() => this.status !== 'closed' && this.socket.connect(), SHUTDOWN_RECONNECT_MS)
+        return
+      }
+      // otherwise reject nothing here; pending requests will timeout or be retried
     })
 
     this.socket.on('disconnect', reason => {
       // keep pending promises alive; they will timeout based on requestTimeout
+      if (this.status !== 'closed') this._setStatus('disconnected', 'disconnected', { reason })
+    })
+
+    // the server is draining before it stops: requests from now on wait for a reconnect (to it or to
+    // its replacement) instead of failing
+    this.socket.on('server-shutting-down', info => {
+      this._serverDraining = true
+      this._emit('server-shutting-down', info)
     })
 
     this.socket.on('response', msg => {
-      const { id, result, error } = msg || {}
+      const { id, result, error, took } = msg || {}
       const pending = this._pending.get(id)
       if (!pending) return
+      if (pending.stream) return pending.onResponse(msg)
+
+      // turned away before it started because the server is shutting down: send it again after reconnecting
+      if (error?.code === 'ServerShuttingDown' && pending.payload) {
+        this._serverDraining = true
+        this._offlineQueue.push({ event: pending.event, payload: pending.payload })
+        return
+      }
 
       // If streamed chunks were received, assemble them in index order.
       if (pending.chunksMap) {
@@ -60,15 +136,29 @@ export default class SocketClient {
       }
 
       clearTimeout(pending.timer)
-      if (error) pending.reject(new Error(error.message || 'ServerError'))
+      // answered, so no longer worth resending
+      if (pending.durable) this._forget(pending.idempotencyKey)
+      if (error) pending.reject(errorFromResponse(error, { id, method: pending.method, took }))
       else pending.resolve(result)
       this._pending.delete(id)
     })
 
+    this.socket.on('change', msg => {
+      const { subId, ...event } = msg || {}
+      const sub = this._subscriptions.get(subId)
+      if (!sub) return
+      // replays after a reconnect can overlap with what was already delivered
+      if (event.type !== 'reset' && event.epoch === sub.epoch && event.seq <= sub.seq) return
+      sub.seq = event.seq
+      sub.epoch = event.epoch
+      sub.handler(event)
+    })
+
     this.socket.on('response-chunk', msg => {
       const { id, chunk, index, totalChunks } = msg || {}
       const pending = this._pending.get(id)
       if (!pending) return
+      if (pending.stream) return pending.onChunk(msg)
 
       if (!pending.chunksMap) pending.chunksMap = {}
       pending.chunksMap[index] = chunk
@@ -79,40 +169,286 @@ export default class SocketClient {
       if (pending.timer) {
         clearTimeout(pending.timer)
         pending.timer = setTimeout(() => {
-          this._pending.delete(id)
-          pending.reject(new Error('RequestTimeout'))
+          this._cancel(id)
+          pending.reject(new VectoriaTimeoutError('RequestTimeout', { id, method: pending.method, details: { timeoutMs: pending.timeoutMs } }))
         }, pending.timeoutMs || this.requestTimeout)
       }
     })
   }
 
-  sendRequest({ method, params = [], collection = undefined, timeout = undefined } = {}) {
+  _request(event, body, { method, timeout = undefined, signal = undefined, idempotencyKey = undefined }) {
+    if (signal?.aborted) return Promise.reject(_abortReason(signal))
+
     const id = _makeId()
-    const payload = { id, method, params, collection, timestamp: Date.now() }
     const effectiveTimeout = typeof timeout === 'number' ? timeout : this.requestTimeout
+    // the server uses `timeout` as its execution deadline, so it doesn't keep working for a caller that gave up
+    const payload = { id, ...body, ...(idempotencyKey && { idempotencyKey }), timeout: effectiveTimeout, timestamp: Date.now() }
+    const durable = this._store && idempotencyKey ? { key: idempotencyKey, seq: this._nextSeq(), event, body } : null
 
     const promise = new Promise((resolve, reject) => {
-      const timer = setTimeout(() => {
-        this._pending.delete(id)
-        reject(new Error('RequestTimeout'))
-      }, effectiveTimeout)
+      const onAbort = () => {
+        if (!this._pending.has(id)) return
+        // the caller gave up on purpose: don't resend it later either
+        if (durable) this._forget(durable.key)
+        this._cancel(id)
+        entry.reject(_abortReason(signal))
+      }
 
       // store extra metadata so streaming chunks can reset the timer and be
       // assembled in order on final response
-      this._pending.set(id, { resolve, reject, timer, timeoutMs: effectiveTimeout, chunksMap: null, receivedChunks: 0, totalChunks: null })
-
-      if (this.socket.connected) {
-        this.socket.emit('request', payload)
-      } else {
-        // queue for send on reconnect
-        this._offlineQueue.push(payload)
+      const entry = {
+        timer: null,
+        method,
+        timeoutMs: effectiveTimeout,
+        chunksMap: null,
+        receivedChunks: 0,
+        totalChunks: null,
+        idempotencyKey,
+        durable: !!durable,
+        // kept to resend it when the server turns it away while shutting down
+        event,
+        payload,
       }
+      // settling always releases the timer, the abort listener and the pending slot
+      const settle = fn => value => {
+        clearTimeout(entry.timer)
+        signal?.removeEventListener('abort', onAbort)
+        this._pending.delete(id)
+        fn(value)
+      }
+      entry.resolve = settle(resolve)
+      entry.reject = settle(reject)
+      entry.timer = setTimeout(() => {
+        if (!durable) {
+          this._cancel(id)
+          entry.reject(new VectoriaTimeoutError('RequestTimeout', { id, method, details: { timeoutMs: effectiveTimeout } }))
+          return
+        }
+        // a stored mutation outlives its caller's timeout: it's resent on the next connect
+        this._liveKeys.delete(durable.key)
+        this._offlineQueue = this._offlineQueue.filter(q => q.payload.id !== id)
+        entry.reject(new VectoriaTimeoutError('RequestTimeout', { id, method, details: { timeoutMs: effectiveTimeout, queued: true } }))
+      }, effectiveTimeout)
+
+      this._pending.set(id, entry)
+      signal?.addEventListener('abort', onAbort, { once: true })
+      if (!durable) return this._emitRequest(payload, event)
+      // stored before it is sent, so a crash right after sending can't lose it
+      this._liveKeys.add(durable.key)
+      this._persist(durable).then(
+        () => {
+          if (this._pending.has(id)) this._emitRequest(payload, event)
+        },
+        err => {
+          this._forget(durable.key)
+          entry.reject(err)
+        }
+      )
     })
 
     return promise
   }
 
+  // Streamed request: an async iterable over the result items. Chunks are yielded as they arrive and
+  // acknowledged (`stream-ack`) once consumed, so the server never runs more than its window ahead of
+  // the consumer. Leaving the loop early or aborting `signal` sends `cancel` and the server stops sending.
+  async *sendStream({ method, params = [], collection = undefined, timeout = undefined, chunkSize = undefined, signal = undefined } = {}) {
+    if (signal?.aborted) throw _abortReason(signal)
+
+    const id = _makeId()
+    const effectiveTimeout = typeof timeout === 'number' ? timeout : this.requestTimeout
+    const state = { chunks: [], done: false, error: null, wake: null }
+    const wake = () => {
+      const fn = state.wake
+      state.wake = null
+      if (fn) fn()
+    }
+    const fail = err => {
+      if (!state.error) state.error = err
+      wake()
+    }
+    const onAbort = () => fail(_abortReason(signal))
+    signal?.addEventListener('abort', onAbort, { once: true })
+
+    this._pending.set(id, {
+      stream: true,
+      method,
+      onChunk: ({ chunk, index }) => {
+        state.chunks.push({ items: Array.isArray(chunk) ? chunk : [], index })
+        wake()
+      },
+      onResponse: ({ result, error, took }) => {
+        this._pending.delete(id)
+        if (error) return fail(errorFromResponse(error, { id, method, took }))
+        // small results come back as a plain (unchunked) response
+        if (Array.isArray(result)) state.chunks.push({ items: result, index: null })
+        state.done = true
+        wake()
+      },
+      reject: fail,
+    })
+    this._emitRequest({ id, method, params, collection, stream: true, chunkSize, timeout: effectiveTimeout, timestamp: Date.now() })
+
+    try {
+      while (true) {
+        if (state.error) throw state.error
+        if (state.chunks.length) {
+          const { items, index } = state.chunks.shift()
+          yield* items
+          if (index !== null && !state.done) this.socket.emit('stream-ack', { id, index })
+          continue
+        }
+        if (state.done) return
+        // wait for the next chunk; the timeout only runs while the consumer is actually waiting
+        await new Promise(resolve => {
+          const timer = setTimeout(() => {
+            state.error = state.error || new VectoriaTimeoutError('RequestTimeout', { id, method, details: { timeoutMs: effectiveTimeout } })
+            resolve()
+          }, effectiveTimeout)
+          state.wake = () => {
+            clearTimeout(timer)
+            resolve()
+          }
+        })
+      }
+    } finally {
+      signal?.removeEventListener('abort', onAbort)
+      this._pending.delete(id)
+      if (!state.done) this._cancel(id)
+    }
+  }
+
+  // Change feed subscription (see server/change-feed.js). `handler(event)` receives every matching change.
+  // After a reconnect the subscription is renewed from the last `seq` it saw, so nothing is missed while
+  // the server still has those events; otherwise the handler gets a `reset` event and should re-query.
+  async subscribe({ collection = undefined, filter = undefined, events = undefined, timeout = undefined, onError = undefined } = {}, handler) {
+    const sub = { subId: _makeId(), options: { collection, filter, events }, handler, onError, seq: undefined, epoch: undefined }
+    this._subscriptions.set(sub.subId, sub)
+    try {
+      await this._renewSubscription(sub, timeout)
+    } catch (err) {
+      this._subscriptions.delete(sub.subId)
+      throw err
+    }
+    return {
+      id: sub.subId,
+      get lastSeq() {
+        return sub.seq
+      },
+      unsubscribe: () => this._unsubscribe(sub.subId),
+    }
+  }
+
+  _renewSubscription(sub, timeout = undefined) {
+    const timeoutMs = typeof timeout === 'number' ? timeout : this.requestTimeout
+    return new Promise((resolve, reject) => {
+      const send = () => {
+        const msg = { subId: sub.subId, ...sub.options, since: sub.seq, epoch: sub.epoch }
+        this.socket.emit('subscribe', msg, reply => {
+          clearTimeout(timer)
+          if (!reply?.ok) return reject(errorFromResponse(reply?.error || { message: 'subscribe failed' }, { method: 'subscribe' }))
+          // a new subscription starts at the server's current position
+          if (sub.seq === undefined) {
+            sub.seq = reply.seq
+            sub.epoch = reply.epoch
+          }
+          resolve(reply)
+        })
+      }
+      const timer = setTimeout(() => {
+        this.socket.off('connect', send)
+        reject(new VectoriaTimeoutError('RequestTimeout', { method: 'subscribe', details: { timeoutMs } }))
+      }, timeoutMs)
+      if (this.socket.connected) send()
+      else this.socket.once('connect', send)
+    })
+  }
+
+  _unsubscribe(subId) {
+    if (!this._subscriptions.delete(subId)) return
+    if (this.socket.connected) this.socket.emit('unsubscribe', { subId })
+  }
+
+  _nextSeq() {
+    // time-based so entries from earlier runs sort first, strictly increasing within this one
+    this._lastSeq = Math.max(Date.now(), this._lastSeq + 1)
+    return this._lastSeq
+  }
+
+  async _persist(entry) {
+    await this._outboxReady
+    this._outbox.set(entry.key, entry)
+    await this._store.put(entry)
+  }
+
+  _forget(key) {
+    this._liveKeys.delete(key)
+    if (this._outbox.delete(key)) this._store.delete(key).catch(() => {})
+  }
+
+  // Resend stored mutations nobody is waiting for any more (timed out, or from before a restart), oldest
+  // first. Each keeps its idempotency key, so one the server already applied isn't applied again.
+  async _replayOutbox() {
+    await this._outboxReady
+    for (const stored of this._outbox.values()) {
+      if (this._liveKeys.has(stored.key) || this._replaying.has(stored.key) || !this.socket.connected) continue
+      const id = _makeId()
+      const done = forget => {
+        clearTimeout(timer)
+        this._pending.delete(id)
+        this._replaying.delete(stored.key)
+        if (forget) this._forget(stored.key)
+      }
+      const timer = setTimeout(() => done(false), this.requestTimeout)
+      this._replaying.add(stored.key)
+      this._pending.set(id, {
+        method: stored.body.method || 'batch',
+        durable: false,
+        resolve: () => done(true),
+        reject: err => done(!RETRY_REPLAY.has(err?.code)),
+      })
+      const { event, body, key } = stored
+      this.socket.emit(event, { id, ...body, idempotencyKey: key, timeout: this.requestTimeout, timestamp: Date.now() })
+    }
+  }
+
+  // mutations stored in `durableQueue` that the server hasn't answered yet
+  get queuedMutations() {
+    return this._outbox.size
+  }
+
+  _emitRequest(payload, event = 'request') {
+    if (this.socket.connected && !this._serverDraining) {
+      this.socket.emit(event, payload)
+    } else {
+      // queue for send on reconnect
+      this._offlineQueue.push({ event, payload })
+    }
+  }
+
+  // stop a request: drop it from the offline queue, or tell the server to stop working on it
+  _cancel(id) {
+    const queued = this._offlineQueue.length
+    this._offlineQueue = this._offlineQueue.filter(q => q.payload.id !== id)
+    if (this._offlineQueue.length === queued && this.socket.connected) this.socket.emit('cancel', { id })
+  }
+
+  // reject every pending request (and drop queued ones) with the error built by `makeError({ id, method })`
+  _rejectAll(makeError) {
+    for (const [id, pending] of this._pending) {
+      clearTimeout(pending.timer)
+      pending.reject(makeError({ id, method: pending.method }))
+    }
+    this._pending.clear()
+    this._offlineQueue = []
+    // stored mutations stay stored, and are resent once the connection is accepted again
+    this._liveKeys.clear()
+    this._replaying.clear()
+    this._rejectQueued(makeError)
+  }
+
   close() {
+    super.close()
     try {
       this.socket.close()
     } catch (e) {}
@@ -0,0 +1,116 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import SocketClient from '../socket-client.js'
+import VectoriaDB, { DocumentNotFoundError } from '../index.js'
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5))
+
+function connected(client) {
+  client.socket.io.opts.reconnection = false
+  client.socket.disconnect()
+  // pretend to be connected and record everything the client emits
+  const emitted = []
+  Object.defineProperty(client.socket, 'connected', { value: true })
+  client.socket.emit = (evt, msg) => emitted.push([evt, msg])
+  const receive = (evt, msg) => client.socket.listeners(evt).forEach(fn => fn(msg))
+  return { emitted, receive }
+}
+
+test('db.batch() sends every call in one request-batch and settles them per op', async () => {
+  const db = new VectoriaDB({ serverUrl: 'http://localhost:3001' })
+  const { emitted, receive } = connected(db._socket)
+
+  const running = db
+    .collection('docs')
+    .batch()
+    .add('a', 'alpha', {})
+    .get('missing')
+    .filter({ tag: 'x' })
+    .run()
+
+  const [[evt, req]] = emitted
+  assert.equal(evt, 'request-batch')
+  assert.equal(req.collection, 'docs')
+  assert.equal(req.atomic, false)
+  assert.deepEqual(
+    req.ops.map(op => op.method),
+    ['add', 'get', 'filter']
+  )
+  assert.deepEqual(req.ops[2].params, [{ __isFilterSpec: true, spec: { tag: 'x' } }])
+
+  receive('response', {
+    id: req.id,
+    result: [
+      { result: { ok: true }, error: null },
+      { result: null, error: { message: 'Document "missing" not found', code: 'DocumentNotFound' } },
+      { result: [], error: null },
+    ],
+    error: null,
+    took: 2,
+  })
+  const [added, missing, filtered] = await running
+  assert.deepEqual(added, { status: 'fulfilled', value: { ok: true } })
+  assert.equal(missing.status, 'rejected')
+  assert.ok(missing.reason instanceof DocumentNotFoundError)
+  assert.equal(missing.reason.method, 'get')
+  assert.deepEqual(filtered, { status: 'fulfilled', value: [] })
+  db.close()
+})
+
+test('a failed atomic batch rejects with the failing op error', async () => {
+  const db = new VectoriaDB({ serverUrl: 'http://localhost:3001' })
+  const { emitted, receive } = connected(db._socket)
+
+  const running = db.batch({ atomic: true }).remove('a').updateMetadata('b', {}).run()
+  const [, req] = emitted[0]
+  assert.equal(req.atomic, true)
+  receive('response', {
+    id: req.id,
+    result: null,
+    error: { message: 'Document "b" not found', code: 'DocumentNotFound', details: { batchIndex: 1, rolledBack: true } },
+    took: 1,
+  })
+  await assert.rejects(running, err => err instanceof DocumentNotFoundError && err.details.batchIndex === 1)
+  assert.deepEqual(await db.batch().run(), [])
+  db.close()
+})
+
+test('autoBatch coalesces calls made together into one request-batch', async () => {
+  const client = new SocketClient({ serverUrl: 'http://localhost:3001', autoBatch: { delayMs: 1 } })
+  const { emitted, receive } = connected(client)
+
+  const calls = [client.sendRequest({ method: 'has', params: ['a'] }), client.sendRequest({ method: 'get', params: ['b'] })]
+  // calls with their own signal or timeout are never batched
+  const own = client.sendRequest({ method: 'size', timeout: 1000 })
+  assert.deepEqual(emitted.map(([e, m]) => [e, m.method]), [['request', 'size']])
+
+  await tick()
+  const [evt, req] = emitted[1]
+  assert.equal(evt, 'request-batch')
+  assert.deepEqual(
+    req.ops.map(op => op.method),
+    ['has', 'get']
+  )
+  receive('response', {
+    id: req.id,
+    result: [
+      { result: true, error: null },
+      { result: null, error: { message: 'not found', code: 'DocumentNotFound' } },
+    ],
+    error: null,
+    took: 1,
+  })
+  assert.equal(await calls[0], true)
+  await assert.rejects(calls[1], DocumentNotFoundError)
+
+  // a lone call is sent as a plain request
+  const single = client.sendRequest({ method: 'size' })
+  await tick()
+  const [lastEvt, lastReq] = emitted.at(-1)
+  assert.equal(lastEvt, 'request')
+  receive('response', { id: lastReq.id, result: 3, error: null, took: 0 })
+  receive('response', { id: emitted[0][1].id, result: 3, error: null, took: 0 })
+  assert.equal(await single, 3)
+  assert.equal(await own, 3)
+  client.close()
+})
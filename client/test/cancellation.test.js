@@ -0,0 +1,57 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import SocketClient from '../socket-client.js'
+import { VectoriaTimeoutError } from '../errors.js'
+
+function makeClient(opts = {}) {
+  const client = new SocketClient({ serverUrl: 'http://localhost:3001', ...opts })
+  client.socket.io.opts.reconnection = false
+  client.socket.disconnect()
+  // pretend to be connected and record everything the client emits
+  const emitted = []
+  Object.defineProperty(client.socket, 'connected', { value: true })
+  client.socket.emit = (evt, msg) => emitted.push([evt, msg])
+  return { client, emitted }
+}
+
+test('aborting a signal rejects the call and cancels it on the server', async () => {
+  const { client, emitted } = makeClient()
+  const controller = new AbortController()
+  const pending = client.sendRequest({ method: 'search', params: ['q'], signal: controller.signal })
+
+  const [, req] = emitted[0]
+  assert.equal(req.timeout, 30000)
+  controller.abort()
+
+  await assert.rejects(pending, { name: 'AbortError' })
+  assert.deepEqual(emitted[1], ['cancel', { id: req.id }])
+  assert.equal(client._pending.size, 0)
+
+  // an already-aborted signal never reaches the server
+  await assert.rejects(client.sendRequest({ method: 'size', signal: controller.signal }), { name: 'AbortError' })
+  assert.equal(emitted.length, 2)
+  client.close()
+})
+
+test('a client-side timeout also cancels the request on the server', async () => {
+  const { client, emitted } = makeClient()
+  const pending = client.sendRequest({ method: 'size', timeout: 10 })
+
+  await assert.rejects(pending, err => err instanceof VectoriaTimeoutError && err.details.timeoutMs === 10)
+  assert.deepEqual(emitted.map(([e]) => e), ['request', 'cancel'])
+  client.close()
+})
+
+test('cancelling a request that is still queued offline just drops it', async () => {
+  const client = new SocketClient({ serverUrl: 'http://localhost:3001' })
+  client.socket.io.opts.reconnection = false
+  client.socket.disconnect()
+  const controller = new AbortController()
+  const pending = client.sendRequest({ method: 'size', signal: controller.signal })
+  assert.equal(client._offlineQueue.length, 1)
+
+  controller.abort()
+  await assert.rejects(pending, { name: 'AbortError' })
+  assert.equal(client._offlineQueue.length, 0)
+  client.close()
+})
@@ -0,0 +1,66 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import VectoriaDB from '../index.js'
+
+function mockDb() {
+  const db = new VectoriaDB({ serverUrl: 'http://localhost:3001' })
+  db.close()
+  const calls = []
+  db._socket = {
+    sendRequest(req) {
+      calls.push(req)
+      return Promise.resolve([])
+    },
+  }
+  return { db, calls }
+}
+
+test('insert and query route to the named collection instead of stamping metadata.owner', async () => {
+  const { db, calls } = mockDb()
+
+  // insert creates the collection first, as it needn't exist yet
+  await db.insert('notes', [{ id: 'n1', text: 'hello', metadata: { author: 'Ann' } }])
+  assert.deepEqual([calls[0].method, calls[0].params], ['createCollection', ['notes']])
+  assert.equal(calls[1].method, 'addMany')
+  assert.equal(calls[1].collection, 'notes')
+  assert.deepEqual(calls[1].params[0][0].metadata, { author: 'Ann' })
+
+  await db.query('notes', 'hello', { topK: 3, filter: { author: 'Ann' } })
+  assert.equal(calls[2].method, 'search')
+  assert.equal(calls[2].collection, 'notes')
+  assert.deepEqual(calls[2].params[1], { topK: 3, filter: { __isFilterSpec: true, spec: { author: 'Ann' } } })
+})
+
+test('collection views share the connection and leave the parent unscoped', async () => {
+  const { db, calls } = mockDb()
+  const notes = db.collection('notes')
+
+  await notes.size()
+  await notes.saveToStorage()
+  await db.size()
+
+  assert.deepEqual(
+    calls.map(c => [c.method, c.collection]),
+    [
+      ['size', 'notes'],
+      ['saveToStorage', 'notes'],
+      ['size', undefined],
+    ]
+  )
+})
+
+test('collection management calls are sent to the server', async () => {
+  const { db, calls } = mockDb()
+  await db.createCollection('notes')
+  await db.listCollections()
+  await db.dropCollection('notes')
+  assert.deepEqual(
+    calls.map(c => [c.method, c.params]),
+    [
+      ['createCollection', ['notes']],
+      ['listCollections', []],
+      ['dropCollection', ['notes']],
+    ]
+  )
+  assert.throws(() => db.collection(''), TypeError)
+})
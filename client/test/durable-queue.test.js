@@ -0,0 +1,124 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import SocketClient from '../socket-client.js'
+import { FileQueueStore } from '../queue-store.js'
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5))
+
+function memoryStore(entries = []) {
+  const stored = new Map(entries.map(e => [e.key, e]))
+  return {
+    stored,
+    load: async () => [...stored.values()],
+    put: async entry => void stored.set(entry.key, entry),
+    delete: async key => void stored.delete(key),
+  }
+}
+
+function connected(client) {
+  client.socket.io.opts.reconnection = false
+  client.socket.disconnect()
+  const emitted = []
+  Object.defineProperty(client.socket, 'connected', { value: true })
+  client.socket.emit = (evt, msg) => emitted.push([evt, msg])
+  const receive = (evt, msg) => client.socket.listeners(evt).forEach(fn => fn(msg))
+  return { emitted, receive }
+}
+
+test('mutations carry an idempotency key and stay stored until the server answers', async () => {
+  const store = memoryStore()
+  const client = new SocketClient({ serverUrl: 'http://localhost:3001', durableQueue: store })
+  const { emitted, receive } = connected(client)
+
+  const added = client.sendRequest({ method: 'add', params: ['a', 'alpha', {}] })
+  const read = client.sendRequest({ method: 'get', params: ['a'] })
+  await tick()
+
+  // the read goes out at once, the mutation once it is stored
+  const [[, getReq], [, addReq]] = emitted
+  assert.equal(typeof addReq.idempotencyKey, 'string')
+  assert.equal(getReq.idempotencyKey, undefined)
+  assert.deepEqual([...store.stored.keys()], [addReq.idempotencyKey])
+  assert.deepEqual(store.stored.get(addReq.idempotencyKey).body, { method: 'add', params: ['a', 'alpha', {}], collection: undefined })
+
+  receive('response', { id: addReq.id, result: { ok: true }, error: null })
+  receive('response', { id: getReq.id, result: null, error: null })
+  assert.deepEqual(await added, { ok: true })
+  await read
+  assert.equal(store.stored.size, 0)
+  assert.equal(client.queuedMutations, 0)
+  client.close()
+})
+
+test('a timed out mutation is kept and resent with the same key on the next connect', async () => {
+  const store = memoryStore()
+  const client = new SocketClient({ serverUrl: 'http://localhost:3001', durableQueue: store, requestTimeout: 20 })
+  const { emitted, receive } = connected(client)
+
+  await assert.rejects(client.sendRequest({ method: 'remove', params: ['a'] }), err => {
+    assert.equal(err.code, 'RequestTimeout')
+    assert.equal(err.details.queued, true)
+    return true
+  })
+  const [[, original]] = emitted
+  assert.equal(client.queuedMutations, 1)
+  // unlike a plain request, nothing told the server to drop it
+  assert.ok(!emitted.some(([evt]) => evt === 'cancel'))
+
+  receive('connect')
+  await tick()
+  const [evt, replay] = emitted[emitted.length - 1]
+  assert.equal(evt, 'request')
+  assert.equal(replay.method, 'remove')
+  assert.equal(replay.idempotencyKey, original.idempotencyKey)
+  assert.notEqual(replay.id, original.id)
+
+  receive('response', { id: replay.id, result: true, error: null })
+  assert.equal(client.queuedMutations, 0)
+  assert.equal(store.stored.size, 0)
+  client.close()
+})
+
+test('stored mutations from an earlier run are replayed in order; retryable failures are kept', async () => {
+  const store = memoryStore([
+    { key: 'k2', seq: 2, event: 'request', body: { method: 'remove', params: ['b'] } },
+    { key: 'k1', seq: 1, event: 'request-batch', body: { ops: [{ method: 'add', params: ['b', 'beta', {}] }], atomic: true } },
+  ])
+  const client = new SocketClient({ serverUrl: 'http://localhost:3001', durableQueue: store })
+  const { emitted, receive } = connected(client)
+  await tick()
+  receive('connect')
+  await tick()
+
+  assert.deepEqual(
+    emitted.map(([evt, msg]) => [evt, msg.idempotencyKey]),
+    [
+      ['request-batch', 'k1'],
+      ['request', 'k2'],
+    ]
+  )
+  receive('response', { id: emitted[0][1].id, result: null, error: { message: 'bad', code: 'InvalidParams' } })
+  receive('response', { id: emitted[1][1].id, result: null, error: { message: 'timed out', code: 'ServerTimeout' } })
+  assert.deepEqual([...store.stored.keys()], ['k2'])
+  client.close()
+})
+
+test('FileQueueStore keeps entries across instances', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vectoriadb-queue-'))
+  t.after(() => fs.rm(dir, { recursive: true, force: true }))
+  const file = path.join(dir, 'queue.json')
+
+  const first = new FileQueueStore({ path: file })
+  assert.deepEqual(await first.load(), [])
+  await Promise.all([
+    first.put({ key: 'a', seq: 1, event: 'request', body: { method: 'add' } }),
+    first.put({ key: 'b', seq: 2, event: 'request', body: { method: 'remove' } }),
+  ])
+  await first.delete('a')
+
+  const second = new FileQueueStore({ path: file })
+  assert.deepEqual(await second.load(), [{ key: 'b', seq: 2, event: 'request', body: { method: 'remove' } }])
+})
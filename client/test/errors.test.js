@@ -0,0 +1,66 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import SocketClient from '../socket-client.js'
+import { MethodNotFoundError, UnauthorizedError, ValidationError, VectoriaError, VectoriaTimeoutError } from '../index.js'
+
+function makeClient(opts = {}) {
+  const client = new SocketClient({ serverUrl: 'http://localhost:3001', ...opts })
+  client.socket.io.opts.reconnection = false
+  client.socket.disconnect()
+  // while disconnected, requests are parked in the offline queue instead of being emitted
+  const sentId = i => client._offlineQueue[i].payload.id
+  // deliver a fake server event to the client's handlers
+  const receive = (evt, msg) => client.socket.listeners(evt).forEach(fn => fn(msg))
+  return { client, sentId, receive }
+}
+
+test('server error codes are turned into typed errors carrying id, method, took and details', async () => {
+  const { client, sentId, receive } = makeClient()
+
+  const p1 = client.sendRequest({ method: 'get', params: [42] })
+  receive('response', {
+    id: sentId(0),
+    result: null,
+    error: { message: 'InvalidParams: id must be string', code: 'InvalidParams', details: { param: 'id' } },
+    took: 3,
+  })
+  await assert.rejects(p1, err => {
+    assert.ok(err instanceof ValidationError && err instanceof VectoriaError)
+    assert.equal(err.code, 'InvalidParams')
+    assert.equal(err.id, sentId(0))
+    assert.equal(err.method, 'get')
+    assert.equal(err.took, 3)
+    assert.deepEqual(err.details, { param: 'id' })
+    return true
+  })
+
+  const p2 = client.sendRequest({ method: 'nope' })
+  receive('response', { id: sentId(1), result: null, error: { message: 'MethodNotFound: nope', code: 'MethodNotFound' }, took: 0 })
+  await assert.rejects(p2, MethodNotFoundError)
+
+  // errors without a known code still reject with the base class
+  const p3 = client.sendRequest({ method: 'search' })
+  receive('response', { id: sentId(2), result: null, error: { message: 'boom' }, took: 1 })
+  await assert.rejects(p3, err => err instanceof VectoriaError && err.code === 'ServerError' && err.message === 'boom')
+
+  client.close()
+})
+
+test('timeouts and auth rejections use dedicated error classes', async () => {
+  const { client, receive } = makeClient({ requestTimeout: 20 })
+
+  await assert.rejects(client.sendRequest({ method: 'size' }), err => {
+    assert.ok(err instanceof VectoriaTimeoutError)
+    assert.equal(err.code, 'RequestTimeout')
+    assert.equal(err.method, 'size')
+    return true
+  })
+
+  const pending = client.sendRequest({ method: 'size', timeout: 5000 })
+  const err = new Error('Unauthorized')
+  err.data = { code: 'Unauthorized' }
+  receive('connect_error', err)
+  await assert.rejects(pending, UnauthorizedError)
+
+  client.close()
+})
@@ -0,0 +1,67 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import VectoriaDB, { DocumentNotFoundError, HttpClient, VectoriaTimeoutError } from '../index.js'
+
+// a fetch stand-in that records requests and answers from `reply(url, body)`
+function fakeFetch(reply) {
+  const calls = []
+  const fetch = async (url, init) => {
+    const body = JSON.parse(init.body)
+    calls.push({ url, body, headers: init.headers })
+    const out = await reply(url, body, init)
+    return { ok: out.status === undefined || out.status < 400, status: out.status ?? 200, json: async () => out.json }
+  }
+  return { fetch, calls }
+}
+
+test("transport: 'http' sends calls to the REST API and maps results and errors", async () => {
+  const { fetch, calls } = fakeFetch((url, body) => {
+    if (body.method === 'get') return { status: 404, json: { error: { message: 'not found', code: 'DocumentNotFound' }, took: 1 } }
+    return { json: { result: [{ id: 'a' }], took: 2 } }
+  })
+  const db = new VectoriaDB({ serverUrl: 'http://localhost:3001/', apiKey: 'k', transport: 'http', fetch })
+  assert.ok(db._socket instanceof HttpClient)
+
+  assert.deepEqual(await db.collection('docs').search('hello', { topK: 3, filter: { tag: 'x' } }), [{ id: 'a' }])
+  assert.equal(calls[0].url, 'http://localhost:3001/v1/collections/docs/rpc?timeout=30000')
+  assert.equal(calls[0].headers.Authorization, 'Bearer k')
+  assert.deepEqual(calls[0].body, { method: 'search', params: ['hello', { topK: 3, filter: { __isFilterSpec: true, spec: { tag: 'x' } } }] })
+
+  await assert.rejects(db.get('missing'), err => err instanceof DocumentNotFoundError && err.method === 'get' && err.took === 1)
+
+  const streamed = []
+  for await (const hit of db.searchStream('hello')) streamed.push(hit.id)
+  assert.deepEqual(streamed, ['a'])
+})
+
+test('the http transport batches, times out and retries like the socket transport', async () => {
+  let attempts = 0
+  const { fetch, calls } = fakeFetch(async (url, body, init) => {
+    if (url.includes('/v1/batch')) return { json: { result: body.ops.map(op => ({ result: op.method, error: null })), took: 0 } }
+    if (body.method === 'size' && ++attempts < 3) {
+      const err = new TypeError('fetch failed')
+      err.cause = { code: 'ECONNREFUSED' }
+      throw err
+    }
+    if (body.method === 'has') {
+      return new Promise((resolve, reject) => init.signal.addEventListener('abort', () => reject(init.signal.reason)))
+    }
+    return { json: { result: 7, took: 0 } }
+  })
+  const client = new HttpClient({ serverUrl: 'http://localhost:3001', fetch, retryDelayMs: 1, autoBatch: true })
+
+  const [a, b] = await Promise.all([client.sendRequest({ method: 'get', params: ['a'] }), client.sendRequest({ method: 'remove', params: ['b'] })])
+  assert.deepEqual([a, b], ['get', 'remove'])
+  assert.equal(calls.filter(c => c.url.includes('/v1/batch')).length, 1)
+
+  // unreachable server: retried until it answers
+  assert.equal(await client.sendRequest({ method: 'size', timeout: 1000 }), 7)
+  assert.equal(attempts, 3)
+
+  await assert.rejects(client.sendRequest({ method: 'has', params: ['x'], timeout: 20 }), err => err instanceof VectoriaTimeoutError && err.code === 'RequestTimeout')
+
+  const controller = new AbortController()
+  const aborted = client.sendRequest({ method: 'has', params: ['y'], signal: controller.signal })
+  controller.abort()
+  await assert.rejects(aborted, { name: 'AbortError' })
+})
@@ -0,0 +1,111 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import Transport, { isMutation } from '../transport.js'
+import VectoriaDB from '../index.js'
+import { RateLimitedError, VectoriaError } from '../errors.js'
+
+// fails with the given codes, in order, then succeeds; records every attempt
+class FlakyTransport extends Transport {
+  constructor(codes, opts) {
+    super(opts)
+    this.codes = [...codes]
+    this.attempts = []
+  }
+
+  async _request(kind, body, opts) {
+    this.attempts.push({ kind, method: body.method, idempotencyKey: opts.idempotencyKey })
+    const code = this.codes.shift()
+    if (code) throw new VectoriaError(code, { code })
+    return 'ok'
+  }
+}
+
+const retry = { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 2 }
+
+test('reads and keyed mutations are retried with backoff on retryable codes', async () => {
+  const reads = new FlakyTransport(['ServerTimeout', 'NetworkError'], { retry })
+  assert.equal(await reads.sendRequest({ method: 'search', params: ['q'] }), 'ok')
+  assert.equal(reads.attempts.length, 3)
+
+  const writes = new FlakyTransport(['RequestTimeout'], { retry })
+  assert.equal(await writes.sendRequest({ method: 'add', params: ['a', 'alpha', {}] }), 'ok')
+  const [first, second] = writes.attempts
+  assert.ok(first.idempotencyKey)
+  assert.equal(second.idempotencyKey, first.idempotencyKey)
+
+  // gives up after maxAttempts, with the last error
+  const down = new FlakyTransport(['ServerTimeout', 'ServerTimeout', 'InternalError', 'ServerTimeout'], { retry })
+  await assert.rejects(down.sendRequest({ method: 'get', params: ['a'] }), { code: 'InternalError' })
+  assert.equal(down.attempts.length, 3)
+})
+
+test('document ingestion and vector writes count as mutations, so they get a key and are queued and retried like one', () => {
+  for (const method of ['ingestDocument', 'removeDocument', 'addVector', 'addManyVectors']) assert.equal(isMutation('request', { method }), true)
+  assert.equal(isMutation('request-batch', { ops: [{ method: 'get' }, { method: 'ingestDocument' }] }), true)
+})
+
+test('a rate-limited call waits at least the retryAfterMs the server asks for', async () => {
+  const transport = new FlakyTransport([], { retry })
+  let first = true
+  transport._request = async () => {
+    if (!first) return 'ok'
+    first = false
+    throw new RateLimitedError('RateLimited', { details: { retryAfterMs: 40 } })
+  }
+  const start = Date.now()
+  assert.equal(await transport.sendRequest({ method: 'search', params: ['q'] }), 'ok')
+  assert.ok(Date.now() - start >= 35)
+})
+
+test('other codes, unknown methods, opted-out mutations and a disabled policy fail fast', async () => {
+  const cases = [
+    [['InvalidParams'], { retry }, 'get'],
+    [['ServerTimeout'], { retry }, 'myCustomMethod'],
+    [['ServerTimeout'], { retry: { ...retry, mutations: false } }, 'remove'],
+    [['ServerTimeout'], {}, 'get'],
+  ]
+  for (const [codes, opts, method] of cases) {
+    const transport = new FlakyTransport(codes, opts)
+    await assert.rejects(transport.sendRequest({ method }), { code: codes[0] })
+    assert.equal(transport.attempts.length, 1, method)
+  }
+})
+
+test('aborting during a backoff stops retrying', async () => {
+  const transport = new FlakyTransport(['ServerTimeout', 'ServerTimeout'], { retry: { ...retry, baseDelayMs: 1000, maxDelayMs: 1000 } })
+  const controller = new AbortController()
+  const call = transport.sendRequest({ method: 'size', signal: controller.signal })
+  setTimeout(() => controller.abort(new Error('stop')), 10)
+  await assert.rejects(call, /stop/)
+  assert.equal(transport.attempts.length, 1)
+})
+
+test('db.status and connection events follow the socket', async () => {
+  const db = new VectoriaDB({ serverUrl: 'http://localhost:3001' })
+  const socket = db._socket.socket
+  socket.io.opts.reconnection = false
+  socket.disconnect()
+
+  const events = []
+  for (const name of ['connected', 'disconnected', 'reconnecting', 'error']) db.on(name, info => events.push([name, info]))
+  const fire = (emitter, evt, arg) => emitter.listeners(evt).forEach(fn => fn(arg))
+
+  fire(socket, 'connect')
+  assert.equal(db.status, 'connected')
+  fire(socket, 'disconnect', 'transport close')
+  fire(socket.io, 'reconnect_attempt', 1)
+  assert.equal(db.collection('docs').status, 'reconnecting')
+  const err = new Error('xhr poll error')
+  fire(socket, 'connect_error', err)
+  fire(socket, 'connect')
+
+  assert.deepEqual(events, [
+    ['connected', undefined],
+    ['disconnected', { reason: 'transport close' }],
+    ['reconnecting', { attempt: 1 }],
+    ['error', err],
+    ['connected', undefined],
+  ])
+  db.close()
+  assert.equal(db.status, 'closed')
+})
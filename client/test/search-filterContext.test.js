@@ -72,3 +72,37 @@ test('client.query inlines user filter and forwards filterContext', async () =>
   assert.ok(sentOpts.filter.fn.includes('__ctx') || sentOpts.filter.fn.includes('ctx'))
   assert.deepEqual(sentOpts.filterContext, { chatId: 'c1' })
 })
+
+test('client.search and client.filter send declarative filter specs as data', async () => {
+  const db = new VectoriaDB({ serverUrl: 'http://localhost:3001' })
+  const calls = []
+  db._socket = {
+    sendRequest({ method, params }) {
+      calls.push({ method, params })
+      return Promise.resolve([])
+    },
+  }
+
+  await db.search('x', { filter: { category: 'tech', priority: { $gt: 5 } } })
+  assert.deepEqual(calls[0].params[1].filter, { __isFilterSpec: true, spec: { category: 'tech', priority: { $gt: 5 } } })
+
+  await db.filter({ owner: 'myCollection' })
+  assert.equal(calls[1].method, 'filter')
+  assert.deepEqual(calls[1].params[0], { __isFilterSpec: true, spec: { owner: 'myCollection' } })
+})
+
+test('client.filter sends page and projection options and keeps signal and timeout off the wire', async () => {
+  const db = new VectoriaDB({ serverUrl: 'http://localhost:3001' })
+  let captured = null
+  db._socket = {
+    sendRequest(payload) {
+      captured = payload
+      return Promise.resolve({ items: [], total: 0, nextCursor: null })
+    },
+  }
+
+  const page = await db.filter({ status: 'draft' }, { limit: 10, fields: ['metadata.title'], timeout: 500 })
+  assert.deepEqual(page, { items: [], total: 0, nextCursor: null })
+  assert.deepEqual(captured.params[1], { limit: 10, fields: ['metadata.title'] })
+  assert.equal(captured.timeout, 500)
+})
@@ -0,0 +1,47 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import SocketClient from '../socket-client.js'
+
+function connected(client) {
+  client.socket.io.opts.reconnection = false
+  client.socket.disconnect()
+  const emitted = []
+  let isConnected = true
+  Object.defineProperty(client.socket, 'connected', { get: () => isConnected })
+  client.socket.emit = (evt, msg) => emitted.push([evt, msg])
+  const receive = (evt, msg) => client.socket.listeners(evt).forEach(fn => fn(msg))
+  return { emitted, receive, setConnected: v => (isConnected = v) }
+}
+
+test('requests made or turned away while the server shuts down are sent after reconnecting', async () => {
+  const client = new SocketClient({ serverUrl: 'http://localhost:3001' })
+  const { emitted, receive, setConnected } = connected(client)
+  const notices = []
+  client.on('server-shutting-down', info => notices.push(info))
+
+  const raced = client.sendRequest({ method: 'get', params: ['a'] })
+  const [[, racedReq]] = emitted
+  receive('server-shutting-down', { drainTimeoutMs: 5000 })
+  // the server turned it away before running it
+  receive('response', { id: racedReq.id, result: null, error: { code: 'ServerShuttingDown', message: 'shutting down' } })
+  const later = client.sendRequest({ method: 'size', params: [] })
+  assert.equal(emitted.length, 1)
+  assert.deepEqual(notices, [{ drainTimeoutMs: 5000 }])
+
+  setConnected(false)
+  receive('disconnect', 'io server disconnect')
+  setConnected(true)
+  receive('connect')
+  assert.deepEqual(
+    emitted.slice(1).map(([evt, msg]) => [evt, msg.method]),
+    [
+      ['request', 'get'],
+      ['request', 'size'],
+    ]
+  )
+  receive('response', { id: emitted[1][1].id, result: { id: 'a' }, error: null })
+  receive('response', { id: emitted[2][1].id, result: 1, error: null })
+  assert.deepEqual(await raced, { id: 'a' })
+  assert.equal(await later, 1)
+  client.close()
+})
@@ -0,0 +1,65 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import VectoriaDB from '../index.js'
+
+// records what the client sends instead of talking to a server
+function fakeTransport(docs = []) {
+  const calls = []
+  return {
+    calls,
+    sendRequest: async call => {
+      calls.push(call)
+      return { imported: call.params[0].length }
+    },
+    sendStream: async function* (call) {
+      calls.push(call)
+      yield* docs
+    },
+    close() {},
+  }
+}
+
+test('exportSnapshot streams documents as NDJSON lines', async () => {
+  const docs = [
+    { id: 'a', text: 'alpha', metadata: { n: 1 }, vector: [0.1, 0.2] },
+    { id: 'b', text: 'beta', metadata: {}, vector: [0.3, 0.4] },
+  ]
+  const transport = fakeTransport(docs)
+  const db = new VectoriaDB({ serverUrl: 'http://localhost:3001', transport })
+
+  const lines = []
+  for await (const line of db.collection('docs').exportSnapshot({ chunkSize: 1 })) lines.push(line)
+  assert.deepEqual(lines, docs.map(d => JSON.stringify(d) + '\n'))
+  assert.equal(transport.calls[0].method, 'exportSnapshot')
+  assert.equal(transport.calls[0].collection, 'docs')
+  assert.equal(transport.calls[0].chunkSize, 1)
+})
+
+test('importSnapshot parses NDJSON split across chunks and sends it in chunks', async () => {
+  const transport = fakeTransport()
+  const db = new VectoriaDB({ serverUrl: 'http://localhost:3001', transport })
+  const text = ['a', 'b', 'c'].map(id => JSON.stringify({ id, text: id, metadata: {} })).join('\n') + '\n\n'
+  const bytes = new TextEncoder().encode(text)
+  async function* source() {
+    // the first chunk ends mid-line
+    yield bytes.slice(0, 10)
+    yield bytes.slice(10)
+  }
+
+  const result = await db.importSnapshot(source(), { mode: 'replace', chunkSize: 2 })
+  assert.deepEqual(result, { imported: 3, mode: 'replace' })
+  assert.deepEqual(
+    transport.calls.map(c => [c.method, c.params[0].map(d => d.id), c.params[1].mode]),
+    [
+      ['importSnapshot', ['a', 'b'], 'replace'],
+      ['importSnapshot', ['c'], 'merge'],
+    ]
+  )
+
+  // an empty snapshot still clears the index in replace mode; bad lines are reported by line number
+  transport.calls.length = 0
+  assert.deepEqual(await db.importSnapshot('', { mode: 'replace' }), { imported: 0, mode: 'replace' })
+  assert.equal(transport.calls.length, 1)
+  await assert.rejects(db.importSnapshot('{"id":"a"}\nnot json\n'), { name: 'SyntaxError', message: /line 2/ })
+  await assert.rejects(db.importSnapshot('', { mode: 'upsert' }), TypeError)
+})
@@ -0,0 +1,97 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import SocketClient from '../socket-client.js'
+import VectoriaDB from '../index.js'
+
+const tick = () => new Promise(resolve => setImmediate(resolve))
+
+function makeClient() {
+  const client = new SocketClient({ serverUrl: 'http://localhost:3001' })
+  client.socket.io.opts.reconnection = false
+  client.socket.disconnect()
+  // pretend to be connected and record everything the client emits
+  const emitted = []
+  Object.defineProperty(client.socket, 'connected', { value: true })
+  client.socket.emit = (evt, msg) => emitted.push([evt, msg])
+  const receive = (evt, msg) => client.socket.listeners(evt).forEach(fn => fn(msg))
+  return { client, emitted, receive }
+}
+
+test('stream chunks are yielded as they arrive and acknowledged once consumed', async () => {
+  const { client, emitted, receive } = makeClient()
+  const items = []
+  const consumer = (async () => {
+    for await (const item of client.sendStream({ method: 'search', params: ['q', {}], chunkSize: 2 })) items.push(item)
+  })()
+
+  await tick()
+  const [evt, req] = emitted[0]
+  assert.equal(evt, 'request')
+  assert.equal(req.stream, true)
+  assert.equal(req.chunkSize, 2)
+
+  receive('response-chunk', { id: req.id, chunk: [1, 2], index: 0, totalChunks: 2 })
+  await tick()
+  assert.deepEqual(items, [1, 2])
+
+  receive('response-chunk', { id: req.id, chunk: [3], index: 1, totalChunks: 2 })
+  await tick()
+  assert.deepEqual(items, [1, 2, 3])
+  assert.deepEqual(
+    emitted.filter(([e]) => e === 'stream-ack').map(([, m]) => m.index),
+    [0, 1]
+  )
+
+  receive('response', { id: req.id, result: { streamed: true, count: 3 }, error: null, took: 1 })
+  await consumer
+  assert.equal(emitted.some(([e]) => e === 'cancel'), false)
+  client.close()
+})
+
+test('breaking out of the loop cancels the stream on the server', async () => {
+  const { client, emitted, receive } = makeClient()
+  const iterator = client.sendStream({ method: 'filter', params: [] })[Symbol.asyncIterator]()
+  const first = iterator.next()
+  await tick()
+  const id = emitted[0][1].id
+  receive('response-chunk', { id, chunk: ['a', 'b'], index: 0, totalChunks: 5 })
+  assert.deepEqual(await first, { value: 'a', done: false })
+
+  await iterator.return()
+  assert.deepEqual(emitted.at(-1), ['cancel', { id }])
+  assert.equal(client._pending.size, 0)
+  client.close()
+})
+
+test('aborting the signal rejects the iterator and cancels the request', async () => {
+  const { client, emitted } = makeClient()
+  const controller = new AbortController()
+  const consumer = (async () => {
+    for await (const item of client.sendStream({ method: 'search', params: ['q'], signal: controller.signal })) void item
+  })()
+  await tick()
+  controller.abort()
+  await assert.rejects(consumer, { name: 'AbortError' })
+  assert.equal(emitted.at(-1)[0], 'cancel')
+  client.close()
+})
+
+test('searchStream serializes filters and keeps the signal off the wire', async () => {
+  const db = new VectoriaDB({ serverUrl: 'http://localhost:3001' })
+  db.close()
+  let captured = null
+  db._socket = {
+    sendStream(req) {
+      captured = req
+      return (async function* () {})()
+    },
+  }
+  const controller = new AbortController()
+  for await (const hit of db.collection('notes').searchStream('q', { topK: 50, filter: { a: 1 }, chunkSize: 10, signal: controller.signal })) void hit
+
+  assert.equal(captured.method, 'search')
+  assert.equal(captured.collection, 'notes')
+  assert.equal(captured.chunkSize, 10)
+  assert.equal(captured.signal, controller.signal)
+  assert.deepEqual(captured.params, ['q', { topK: 50, filter: { __isFilterSpec: true, spec: { a: 1 } } }])
+})
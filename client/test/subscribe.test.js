@@ -0,0 +1,66 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import VectoriaDB from '../index.js'
+
+function connectedDb() {
+  const db = new VectoriaDB({ serverUrl: 'http://localhost:3001' })
+  const socket = db._socket.socket
+  socket.io.opts.reconnection = false
+  socket.disconnect()
+  // pretend to be connected; `reply(msg)` answers subscribe acks
+  const emitted = []
+  let connected = true
+  Object.defineProperty(socket, 'connected', { get: () => connected })
+  socket.emit = (evt, msg, ack) => {
+    emitted.push([evt, msg])
+    if (evt === 'subscribe') ack({ ok: true, seq: 10, epoch: 'e1' })
+  }
+  const receive = (evt, msg) => socket.listeners(evt).forEach(fn => fn(msg))
+  const setConnected = v => (connected = v)
+  return { db, emitted, receive, setConnected }
+}
+
+test('subscribe delivers change events and resumes from the last seen seq after a reconnect', async () => {
+  const { db, emitted, receive, setConnected } = connectedDb()
+  const seen = []
+  const sub = await db.collection('docs').subscribe({ filter: { tag: 'x' }, events: ['add'] }, event => seen.push(event.seq))
+
+  const [, msg] = emitted[0]
+  assert.equal(msg.collection, 'docs')
+  assert.deepEqual(msg.filter, { __isFilterSpec: true, spec: { tag: 'x' } })
+  assert.deepEqual(msg.events, ['add'])
+  assert.equal(msg.since, undefined)
+  assert.equal(sub.lastSeq, 10)
+
+  receive('change', { subId: msg.subId, seq: 11, epoch: 'e1', type: 'add', id: 'a' })
+  receive('change', { subId: msg.subId, seq: 12, epoch: 'e1', type: 'add', id: 'b' })
+  assert.deepEqual(seen, [11, 12])
+
+  // reconnect: the subscription is renewed from seq 12, and replayed duplicates are dropped
+  setConnected(false)
+  setConnected(true)
+  receive('connect')
+  const [evt, renewed] = emitted.at(-1)
+  assert.equal(evt, 'subscribe')
+  assert.equal(renewed.subId, msg.subId)
+  assert.equal(renewed.since, 12)
+  assert.equal(renewed.epoch, 'e1')
+  receive('change', { subId: msg.subId, seq: 12, epoch: 'e1', type: 'add', id: 'b' })
+  receive('change', { subId: msg.subId, seq: 13, epoch: 'e1', type: 'add', id: 'c' })
+  assert.deepEqual(seen, [11, 12, 13])
+
+  sub.unsubscribe()
+  assert.deepEqual(emitted.at(-1), ['unsubscribe', { subId: msg.subId }])
+  receive('change', { subId: msg.subId, seq: 14, epoch: 'e1', type: 'add', id: 'd' })
+  assert.deepEqual(seen, [11, 12, 13])
+  db.close()
+})
+
+test('subscribe failures reject with typed errors', async () => {
+  const { db } = connectedDb()
+  db._socket.socket.emit = (evt, msg, ack) => ack({ ok: false, error: { message: 'Forbidden: nope', code: 'Forbidden' } })
+  await assert.rejects(db.subscribe(() => {}), { code: 'Forbidden' })
+  assert.equal(db._socket._subscriptions.size, 0)
+  await assert.rejects(db.subscribe({}, 'not a function'), TypeError)
+  db.close()
+})
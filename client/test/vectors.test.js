@@ -0,0 +1,95 @@
+import test, { afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import VectoriaDB, { ValidationError } from '../index.js'
+
+const opened = []
+// the real socket keeps reconnecting until closed
+afterEach(() => opened.splice(0).forEach(db => db.close()))
+
+function capturingDb(result = []) {
+  const db = new VectoriaDB({ serverUrl: 'http://localhost:3001' })
+  const socket = db._socket
+  const sent = []
+  db._socket = {
+    sendRequest(req) {
+      sent.push(req)
+      return typeof result === 'function' ? result(req) : Promise.resolve(result)
+    },
+    close: () => socket.close(),
+  }
+  opened.push(db)
+  return { db, sent }
+}
+
+const floats = data => Array.from(new Float32Array(data))
+
+test('vectors are sent as float32 bytes by addVector, addManyVectors and search', async () => {
+  const { db, sent } = capturingDb()
+
+  // a view into a larger buffer sends only its own bytes
+  const backing = new Float32Array([9, 1, 2, 3, 9])
+  await db.addVector('a', backing.subarray(1, 4), { tag: 'x' })
+  const [id, vector, metadata] = sent[0].params
+  assert.equal(sent[0].method, 'addVector')
+  assert.deepEqual([id, metadata], ['a', { tag: 'x' }])
+  assert.equal(vector.__isVector, true)
+  assert.equal(vector.dtype, 'float32')
+  assert.ok(vector.data instanceof ArrayBuffer)
+  assert.deepEqual(floats(vector.data), [1, 2, 3])
+
+  await db.addManyVectors([{ id: 'b', vector: [0.5, 1.5, 2.5], metadata: {} }])
+  assert.deepEqual(floats(sent[1].params[0][0].vector.data), [0.5, 1.5, 2.5])
+
+  await db.search([1, 0, 0], { topK: 2 })
+  assert.deepEqual(floats(sent[2].params[0].data), [1, 0, 0])
+  await db.search('text stays text')
+  assert.equal(sent[3].params[0], 'text stays text')
+
+  await assert.rejects(db.addVector('c', []), TypeError)
+  await assert.rejects(db.addVector('c', [1, NaN]), TypeError)
+  await assert.rejects(db.addManyVectors([{ id: 'c' }]), /docs\[0\]\.vector/)
+})
+
+test('insert sends vector documents with addManyVectors instead of stringified vectors', async () => {
+  const { db, sent } = capturingDb({ added: 1 })
+
+  await db.insert('docs', [{ id: 'v', vector: [1, 2], metadata: { kind: 'image' } }])
+  const [added] = sent.filter(req => req.method === 'addManyVectors')
+  assert.equal(added.collection, 'docs')
+  assert.deepEqual(floats(added.params[0][0].vector.data), [1, 2])
+
+  sent.length = 0
+  await db.insert('docs', [{ id: 't', text: 'plain' }])
+  assert.equal(sent[1].method, 'addMany')
+  assert.deepEqual(sent[1].params, [[{ id: 't', text: 'plain', metadata: {} }]])
+
+  // a call that can't be sent creates nothing
+  sent.length = 0
+
+  await assert.rejects(
+    db.insert('docs', [
+      { id: 'v', vector: [1] },
+      { id: 't', text: 'plain' },
+    ]),
+    TypeError
+  )
+  assert.deepEqual(sent, [])
+})
+
+test('vectors go as base64 over the http transport and dimension errors are validation errors', async () => {
+  const bodies = []
+  const fetch = async (url, init) => {
+    bodies.push(JSON.parse(init.body))
+    const error = { message: 'DimensionMismatch: vector has 2 dimensions, expected 3', code: 'DimensionMismatch', details: { expected: 3 } }
+    return { ok: false, status: 400, json: async () => ({ error, took: 0 }) }
+  }
+  const db = new VectoriaDB({ serverUrl: 'http://localhost:3001', transport: 'http', fetch })
+  opened.push(db)
+
+  await assert.rejects(
+    db.addVector('a', [1, 2]),
+    err => err instanceof ValidationError && err.code === 'DimensionMismatch' && err.details.expected === 3
+  )
+  const { data } = bodies[0].params[1]
+  assert.deepEqual(floats(new Uint8Array(Buffer.from(data, 'base64')).buffer), [1, 2])
+})
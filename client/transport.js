@@ -0,0 +1,220 @@
+import { errorFromResponse } from './errors.js'
+
+// Base class for the client's transports (socket-client.js, http-client.js). VectoriaDB only talks
+// to a transport through this interface:
+//
+//   sendRequest({ method, params, collection, timeout, signal }) -> Promise<result>
+//   sendBatch({ ops, atomic, collection, timeout, signal })      -> Promise<[{ status, value | reason }]>
+//   sendStream({ method, params, collection, timeout, chunkSize, signal }) -> AsyncIterable<item>
+//   subscribe({ collection, filter, events, timeout, onError }, handler) -> Promise<{ id, lastSeq, unsubscribe() }>
+//   on(event, listener) / off(event, listener), status
+//   close()
+//
+// Subclasses implement `_request(kind, body, { method, timeout, signal, idempotencyKey })`, where `kind`
+// is 'request' (body `{ method, params, collection }`) or 'request-batch' (body `{ ops, atomic, collection }`),
+// and `sendStream`. `subscribe` is optional, since change feeds need a push channel. Timeouts reject with
+// VectoriaTimeoutError, aborts with the signal's reason and server errors with the typed errors from
+// errors.js, whatever the transport.
+//
+// Connection state: `status` is 'connecting', 'connected', 'reconnecting', 'disconnected' or 'closed', and
+// listeners get 'connected', 'disconnected', 'reconnecting' and 'error' events as it changes.
+
+export function makeId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 9)}`
+}
+
+// methods that change data on the server; these carry an idempotency key (see server/idempotency.js)
+export const MUTATING_METHODS = new Set([
+  'add',
+  'addMany',
+  'update',
+  'updateMetadata',
+  'updateMany',
+  'remove',
+  'removeMany',
+  'clear',
+  'createCollection',
+  'dropCollection',
+  'importSnapshot',
+  'ingestDocument',
+  'removeDocument',
+  'addVector',
+  'addManyVectors',
+])
+
+// does a 'request' / 'request-batch' body change data?
+export function isMutation(kind, body) {
+  if (kind === 'request-batch') return (body.ops || []).some(op => MUTATING_METHODS.has(op?.method))
+  return MUTATING_METHODS.has(body.method)
+}
+
+// methods that only read; they are always safe to retry
+export const READ_METHODS = new Set(['initialize', 'size', 'has', 'get', 'filter', 'search', 'listCollections', 'exportSnapshot', 'getStats'])
+
+export const RETRY_DEFAULTS = {
+  maxAttempts: 3,
+  baseDelayMs: 200,
+  maxDelayMs: 5000,
+  jitter: true,
+  retryOn: ['RequestTimeout', 'ServerTimeout', 'NetworkError', 'InternalError', 'RateLimited', 'ServerShuttingDown'],
+  // mutations are only retried with their idempotency key, so the server applies them once
+  mutations: true,
+}
+
+// unique per logical call, and reused for every resend of it
+export function makeIdempotencyKey() {
+  if (typeof globalThis.crypto?.randomUUID === 'function') return globalThis.crypto.randomUUID()
+  return `${makeId()}-${Math.random().toString(36).slice(2, 11)}`
+}
+
+export function abortReason(signal) {
+  if (signal.reason !== undefined) return signal.reason
+  const err = new Error('This operation was aborted')
+  err.name = 'AbortError'
+  return err
+}
+
+function _sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortReason(signal))
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(abortReason(signal))
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+export default class Transport {
+  constructor({ requestTimeout = 30000, autoBatch = false, retry = false } = {}) {
+    this.requestTimeout = requestTimeout || 30000
+    // automatic micro-batching: plain calls made within `delayMs` of each other go out as one batch
+    this.autoBatch = autoBatch ? { maxSize: 100, delayMs: 0, ...(autoBatch === true ? {} : autoBatch) } : null
+    this._batchQueue = [] // { op, resolve, reject } waiting for the next auto-batch flush
+    this._batchTimer = null
+    // retry policy for failed calls (see RETRY_DEFAULTS); off unless configured
+    this.retry = retry ? { ...RETRY_DEFAULTS, ...(retry === true ? {} : retry) } : null
+    this.status = 'connecting'
+    this._listeners = new Map() // event -> Set(listener)
+  }
+
+  on(event, listener) {
+    if (!this._listeners.has(event)) this._listeners.set(event, new Set())
+    this._listeners.get(event).add(listener)
+    return this
+  }
+
+  off(event, listener) {
+    this._listeners.get(event)?.delete(listener)
+    return this
+  }
+
+  _emit(event, ...args) {
+    for (const listener of this._listeners.get(event) || []) {
+      try {
+        listener(...args)
+      } catch (e) {
+        /* a failing listener must not break the transport */
+      }
+    }
+  }
+
+  // move to `status`, announcing it as `event` (once per change)
+  _setStatus(status, event = status, ...args) {
+    if (this.status === status) return
+    this.status = status
+    this._emit(event, ...args)
+  }
+
+  sendRequest({ method, params = [], collection = undefined, timeout = undefined, signal = undefined } = {}) {
+    // calls with their own signal or timeout can't share a batch, so they always go out on their own
+    if (this.autoBatch && !signal && timeout === undefined) return this._enqueueBatched({ method, params, collection })
+    return this._send('request', { method, params, collection }, { method, timeout, signal })
+  }
+
+  // Several calls in one message, run in order by the server. Resolves with one
+  // `{ status: 'fulfilled', value }` / `{ status: 'rejected', reason }` per op (like Promise.allSettled).
+  // With `atomic`, a failing op rolls back the batch's writes and the whole call rejects with its error.
+  async sendBatch({ ops, atomic = false, collection = undefined, timeout = undefined, signal = undefined } = {}) {
+    if (!Array.isArray(ops) || ops.length === 0) throw new TypeError('ops must be a non-empty array')
+    const results = await this._send('request-batch', { ops, atomic, collection }, { method: 'batch', timeout, signal })
+    return results.map(({ result, error }, i) =>
+      error ? { status: 'rejected', reason: errorFromResponse(error, { method: ops[i].method }) } : { status: 'fulfilled', value: result }
+    )
+  }
+
+  async subscribe() {
+    throw new Error(`${this.constructor.name} does not support change feed subscriptions`)
+  }
+
+  _request(kind, body, opts) {
+    throw new Error(`${this.constructor.name} does not implement _request`)
+  }
+
+  // `_request` under the retry policy. A mutation gets one idempotency key for all of its attempts.
+  async _send(kind, body, opts) {
+    const idempotencyKey = isMutation(kind, body) ? makeIdempotencyKey() : undefined
+    const policy = this.retry && this._retryable(kind, body, idempotencyKey) ? this.retry : null
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this._request(kind, body, { ...opts, idempotencyKey })
+      } catch (err) {
+        if (!policy || attempt >= policy.maxAttempts || !policy.retryOn.includes(err?.code) || opts.signal?.aborted) throw err
+        // a durably queued mutation is resent on reconnect already
+        if (err.details?.queued) throw err
+        // a rate-limited call waits at least as long as the server asked
+        await _sleep(Math.max(this._backoff(attempt), err.retryAfterMs || 0), opts.signal)
+      }
+    }
+  }
+
+  _retryable(kind, body, idempotencyKey) {
+    const methods = kind === 'request-batch' ? (body.ops || []).map(op => op?.method) : [body.method]
+    return methods.every(m => READ_METHODS.has(m) || (MUTATING_METHODS.has(m) && this.retry.mutations && !!idempotencyKey))
+  }
+
+  // exponential backoff; with jitter the wait is anywhere between half and all of it
+  _backoff(attempt) {
+    const delay = Math.min(this.retry.maxDelayMs, this.retry.baseDelayMs * 2 ** (attempt - 1))
+    return this.retry.jitter ? delay / 2 + Math.random() * (delay / 2) : delay
+  }
+
+  _enqueueBatched(op) {
+    return new Promise((resolve, reject) => {
+      this._batchQueue.push({ op, resolve, reject })
+      if (this._batchQueue.length >= this.autoBatch.maxSize) this._flushBatch()
+      else if (!this._batchTimer) this._batchTimer = setTimeout(() => this._flushBatch(), this.autoBatch.delayMs)
+    })
+  }
+
+  _flushBatch() {
+    clearTimeout(this._batchTimer)
+    this._batchTimer = null
+    const queued = this._batchQueue.splice(0)
+    if (queued.length === 0) return
+    if (queued.length === 1) {
+      const [{ op, resolve, reject }] = queued
+      this._send('request', op, { method: op.method }).then(resolve, reject)
+      return
+    }
+    this.sendBatch({ ops: queued.map(q => q.op) }).then(
+      results => results.forEach((r, i) => (r.status === 'fulfilled' ? queued[i].resolve(r.value) : queued[i].reject(r.reason))),
+      err => queued.forEach(q => q.reject(err))
+    )
+  }
+
+  // reject calls still waiting for an auto-batch flush
+  _rejectQueued(makeError) {
+    clearTimeout(this._batchTimer)
+    this._batchTimer = null
+    for (const { op, reject } of this._batchQueue.splice(0)) reject(makeError({ id: null, method: op.method }))
+  }
+
+  close() {
+    this.status = 'closed'
+  }
+}
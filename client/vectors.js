@@ -0,0 +1,30 @@
+// Precomputed vectors travel as `{ __isVector: true, dtype: 'float32', data }` with `data` the raw float32
+// bytes as an ArrayBuffer, which Socket.IO sends as a binary attachment rather than a JSON number array.
+// Where a call is written as JSON (the HTTP transport, the durable queue file) `vectorReplacer` turns the
+// bytes into base64 text; the server accepts either.
+
+// a Float32Array (or another numeric typed array) or a non-empty array of numbers
+export function isVectorLike(v) {
+  if (ArrayBuffer.isView(v) && !(v instanceof DataView)) return v.length > 0 && typeof v[0] === 'number'
+  return Array.isArray(v) && v.length > 0 && v.every(x => typeof x === 'number')
+}
+
+export function encodeVector(v, name = 'vector') {
+  if (!isVectorLike(v)) throw new TypeError(`${name} must be a Float32Array or a non-empty array of numbers`)
+  const floats = v instanceof Float32Array ? v : Float32Array.from(v)
+  if (!floats.every(Number.isFinite)) throw new TypeError(`${name} must only hold finite numbers`)
+  // just the vector's bytes: a view may share a larger buffer
+  return { __isVector: true, dtype: 'float32', data: floats.buffer.slice(floats.byteOffset, floats.byteOffset + floats.byteLength) }
+}
+
+// JSON.stringify replacer for payloads holding encoded vectors
+export function vectorReplacer(key, value) {
+  return value instanceof ArrayBuffer ? _toBase64(new Uint8Array(value)) : value
+}
+
+function _toBase64(bytes) {
+  if (typeof Buffer !== 'undefined') return Buffer.from(bytes).toString('base64')
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  return btoa(binary)
+}
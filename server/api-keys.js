@@ -0,0 +1,90 @@
+import { createHash } from 'crypto'
+
+// API key registry: maps a presented key to { id, scopes, collections, expiresAt }.
+//
+// Keys come from (checked in this order):
+// - `apiKeys`: a config map { [key]: { id, scopes, collections, expiresAt } }
+// - `apiKey`: the legacy single shared key (all scopes, all collections)
+// - `resolveApiKey`: an async `(key) => info | null` for keys stored elsewhere
+//
+// Scopes: `read` (search/get/filter/...), `write` (add/update/remove/...),
+// `storage` (saveToStorage/loadFromStorage/clearStorage/exportSnapshot/importSnapshot) and `admin` (everything, incl. `clear`, `dropCollection` and `getStats`).
+// `collections` restricts a key to documents whose `metadata.owner` is in the list; omit it for no restriction.
+
+export const SCOPES = new Set(['read', 'write', 'storage', 'admin'])
+
+const STORAGE_METHODS = new Set(['saveToStorage', 'loadFromStorage', 'clearStorage', 'exportSnapshot', 'importSnapshot'])
+const ADMIN_METHODS = new Set(['clear', 'dropCollection', 'getStats'])
+
+function _keyId(key) {
+  return 'key-' + createHash('sha256').update(key).digest('hex').slice(0, 12)
+}
+
+function _toTimestamp(v) {
+  if (v === undefined || v === null) return null
+  const ts = v instanceof Date ? v.getTime() : typeof v === 'number' ? v : Date.parse(v)
+  if (Number.isNaN(ts)) throw new TypeError(`invalid expiresAt: ${v}`)
+  return ts
+}
+
+export function normalizeKeyInfo(key, info = {}) {
+  const scopes = new Set(info.scopes || ['read'])
+  for (const s of scopes) {
+    if (!SCOPES.has(s)) throw new TypeError(`unknown API key scope: ${s}`)
+  }
+  return {
+    id: info.id || _keyId(key),
+    scopes,
+    collections: Array.isArray(info.collections) ? new Set(info.collections) : null,
+    expiresAt: _toTimestamp(info.expiresAt),
+  }
+}
+
+export function isExpired(keyInfo, now = Date.now()) {
+  return keyInfo.expiresAt !== null && keyInfo.expiresAt <= now
+}
+
+// scope needed to call `method`; `isMutation` comes from the server's mutation method list
+export function requiredScope(method, isMutation) {
+  if (ADMIN_METHODS.has(method)) return 'admin'
+  if (STORAGE_METHODS.has(method)) return 'storage'
+  return isMutation ? 'write' : 'read'
+}
+
+export function hasScope(keyInfo, scope) {
+  return keyInfo.scopes.has('admin') || keyInfo.scopes.has(scope)
+}
+
+export default class ApiKeyRegistry {
+  constructor({ apiKey = null, apiKeys = null, resolveApiKey = null } = {}) {
+    if (resolveApiKey !== null && typeof resolveApiKey !== 'function') throw new TypeError('resolveApiKey must be a function')
+    this._keys = new Map()
+    for (const [key, info] of Object.entries(apiKeys || {})) {
+      this._keys.set(key, normalizeKeyInfo(key, info))
+    }
+    this._legacy = apiKey ? normalizeKeyInfo(apiKey, { id: 'default', scopes: ['admin'] }) : null
+    this._legacyKey = apiKey
+    this._resolver = resolveApiKey
+  }
+
+  // false when no key source is configured (auth disabled, every caller gets full access)
+  get enabled() {
+    return !!(this._legacyKey || this._keys.size || this._resolver)
+  }
+
+  // resolve a presented key to its info, or null when unknown/expired
+  async resolve(key) {
+    if (!key || typeof key !== 'string') return null
+    let info = null
+    if (this._keys.has(key)) {
+      info = this._keys.get(key)
+    } else if (this._legacyKey && key === this._legacyKey) {
+      info = this._legacy
+    } else if (this._resolver) {
+      const raw = await this._resolver(key)
+      info = raw ? normalizeKeyInfo(key, raw) : null
+    }
+    if (!info || isExpired(info)) return null
+    return info
+  }
+}
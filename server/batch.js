@@ -0,0 +1,53 @@
+// Rollback support for atomic batches (`request-batch` with `atomic: true`).
+//
+// Before a write in an atomic batch runs, `snapshot()` records the documents it is about to touch
+// (or that they don't exist yet). `restore()` puts one snapshot back: it removes whatever is stored
+// under those ids now and re-adds the recorded documents, with their vectors. Restoring snapshots in reverse order
+// returns the index to its state from before the batch.
+
+const READS = new Set(['initialize', 'size', 'has', 'get', 'filter', 'search', 'listCollections'])
+
+// ids each write touches; `clear` touches every document
+const WRITES = {
+  add: params => [params[0]],
+  addMany: params => params[0].map(doc => doc.id),
+  addVector: params => [params[0]],
+  addManyVectors: params => params[0].map(doc => doc.id),
+  update: params => [params[0]],
+  updateMetadata: params => [params[0]],
+  updateMany: params => params[0].map(u => u.id),
+  remove: params => [params[0]],
+  removeMany: params => params[0],
+  clear: null,
+}
+
+const _isWrite = method => Object.prototype.hasOwnProperty.call(WRITES, method)
+
+// whether `method` may appear in an atomic batch (collection and storage management can't be undone)
+export function isRollbackable(method) {
+  return READS.has(method) || _isWrite(method)
+}
+
+export async function snapshot(db, method, params) {
+  if (!_isWrite(method)) return null
+  const docs = new Map() // id -> document, or null when it didn't exist
+  if (method === 'clear') {
+    for (const doc of await db.filter(() => true)) docs.set(doc.id, doc)
+  } else {
+    for (const id of WRITES[method](params)) {
+      if (!docs.has(id)) docs.set(id, (await db.has(id)) ? await db.get(id) : null)
+    }
+  }
+  return { db, docs }
+}
+
+export async function restore({ db, docs }) {
+  const present = []
+  for (const id of docs.keys()) if (await db.has(id)) present.push(id)
+  if (present.length) await db.removeMany(present)
+
+  const previous = Array.from(docs.values())
+    .filter(Boolean)
+    .map(({ id, text, metadata, vector }) => (vector ? { id, text, metadata, vector } : { id, text, metadata }))
+  if (previous.length) await db.addMany(previous)
+}
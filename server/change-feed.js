@@ -0,0 +1,159 @@
+import { randomBytes } from 'crypto'
+import { chunksOf } from './chunking.js'
+
+// Change feed for `subscribe`: every successful mutation becomes one or more events
+// `{ seq, epoch, collection, type, id, metadata, ts }` pushed to matching subscribers.
+//
+// `seq` increases by one per event for the lifetime of the process (`epoch` identifies that lifetime).
+// The most recent `historySize` events are kept so a client that reconnects can resume after the last
+// `seq` it saw. When that isn't possible (the events are gone, or the server restarted) the subscriber
+// gets a single `reset` event and should re-query.
+//
+// `collection` is the collection name, or null for the default index.
+
+export const EVENT_TYPES = ['add', 'update', 'remove', 'clear', 'drop']
+const DEFAULT_EVENTS = ['add', 'update', 'remove']
+
+export default class ChangeFeed {
+  constructor({ historySize = 1000 } = {}) {
+    this.epoch = randomBytes(6).toString('hex')
+    this.seq = 0
+    this._historySize = Math.max(0, historySize)
+    this._history = [] // oldest first
+    this._subs = new Set()
+  }
+
+  // events: [{ collection, type, id, metadata }]
+  publish(events) {
+    for (const change of events) {
+      const event = { seq: ++this.seq, epoch: this.epoch, ts: Date.now(), ...change }
+      if (this._historySize) {
+        this._history.push(event)
+        if (this._history.length > this._historySize) this._history.shift()
+      }
+      for (const sub of this._subs) if (_matches(sub, event)) sub.send(event)
+    }
+  }
+
+  // `owner` groups subscriptions for cleanup (the socket); `send(event)` delivers to the subscriber.
+  // With `since` (and the `epoch` it came from), missed events are replayed before new ones.
+  subscribe({ owner, subId, collection = null, events = DEFAULT_EVENTS, filter = null, since, epoch, send }) {
+    this.unsubscribe(owner, subId)
+    const sub = { owner, subId, collection, events: new Set(events), filter, send }
+
+    if (since !== undefined && since !== null) {
+      const oldest = this._history.length ? this._history[0].seq : this.seq + 1
+      if (epoch !== this.epoch || since > this.seq || since < oldest - 1) {
+        send({ seq: this.seq, epoch: this.epoch, ts: Date.now(), collection, type: 'reset' })
+      } else {
+        for (const event of this._history) if (event.seq > since && _matches(sub, event)) send(event)
+      }
+    }
+
+    this._subs.add(sub)
+    return { seq: this.seq, epoch: this.epoch }
+  }
+
+  unsubscribe(owner, subId) {
+    for (const sub of this._subs) if (sub.owner === owner && sub.subId === subId) this._subs.delete(sub)
+  }
+
+  removeOwner(owner) {
+    for (const sub of this._subs) if (sub.owner === owner) this._subs.delete(sub)
+  }
+}
+
+function _matches(sub, event) {
+  if (sub.collection !== event.collection) return false
+  // clearing or dropping a collection affects every subscriber of it
+  if (event.type === 'clear' || event.type === 'drop') return true
+  if (!sub.events.has(event.type)) return false
+  if (!sub.filter) return true
+  try {
+    return !!sub.filter(event.metadata || {})
+  } catch (e) {
+    return false
+  }
+}
+
+// --- turning mutations into events ---
+
+// a failing lookup only costs the event its metadata, never the mutation itself
+async function _metadataOf(db, id) {
+  try {
+    return (await db.get(id))?.metadata
+  } catch (e) {
+    return undefined
+  }
+}
+
+// like `_metadataOf`, a failing lookup only costs the events
+async function _chunksOf(db, parentId) {
+  try {
+    return (await chunksOf(db, parentId)).sort((a, b) => a.metadata.chunkIndex - b.metadata.chunkIndex)
+  } catch (e) {
+    return []
+  }
+}
+
+const _removedIds = (method, params) => (method === 'remove' ? [params[0]] : method === 'removeMany' ? params[0] : [])
+
+// what a mutation needs from before it runs: the metadata of documents it is about to remove
+export async function captureBefore(db, method, params) {
+  const removed = new Map()
+  // a chunked document's chunks, all replaced or removed
+  if (method === 'ingestDocument' || method === 'removeDocument') {
+    for (const chunk of await _chunksOf(db, params[0])) removed.set(chunk.id, chunk.metadata)
+    return removed
+  }
+  for (const id of _removedIds(method, params)) {
+    if (!removed.has(id)) removed.set(id, await _metadataOf(db, id))
+  }
+  return removed
+}
+
+// the events for a mutation that just succeeded on `db`
+export async function changesFor(db, method, params, collection, removed) {
+  const current = id => _metadataOf(db, id)
+  switch (method) {
+    case 'add':
+    case 'addVector':
+      return [{ collection, type: 'add', id: params[0], metadata: params[2] || {} }]
+    case 'addMany':
+    case 'addManyVectors':
+      return params[0].map(doc => ({ collection, type: 'add', id: doc.id, metadata: doc.metadata || {} }))
+    case 'update':
+    case 'updateMetadata':
+      return [{ collection, type: 'update', id: params[0], metadata: await current(params[0]) }]
+    case 'updateMany': {
+      const out = []
+      for (const u of params[0]) out.push({ collection, type: 'update', id: u.id, metadata: await current(u.id) })
+      return out
+    }
+    case 'remove':
+    case 'removeMany':
+      return _removedIds(method, params)
+        .filter(id => removed.has(id) && removed.get(id) !== undefined)
+        .map(id => ({ collection, type: 'remove', id, metadata: removed.get(id) }))
+    case 'clear':
+      return [{ collection, type: 'clear' }]
+    case 'importSnapshot': {
+      const added = params[0].map(doc => ({ collection, type: 'add', id: doc.id, metadata: doc.metadata || {} }))
+      return params[1]?.mode === 'replace' ? [{ collection, type: 'clear' }, ...added] : added
+    }
+    case 'dropCollection':
+      return [{ collection: params[0], type: 'drop' }]
+    case 'ingestDocument': {
+      const chunks = await _chunksOf(db, params[0])
+      const kept = new Set(chunks.map(chunk => chunk.id))
+      return [
+        ...[...removed].filter(([id]) => !kept.has(id)).map(([id, metadata]) => ({ collection, type: 'remove', id, metadata })),
+        ...chunks.map(chunk => ({ collection, type: removed.has(chunk.id) ? 'update' : 'add', id: chunk.id, metadata: chunk.metadata })),
+      ]
+    }
+    case 'removeDocument':
+      return [...removed].map(([id, metadata]) => ({ collection, type: 'remove', id, metadata }))
+    default:
+      return []
+  }
+}
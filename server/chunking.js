@@ -0,0 +1,126 @@
+import { ValidationError } from './errors.js'
+
+// Document ingestion: `ingestDocument(id, text, metadata, options)` splits a long text into chunks and
+// stores each one as its own document `${id}#${chunkIndex}` with `parentId`, `chunkIndex` and `chunkCount`
+// added to the metadata, and the reserved `__chunkOf` key that marks it as a chunk. Ingesting the same id again replaces all of its chunks; `removeDocument(id)`
+// removes them. `search(..., { groupByParent: true })` folds chunk hits back into one hit per document.
+//
+// Text is cut at the splitter's boundaries (sentences, paragraphs, or markdown sections), then the pieces
+// are packed into chunks of at most `chunkSize` characters, each starting with up to `overlap` characters
+// from the end of the one before. A piece longer than `chunkSize` is cut at the nearest whitespace.
+
+export const SPLITTERS = ['sentence', 'paragraph', 'markdown']
+
+export const CHUNK_DEFAULTS = { chunkSize: 1000, overlap: 100, splitter: 'paragraph' }
+
+// marks a chunk with its document's id: `parentId` alone could be any document's own metadata
+export const CHUNK_OF = '__chunkOf'
+
+// metadata keys the server sets on every chunk
+export const CHUNK_KEYS = ['parentId', 'chunkIndex', 'chunkCount', CHUNK_OF]
+
+const BOUNDARIES = {
+  sentence: { split: /(?<=[.!?])\s+/, join: ' ' },
+  paragraph: { split: /\n\s*\n/, join: '\n\n' },
+  // a section runs from one heading to the next
+  markdown: { split: /\n(?=#{1,6}\s)/, join: '\n\n' },
+}
+
+export function parseChunkOptions(options = {}) {
+  const { chunkSize, overlap, splitter } = { ...CHUNK_DEFAULTS, ...options }
+  if (!SPLITTERS.includes(splitter)) {
+    throw new ValidationError(`options.splitter must be one of ${SPLITTERS.join(', ')}`, { param: 'options.splitter' })
+  }
+  if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+    throw new ValidationError('options.chunkSize must be a positive integer', { param: 'options.chunkSize' })
+  }
+  if (!Number.isInteger(overlap) || overlap < 0 || overlap >= chunkSize) {
+    throw new ValidationError('options.overlap must be an integer from 0 to chunkSize - 1', { param: 'options.overlap' })
+  }
+  return { chunkSize, overlap, splitter }
+}
+
+// `text` as a list of chunk texts (options already parsed)
+export function chunkText(text, { chunkSize, overlap, splitter }) {
+  const { split, join } = BOUNDARIES[splitter]
+  const pieces = text
+    .split(split)
+    .map(piece => piece.trim())
+    .filter(Boolean)
+    .flatMap(piece => _cut(piece, chunkSize))
+
+  const chunks = []
+  let current = ''
+  for (const piece of pieces) {
+    if (current && current.length + join.length + piece.length > chunkSize) {
+      chunks.push(current)
+      const carried = _tail(current, Math.min(overlap, chunkSize - piece.length - join.length))
+      current = carried ? carried + join + piece : piece
+    } else {
+      current = current ? current + join + piece : piece
+    }
+  }
+  if (current) chunks.push(current)
+  return chunks
+}
+
+// the documents to store for `text`
+export function chunkDocuments(parentId, text, metadata, options) {
+  const texts = chunkText(text, options)
+  return texts.map((chunk, chunkIndex) => ({
+    id: `${parentId}#${chunkIndex}`,
+    text: chunk,
+    metadata: { ...metadata, parentId, chunkIndex, chunkCount: texts.length, [CHUNK_OF]: parentId },
+  }))
+}
+
+// the stored chunks of document `parentId`
+export async function chunksOf(db, parentId) {
+  return (await db.filter(metadata => !!metadata && metadata[CHUNK_OF] === parentId)) || []
+}
+
+// One hit per source document, best first: `{ id: parentId, score, metadata, passages }` where `passages`
+// are its matching chunks `{ id, text, chunkIndex, score }` in score order and `metadata` is the best
+// chunk's without the chunk keys. Hits that aren't chunks (whatever their metadata says) stand alone with themselves as the one passage.
+export function groupByParent(hits, topK) {
+  const groups = new Map() // parentId -> group
+  for (const hit of hits) {
+    const metadata = hit.metadata || {}
+    const parentId = metadata[CHUNK_OF] ?? hit.id
+    let group = groups.get(parentId)
+    if (!group) {
+      const own = { ...metadata }
+      for (const key of CHUNK_KEYS) delete own[key]
+      group = { id: parentId, score: hit.score, metadata: own, passages: [] }
+      if (hit.scores) group.scores = hit.scores
+      groups.set(parentId, group)
+    }
+    const passage = { id: hit.id, text: hit.text, chunkIndex: metadata.chunkIndex ?? null, score: hit.score }
+    if (hit.scores) passage.scores = hit.scores
+    group.passages.push(passage)
+  }
+  return [...groups.values()].sort((a, b) => b.score - a.score).slice(0, topK)
+}
+
+// a piece too long for one chunk, cut at whitespace where there is some
+function _cut(piece, size) {
+  const out = []
+  let rest = piece
+  while (rest.length > size) {
+    const space = rest.lastIndexOf(' ', size)
+    const at = space > 0 ? space : size
+    out.push(rest.slice(0, at).trim())
+    rest = rest.slice(at).trim()
+  }
+  if (rest) out.push(rest)
+  return out
+}
+
+// at most `n` characters from the end of `text`, starting at a word
+function _tail(text, n) {
+  if (n <= 0) return ''
+  if (text.length <= n) return text
+  const tail = text.slice(-n)
+  const space = tail.indexOf(' ')
+  return space === -1 ? '' : tail.slice(space + 1)
+}
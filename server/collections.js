@@ -0,0 +1,130 @@
+import fs from 'fs/promises'
+import path from 'path'
+import { ValidationError } from './errors.js'
+
+// Named collections, each backed by its own VectoriaDB instance (and storage namespace).
+// Instances are created lazily on first use through the `create(name)` factory supplied by the
+// server; concurrent first uses share the same initialization promise.
+//
+// With a `manifest` path, the names of created collections are also kept in that JSON file, so the
+// collections persisted before a restart still exist (and are listed) after it.
+
+const NAME_RE = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/
+
+export function assertCollectionName(name) {
+  if (typeof name !== 'string' || !NAME_RE.test(name)) {
+    throw new ValidationError('collection name must be 1-64 chars of letters, digits, "_", "." or "-"', {
+      param: 'collection',
+    })
+  }
+  return name
+}
+
+export default class CollectionManager {
+  constructor({ create, manifest = null }) {
+    if (typeof create !== 'function') throw new TypeError('create must be a function')
+    this._create = create
+    this._instances = new Map() // name -> Promise<VectoriaDB>
+    this._manifest = manifest
+    this._stored = null // Promise<Set(name)>, read from the manifest once
+    this._writes = Promise.resolve() // manifest writes run one at a time
+  }
+
+  has(name) {
+    return this._instances.has(name)
+  }
+
+  names() {
+    return Array.from(this._instances.keys()).sort()
+  }
+
+  // whether `name` was created, in this process or (with a manifest) before it
+  async exists(name) {
+    return this._instances.has(name) || (await this._storedNames()).has(name)
+  }
+
+  // every existing collection: the open ones and those in the manifest
+  async known() {
+    return Array.from(new Set([...this._instances.keys(), ...(await this._storedNames())])).sort()
+  }
+
+  // resolve a collection's instance, creating it on first use
+  async get(name) {
+    assertCollectionName(name)
+    let pending = this._instances.get(name)
+    if (!pending) {
+      pending = Promise.resolve()
+        .then(() => this._create(name))
+        .then(async db => {
+          await this._record(name, true)
+          return db
+        })
+      this._instances.set(name, pending)
+      // forget failed creations so the next call retries
+      pending.catch(() => {
+        if (this._instances.get(name) === pending) this._instances.delete(name)
+      })
+    }
+    return pending
+  }
+
+  // all successfully created instances as [name, instance] pairs
+  async entries() {
+    const out = []
+    for (const [name, pending] of Array.from(this._instances)) {
+      try {
+        out.push([name, await pending])
+      } catch (e) {
+        /* failed creations are not collections */
+      }
+    }
+    return out
+  }
+
+  // remove a collection and wipe its index and storage. Collections that weren't opened by this
+  // process are opened first so their persisted data is cleared too.
+  async drop(name) {
+    const db = await this.get(name)
+    this._instances.delete(name)
+    await this._record(name, false)
+    if (typeof db.clear === 'function') await db.clear()
+    if (typeof db.clearStorage === 'function') await db.clearStorage()
+  }
+
+  _storedNames() {
+    if (!this._stored) {
+      const stored = this._manifest
+        ? fs.readFile(this._manifest, 'utf8').then(
+            text => new Set(JSON.parse(text)),
+            err => {
+              // no manifest yet: no collections were created
+              if (err.code === 'ENOENT') return new Set()
+              throw err
+            }
+          )
+        : Promise.resolve(new Set())
+      this._stored = stored
+      // an unreadable manifest is read again next time
+      stored.catch(() => this._stored === stored && (this._stored = null))
+    }
+    return this._stored
+  }
+
+  // add `name` to (or remove it from) the manifest
+  _record(name, present) {
+    const write = async () => {
+      const stored = await this._storedNames()
+      if (stored.has(name) === present) return
+      if (present) stored.add(name)
+      else stored.delete(name)
+      if (!this._manifest) return
+      await fs.mkdir(path.dirname(this._manifest), { recursive: true })
+      const tmp = `${this._manifest}.tmp`
+      await fs.writeFile(tmp, JSON.stringify([...stored].sort()))
+      await fs.rename(tmp, this._manifest)
+    }
+    const result = this._writes.then(write)
+    this._writes = result.catch(() => {})
+    return result
+  }
+}
@@ -7,17 +7,12 @@ async function main() {
     vectoriadbConfig: {
       storageAdapter: new FileStorageAdapter({ cacheDir: './.cache/vectoriadb', namespace: 'default' }),
     },
+    // graceful shutdown: drain in-flight requests, save and exit on Ctrl+C / SIGTERM
+    handleSignals: true,
   })
 
   await server.listen()
   console.log('Demo server is running. Connect with the client demo in the client folder.')
-
-  // graceful shutdown
-  process.on('SIGINT', async () => {
-    console.log('Shutting down...')
-    await server.close()
-    process.exit(0)
-  })
 }
 
 main().catch(err => console.error(err))
@@ -0,0 +1,70 @@
+// Errors surfaced to clients. Every error carries a stable `code` that is sent in the
+// response envelope ({ error: { message, name, code, details } }); the message stays human readable.
+
+export class RpcError extends Error {
+  constructor(code, message, details = undefined) {
+    super(message)
+    this.name = code
+    this.code = code
+    if (details !== undefined) this.details = details
+  }
+
+  toJSON() {
+    const out = { message: this.message, name: this.name, code: this.code }
+    if (this.details !== undefined) out.details = this.details
+    return out
+  }
+}
+
+export class UnauthorizedError extends RpcError {
+  constructor(message = 'Unauthorized') {
+    super('Unauthorized', message)
+  }
+}
+
+// authenticated, but not allowed (missing scope, other collection, disabled feature)
+export class ForbiddenError extends RpcError {
+  constructor(message, details, code = 'Forbidden') {
+    super(code, `${code}: ${message}`, details)
+  }
+}
+
+export class MethodNotFoundError extends RpcError {
+  constructor(method) {
+    super('MethodNotFound', `MethodNotFound: ${method}`, { method })
+  }
+}
+
+export class ValidationError extends RpcError {
+  constructor(message, details) {
+    super('InvalidParams', `InvalidParams: ${message}`, details)
+  }
+}
+
+export class ServerTimeoutError extends RpcError {
+  constructor(timeoutMs) {
+    super('ServerTimeout', 'ServerTimeout', { timeoutMs })
+  }
+}
+
+// over a rate limit or concurrency quota; `details.retryAfterMs` says when trying again may succeed
+export class RateLimitedError extends RpcError {
+  constructor(message, details) {
+    super('RateLimited', `RateLimited: ${message}`, details)
+  }
+}
+
+// Errors thrown by VectoriaDB itself, mapped by class name to the codes clients understand
+const UPSTREAM_CODES = {
+  DocumentNotFoundError: 'DocumentNotFound',
+  DocumentValidationError: 'InvalidParams',
+  QueryValidationError: 'InvalidParams',
+}
+
+// normalize any thrown value into an RpcError; by class name or an already stable `code`, never by message
+export function toRpcError(err) {
+  if (err instanceof RpcError) return err
+  const message = err?.message || String(err)
+  const code = UPSTREAM_CODES[err?.name] || (Object.values(UPSTREAM_CODES).includes(err?.code) ? err.code : 'InternalError')
+  return new RpcError(code, message)
+}
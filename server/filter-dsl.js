@@ -0,0 +1,159 @@
+// Declarative (JSON) filter language compiled into metadata predicates.
+//
+// A filter spec is a plain object in a Mongo-like shape:
+//   { category: 'tech', priority: { $gt: 5 }, 'author.name': { $in: ['Ann', 'Bob'] } }
+//   { $or: [{ status: 'draft' }, { $not: { archived: true } }] }
+//
+// Unlike serialized function filters the spec is data only, so compiling it never
+// executes client-supplied code in the server process.
+
+import { RpcError } from './errors.js'
+
+const FIELD_OPERATORS = new Set(['$eq', '$ne', '$in', '$nin', '$gt', '$gte', '$lt', '$lte', '$exists', '$not'])
+const MAX_DEPTH = 32
+
+export class FilterSpecError extends RpcError {
+  constructor(message) {
+    super('InvalidFilter', `InvalidFilter: ${message}`)
+  }
+}
+
+export function isPlainObject(v) {
+  if (!v || typeof v !== 'object' || Array.isArray(v)) return false
+  const proto = Object.getPrototypeOf(v)
+  return proto === Object.prototype || proto === null
+}
+
+// true when `v` is an operator object such as { $gt: 1, $lt: 5 }
+function _isOperatorObject(v) {
+  if (!isPlainObject(v)) return false
+  const keys = Object.keys(v)
+  return keys.length > 0 && keys.every(k => k.startsWith('$'))
+}
+
+// resolve a dot-path ('a.b.c') against metadata; only own properties are followed
+export function getPath(obj, path) {
+  let cur = obj
+  for (const seg of path.split('.')) {
+    if (cur === null || typeof cur !== 'object') return undefined
+    if (!Object.prototype.hasOwnProperty.call(cur, seg)) return undefined
+    cur = cur[seg]
+  }
+  return cur
+}
+
+function _deepEqual(a, b) {
+  if (a === b) return true
+  if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') return false
+  if (Array.isArray(a) !== Array.isArray(b)) return false
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((v, i) => _deepEqual(v, b[i]))
+  }
+  const ka = Object.keys(a)
+  const kb = Object.keys(b)
+  return ka.length === kb.length && ka.every(k => Object.prototype.hasOwnProperty.call(b, k) && _deepEqual(a[k], b[k]))
+}
+
+// equality with Mongo-style array semantics: an array field matches a scalar when it contains it
+function _matchesEq(value, operand) {
+  if (_deepEqual(value, operand)) return true
+  if (Array.isArray(value) && !Array.isArray(operand)) return value.some(v => _deepEqual(v, operand))
+  return false
+}
+
+function _comparable(value, operand) {
+  if (typeof value === 'number' && typeof operand === 'number') return true
+  if (typeof value === 'string' && typeof operand === 'string') return true
+  return false
+}
+
+function _compileFieldOps(path, ops, depth) {
+  const checks = Object.keys(ops).map(op => {
+    if (!FIELD_OPERATORS.has(op)) throw new FilterSpecError(`unknown operator ${op} on "${path}"`)
+    const operand = ops[op]
+    switch (op) {
+      case '$eq':
+        return v => _matchesEq(v, operand)
+      case '$ne':
+        return v => !_matchesEq(v, operand)
+      case '$in':
+      case '$nin': {
+        if (!Array.isArray(operand)) throw new FilterSpecError(`${op} on "${path}" expects an array`)
+        const negate = op === '$nin'
+        return v => operand.some(o => _matchesEq(v, o)) !== negate
+      }
+      case '$gt':
+      case '$gte':
+      case '$lt':
+      case '$lte': {
+        if (typeof operand !== 'number' && typeof operand !== 'string') {
+          throw new FilterSpecError(`${op} on "${path}" expects a number or string`)
+        }
+        return v => {
+          if (!_comparable(v, operand)) return false
+          if (op === '$gt') return v > operand
+          if (op === '$gte') return v >= operand
+          if (op === '$lt') return v < operand
+          return v <= operand
+        }
+      }
+      case '$exists':
+        if (typeof operand !== 'boolean') throw new FilterSpecError(`$exists on "${path}" expects a boolean`)
+        return (v, present) => present === operand
+      case '$not': {
+        if (!_isOperatorObject(operand)) throw new FilterSpecError(`$not on "${path}" expects an operator object`)
+        const inner = _compileFieldOps(path, operand, depth + 1)
+        return (v, present) => !inner(v, present)
+      }
+    }
+  })
+  return (v, present) => checks.every(check => check(v, present))
+}
+
+function _compileSpec(spec, depth) {
+  if (depth > MAX_DEPTH) throw new FilterSpecError('filter is nested too deeply')
+  if (!isPlainObject(spec)) throw new FilterSpecError('filter spec must be a plain object')
+
+  const clauses = Object.keys(spec).map(key => {
+    const value = spec[key]
+
+    if (key === '$and' || key === '$or') {
+      if (!Array.isArray(value) || value.length === 0) throw new FilterSpecError(`${key} expects a non-empty array`)
+      const parts = value.map(s => _compileSpec(s, depth + 1))
+      return key === '$and' ? m => parts.every(p => p(m)) : m => parts.some(p => p(m))
+    }
+    if (key === '$not') {
+      const inner = _compileSpec(value, depth + 1)
+      return m => !inner(m)
+    }
+    if (key.startsWith('$')) throw new FilterSpecError(`unknown top-level operator ${key}`)
+
+    const fieldCheck = _isOperatorObject(value) ? _compileFieldOps(key, value, depth + 1) : v => _matchesEq(v, value)
+    return m => {
+      const v = getPath(m, key)
+      return fieldCheck(v, v !== undefined)
+    }
+  })
+
+  return m => clauses.every(c => c(m))
+}
+
+// Compile a filter spec into `predicate(metadata) => boolean`. Throws FilterSpecError on malformed specs.
+// The predicate keeps the spec as `predicate.spec`, for narrowing with metadata indexes (metadata-index.js).
+export function compileFilter(spec) {
+  const predicate = _compileSpec(spec, 0)
+  const compiled = function (m) {
+    try {
+      return predicate(m || {})
+    } catch (e) {
+      return false
+    }
+  }
+  compiled.spec = spec
+  return compiled
+}
+
+// true for the wire form the client SDK sends: { __isFilterSpec: true, spec: {...} }
+export function isSerializedFilterSpec(v) {
+  return !!(v && typeof v === 'object' && v.__isFilterSpec === true && isPlainObject(v.spec))
+}
@@ -0,0 +1,294 @@
+import { isPlainObject } from './filter-dsl.js'
+import { RpcError, UnauthorizedError, toRpcError } from './errors.js'
+import { plainVectors } from './vectors.js'
+
+// JSON API over plain HTTP, served next to Socket.IO for callers that can't use it (curl, serverless
+// functions, non-JS services). Every route maps to an RPC method and goes through the same auth,
+// validation and dispatch as a socket request. Responses mirror the socket envelope without the id:
+// `{ result, took }` or `{ error: { message, name, code, details }, took }`.
+//
+// Routes under `/v1/collections/:name/...` target that collection, e.g. `POST /v1/collections/docs/search`.
+
+const STATUS_BY_CODE = {
+  InvalidRequest: 400,
+  InvalidParams: 400,
+  InvalidFilter: 400,
+  DimensionMismatch: 400,
+  Unauthorized: 401,
+  Forbidden: 403,
+  FunctionFiltersDisabled: 403,
+  MethodNotFound: 404,
+  NotFound: 404,
+  DocumentNotFound: 404,
+  PayloadTooLarge: 413,
+  RateLimited: 429,
+  ServerShuttingDown: 503,
+  ServerTimeout: 504,
+}
+
+const _filterParam = filter => (isPlainObject(filter) && !filter.__isFnString ? { __isFilterSpec: true, spec: filter } : filter)
+const _body = body => (isPlainObject(body) ? body : {})
+
+function _searchCall(body) {
+  const { query, ...options } = _body(body)
+  return ['search', [query, options]]
+}
+
+function _filterCall(body) {
+  const { filter, ...options } = _body(body)
+  return ['filter', Object.keys(options).length ? [_filterParam(filter), options] : [_filterParam(filter)]]
+}
+
+// one document, or many as a JSON array / `{ documents: [...] }`
+function _addCall(body) {
+  if (Array.isArray(body)) return ['addMany', [body]]
+  const { id, text, metadata, documents } = _body(body)
+  return Array.isArray(documents) ? ['addMany', [documents]] : ['add', [id, text, metadata]]
+}
+
+// { id, vector, metadata }, or many as a JSON array / `{ documents: [...] }`; vectors are number arrays or
+// encoded ones with base64 `data`
+function _addVectorCall(body) {
+  if (Array.isArray(body)) return ['addManyVectors', [body]]
+  const { id, vector, metadata, documents } = _body(body)
+  return Array.isArray(documents) ? ['addManyVectors', [documents]] : ['addVector', [id, vector, metadata]]
+}
+
+// { id, text, metadata, chunkSize, overlap, splitter }
+function _ingestCall(body) {
+  const { id, text, metadata, ...options } = _body(body)
+  return ['ingestDocument', [id, text, metadata, options]]
+}
+
+function _decode(segment) {
+  try {
+    return decodeURIComponent(segment)
+  } catch (e) {
+    return segment
+  }
+}
+
+// [http method, path segments (':x' captures), (body, captures) => [rpc method, params]]
+const ROUTES = [
+  ['POST', ['search'], _searchCall],
+  ['POST', ['filter'], _filterCall],
+  ['GET', ['size'], () => ['size', []]],
+  ['POST', ['documents'], _addCall],
+  ['GET', ['documents', ':id'], (body, { id }) => ['get', [id]]],
+  ['PATCH', ['documents', ':id'], (body, { id }) => ['update', [id, body]]],
+  ['DELETE', ['documents', ':id'], (body, { id }) => ['remove', [id]]],
+  ['POST', ['vectors'], _addVectorCall],
+  ['POST', ['ingest'], _ingestCall],
+  ['DELETE', ['ingest', ':id'], (body, { id }) => ['removeDocument', [id]]],
+  ['POST', ['storage', 'save'], () => ['saveToStorage', []]],
+  ['POST', ['storage', 'load'], () => ['loadFromStorage', []]],
+  ['POST', ['storage', 'clear'], () => ['clearStorage', []]],
+  ['GET', ['snapshot'], () => ['exportSnapshot', []]],
+  ['GET', ['stats'], () => ['getStats', []]],
+  ['POST', ['snapshot'], body => ['importSnapshot', [_body(body).documents, { mode: _body(body).mode }]]],
+  ['GET', ['collections'], () => ['listCollections', []]],
+  ['POST', ['collections'], body => ['createCollection', [_body(body).name]]],
+  ['DELETE', ['collections', ':name'], (body, { name }) => ['dropCollection', [name]]],
+  // generic entry point for any registered method: { method, params }
+  ['POST', ['rpc'], body => [_body(body).method, _body(body).params ?? []]],
+  // several calls at once, run by the server's batch runner: { ops: [{ method, params }], atomic }
+  ['POST', ['batch'], null],
+]
+
+function _match(method, segments) {
+  let pathMatched = false
+  for (const [verb, pattern, toCall] of ROUTES) {
+    if (pattern.length !== segments.length) continue
+    const captures = {}
+    const ok = pattern.every((part, i) => (part.startsWith(':') ? (captures[part.slice(1)] = segments[i]) : part === segments[i]))
+    if (!ok) continue
+    pathMatched = true
+    if (verb === method) return { found: true, toCall, captures }
+  }
+  return { found: false, pathMatched }
+}
+
+function _readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    let parts = []
+    let size = 0
+    req.on('data', part => {
+      size += part.length
+      // past the limit, keep draining without buffering so the client still gets the 413
+      if (size > maxBytes) parts = null
+      else parts.push(part)
+    })
+    req.on('end', () => {
+      if (!parts) return reject(new RpcError('PayloadTooLarge', `request body exceeds ${maxBytes} bytes`, { maxBytes }))
+      const text = Buffer.concat(parts).toString('utf8')
+      if (!text.trim()) return resolve(undefined)
+      try {
+        resolve(JSON.parse(text))
+      } catch (e) {
+        reject(new RpcError('InvalidRequest', 'request body must be valid JSON'))
+      }
+    })
+    req.on('error', reject)
+  })
+}
+
+function _apiKeyFrom(req) {
+  const auth = req.headers.authorization
+  if (typeof auth === 'string' && /^bearer /i.test(auth)) return auth.slice(7).trim()
+  return req.headers['x-api-key'] || null
+}
+
+export function createHttpHandler(server, { maxBodyBytes = 1e7 } = {}) {
+  const corsOrigin = origin => {
+    if (!server.cors.length) return '*'
+    return origin && server.cors.includes(origin) ? origin : null
+  }
+
+  const send = (req, res, status, body, extraHeaders = {}) => {
+    if (res.writableEnded || res.destroyed) return
+    const headers = { 'Content-Type': 'application/json', ...extraHeaders }
+    const origin = corsOrigin(req.headers.origin)
+    if (origin) headers['Access-Control-Allow-Origin'] = origin
+    res.writeHead(status, headers)
+    res.end(JSON.stringify(body, plainVectors))
+  }
+
+  const sendError = (req, res, err, took) => {
+    const error = server._serializeError(err)
+    // rate limited: `Retry-After` (whole seconds) for generic HTTP clients, `details.retryAfterMs` for ours
+    const retryAfterMs = error.code === 'RateLimited' ? error.details?.retryAfterMs : undefined
+    const headers = retryAfterMs > 0 ? { 'Retry-After': String(Math.ceil(retryAfterMs / 1000)) } : {}
+    send(req, res, STATUS_BY_CODE[error.code] || 500, { error, took }, headers)
+  }
+
+  return async (req, res) => {
+    const start = Date.now()
+    const url = new URL(req.url, 'http://localhost')
+
+    if (url.pathname === '/') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' })
+      return res.end('VectoriaDB Server')
+    }
+
+    if (req.method === 'OPTIONS') {
+      const origin = corsOrigin(req.headers.origin)
+      res.writeHead(204, {
+        ...(origin ? { 'Access-Control-Allow-Origin': origin } : {}),
+        'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key, X-Request-Id, Idempotency-Key',
+      })
+      return res.end()
+    }
+
+    // Prometheus scrape endpoint; with API keys enabled it takes a key with the `admin` scope, like `getStats`
+    if (url.pathname === '/metrics' && req.method === 'GET' && server.metrics) {
+      try {
+        const caller = { data: {} }
+        if (server._apiKeys.enabled) caller.data.apiKey = await server._apiKeys.resolve(_apiKeyFrom(req))
+        server._authorize(caller, 'getStats')
+        const text = await server.metricsText()
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' })
+        return res.end(text)
+      } catch (err) {
+        return sendError(req, res, err, Date.now() - start)
+      }
+    }
+
+    let segments = url.pathname.split('/').filter(Boolean).map(_decode)
+    if (segments[0] !== 'v1') return sendError(req, res, new RpcError('NotFound', `no route for ${req.method} ${url.pathname}`), 0)
+    segments = segments.slice(1)
+
+    if (req.method === 'GET' && segments.length === 1 && segments[0] === 'health') {
+      return send(req, res, 200, { ok: true, ts: Date.now() })
+    }
+
+    // /v1/collections/:name/<route> targets a collection
+    let collection
+    if (segments[0] === 'collections' && segments.length > 2) {
+      collection = segments[1]
+      segments = segments.slice(2)
+    }
+
+    const route = _match(req.method, segments)
+    if (!route.found) {
+      const err = route.pathMatched
+        ? new RpcError('InvalidRequest', `${req.method} is not supported on ${url.pathname}`)
+        : new RpcError('NotFound', `no route for ${req.method} ${url.pathname}`)
+      return sendError(req, res, err, Date.now() - start)
+    }
+
+    // an HTTP client that hangs up cancels its request, like a socket `cancel`
+    const controller = new AbortController()
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort()
+    })
+
+    const done = server._metrics.start()
+    let label = route.toCall === null ? 'batch' : 'unknown' // the method, for metrics
+    // the caller object stands in for a socket; rate limits count per remote address
+    const caller = { data: { clientId: `ip:${req.socket.remoteAddress}` } }
+    // hooks and logs see the method once the body has been read
+    const ctx = server._requestContext(caller, {
+      requestId: req.headers['x-request-id'] ?? null,
+      method: route.toCall === null ? 'batch' : null,
+      collection,
+      transport: 'http',
+      headers: req.headers,
+    })
+    let failure = null
+    let result
+    let release = null
+    try {
+      server._assertAccepting()
+      // resolve the API key once per request
+      if (server._apiKeys.enabled) {
+        caller.data.apiKey = await server._apiKeys.resolve(_apiKeyFrom(req))
+        if (!caller.data.apiKey) throw new UnauthorizedError()
+        ctx.apiKeyId = caller.data.apiKey.id
+      }
+
+      const body = req.method === 'GET' || req.method === 'DELETE' ? undefined : await _readBody(req, maxBodyBytes)
+      if (body !== undefined && !isPlainObject(body) && !Array.isArray(body)) {
+        throw new RpcError('InvalidRequest', 'request body must be a JSON object or array')
+      }
+      const timeout = Number(url.searchParams.get('timeout')) || undefined
+      // retries of a mutation send the same `Idempotency-Key`, and the server runs it once
+      const idempotencyKey = req.headers['idempotency-key']
+
+      if (route.toCall === null) {
+        const { ops, atomic } = _body(body)
+        ctx.params = ops
+        await server._beforeRequest(ctx)
+        result = await server._executeBatch(caller, { ops, atomic, collection, timeout, idempotencyKey }, controller.signal)
+        return send(req, res, 200, { result, took: Date.now() - start })
+      }
+
+      const [method, params] = route.toCall(body, route.captures)
+      if (!method || typeof method !== 'string') throw new RpcError('InvalidRequest', 'Missing method')
+      label = server._metricsLabel(method)
+      ctx.method = method
+      ctx.params = params
+
+      release = server._admit(caller, server._costOf(method))
+      await server._beforeRequest(ctx)
+      const call = await server._prepareCall(caller, { method, params, collection }, controller.signal)
+      const work = server._isMutationMethod(method) ? server._once(caller, idempotencyKey, call.run) : call.run()
+      result = await server._runWithDeadline(work, server._timeoutFor({ timeout }), controller.signal)
+
+      // `GET /documents/:id` of a missing id answers 404 rather than `{ result: null }`
+      if (route.captures.id !== undefined && method === 'get' && (result === undefined || result === null)) {
+        throw new RpcError('DocumentNotFound', `document "${params[0]}" not found`, { id: params[0] })
+      }
+      send(req, res, 200, { result: result === undefined ? null : result, took: Date.now() - start })
+    } catch (err) {
+      failure = toRpcError(err)
+      if (controller.signal.aborted) return
+      sendError(req, res, failure, Date.now() - start)
+    } finally {
+      release?.()
+      if (controller.signal.aborted) failure = new RpcError('Cancelled', 'Cancelled')
+      done(label, failure?.code ?? null)
+      await server._afterRequest(ctx, result, failure)
+    }
+  }
+}
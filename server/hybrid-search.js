@@ -0,0 +1,79 @@
+import { ValidationError } from './errors.js'
+
+// `search` modes: VectoriaDB's vector similarity (the default), BM25 keyword matching over `text`
+// (keyword-index.js), or both fused into one ranking:
+// - `fusion: 'linear'` (default): alpha * vector score + (1 - alpha) * keyword score, the keyword scores
+//   scaled so the best match is 1
+// - `fusion: 'rrf'`: reciprocal rank fusion, the sum of 1 / (rrfK + rank) over both rankings
+// Keyword and hybrid results carry `scores: { vector, keyword }` (null where a document didn't match).
+
+export const SEARCH_MODES = ['vector', 'keyword', 'hybrid']
+export const FUSION_METHODS = ['linear', 'rrf']
+
+// options handled here rather than by VectoriaDB
+const OWN_OPTIONS = ['mode', 'alpha', 'fusion', 'rrfK', 'candidates']
+
+// split `search` options into this module's (validated, with defaults) and the ones for VectoriaDB
+export function parseSearchOptions(options = {}) {
+  const rest = { ...options }
+  for (const name of OWN_OPTIONS) delete rest[name]
+  const { mode = 'vector', alpha = 0.5, fusion = 'linear', rrfK = 60 } = options
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new ValidationError(`options.mode must be one of ${SEARCH_MODES.join(', ')}`, { param: 'options.mode' })
+  }
+  if (!FUSION_METHODS.includes(fusion)) {
+    throw new ValidationError(`options.fusion must be one of ${FUSION_METHODS.join(', ')}`, { param: 'options.fusion' })
+  }
+  if (!(alpha >= 0 && alpha <= 1)) throw new ValidationError('options.alpha must be between 0 and 1', { param: 'options.alpha' })
+  if (!(rrfK > 0)) throw new ValidationError('options.rrfK must be positive', { param: 'options.rrfK' })
+  const topK = rest.topK ?? 10
+  // how many matches each side contributes before fusing
+  const candidates = options.candidates ?? Math.max(topK * 5, 50)
+  if (!(candidates >= topK)) throw new ValidationError('options.candidates must be at least topK', { param: 'options.candidates' })
+  return { mode, alpha, fusion, rrfK, topK, candidates, rest }
+}
+
+// Keyword or hybrid search on `db`, with `keywords` its KeywordIndex. `query` must be text; `vectorQuery`,
+// when given, is its embedding for the vector side.
+export async function fusedSearch(db, keywords, query, { mode, alpha, fusion, rrfK, topK, candidates, rest, vectorQuery = null }) {
+  if (typeof query !== 'string') {
+    throw new ValidationError(`${mode} search needs a text query`, { param: 'query' })
+  }
+  const keywordHits = keywords.search(query, { topK: mode === 'keyword' ? topK : candidates, filter: rest.filter })
+  const vectorHits = mode === 'hybrid' ? (await db.search(vectorQuery ?? query, { ...rest, topK: candidates })) || [] : []
+
+  const byId = new Map() // id -> { doc, vector, keyword, vectorRank, keywordRank }
+  const entry = id => {
+    if (!byId.has(id)) byId.set(id, { doc: null, vector: null, keyword: null })
+    return byId.get(id)
+  }
+  vectorHits.forEach((hit, i) => {
+    const e = entry(hit.id)
+    const { score, ...doc } = hit
+    Object.assign(e, { doc, vector: score, vectorRank: i + 1 })
+  })
+  keywordHits.forEach((hit, i) => Object.assign(entry(hit.id), { keyword: hit.score, keywordRank: i + 1 }))
+
+  const maxKeyword = keywordHits.length ? keywordHits[0].score : 0
+  const fused = [...byId].map(([id, e]) => {
+    let score
+    if (mode === 'keyword') score = e.keyword
+    else if (fusion === 'rrf') score = (e.vectorRank ? 1 / (rrfK + e.vectorRank) : 0) + (e.keywordRank ? 1 / (rrfK + e.keywordRank) : 0)
+    else score = alpha * (e.vector ?? 0) + (1 - alpha) * (maxKeyword > 0 ? (e.keyword ?? 0) / maxKeyword : 0)
+    return { id, e, score }
+  })
+  fused.sort((a, b) => b.score - a.score)
+
+  const results = []
+  for (const { id, e, score } of fused.slice(0, topK)) {
+    // keyword-only matches are looked up; the stored embedding isn't part of a search result
+    let doc = e.doc
+    if (!doc) {
+      const stored = await db.get(id)
+      if (!stored) continue
+      doc = { id, text: stored.text, metadata: stored.metadata }
+    }
+    results.push({ ...doc, score, scores: { vector: e.vector, keyword: e.keyword } })
+  }
+  return results
+}
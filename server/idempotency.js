@@ -0,0 +1,46 @@
+// Remembers recent idempotency keys so a replayed mutation isn't applied twice.
+//
+// Clients attach a unique `idempotencyKey` to every mutation (and keep resending it until they get an
+// answer). The first request with a key runs; later ones with the same key, while it is still running or
+// up to `ttlMs` after it succeeded, get its outcome without running again. A failed run is forgotten, so
+// the client can retry it. Keys are scoped per caller (API key id), so tenants can't collide.
+
+export default class IdempotencyCache {
+  constructor({ ttlMs = 10 * 60 * 1000, maxKeys = 10000 } = {}) {
+    this.ttlMs = ttlMs
+    this.maxKeys = Math.max(1, maxKeys)
+    this._entries = new Map() // `${scope}\n${key}` -> { promise, expiresAt } (oldest first)
+  }
+
+  get size() {
+    return this._entries.size
+  }
+
+  // run `work()` unless `key` was already seen for `scope`; resolves with the first run's result
+  run(scope, key, work) {
+    const id = `${scope}\n${key}`
+    this._prune()
+    const existing = this._entries.get(id)
+    if (existing) return existing.promise
+
+    const entry = { promise: null, expiresAt: Infinity }
+    entry.promise = Promise.resolve().then(work)
+    entry.promise.then(
+      () => (entry.expiresAt = Date.now() + this.ttlMs),
+      () => {
+        if (this._entries.get(id) === entry) this._entries.delete(id)
+      }
+    )
+    this._entries.set(id, entry)
+    return entry.promise
+  }
+
+  // Entries are in insertion order, so this stops at the first finished, unexpired one; running
+  // entries are skipped. Past `maxKeys` the oldest are dropped, running or not.
+  _prune(now = Date.now()) {
+    for (const [id, entry] of this._entries) {
+      if (this._entries.size >= this.maxKeys || entry.expiresAt <= now) this._entries.delete(id)
+      else if (entry.expiresAt !== Infinity) break
+    }
+  }
+}
@@ -1,5 +1,6 @@
 import VectoriaDBServer from './vectoriadb-server.js'
 import { FileStorageAdapter } from 'vectoriadb'
+import { ForbiddenError, RpcError, UnauthorizedError } from './errors.js'
 
 // // If run directly, start a demo server
 // if (process.argv[1] && process.argv[1].endsWith('index.js')) {
@@ -19,5 +20,6 @@ import { FileStorageAdapter } from 'vectoriadb'
 //   })
 // }
 
-export { VectoriaDBServer, FileStorageAdapter }
+// error classes for request hooks that reject calls
+export { VectoriaDBServer, FileStorageAdapter, RpcError, ForbiddenError, UnauthorizedError }
 export default VectoriaDBServer
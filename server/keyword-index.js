@@ -0,0 +1,96 @@
+// BM25 inverted index over document `text`, for keyword and hybrid search (see hybrid-search.js).
+//
+// The server builds one per index the first time it is searched by keyword, from the documents already
+// stored, and then keeps it current from the mutations it commits. `k1` (term frequency saturation) and
+// `b` (length normalization) are the usual BM25 parameters.
+
+// lowercase runs of letters and digits: "ERR-4012 timeout" -> ['err', '4012', 'timeout']
+export function tokenize(text) {
+  return typeof text === 'string' ? text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [] : []
+}
+
+export default class KeywordIndex {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1
+    this.b = b
+    this._docs = new Map() // id -> { length, terms: Map(term -> frequency), metadata }
+    this._postings = new Map() // term -> Set(id)
+    this._totalLength = 0
+  }
+
+  get size() {
+    return this._docs.size
+  }
+
+  // add or replace a document
+  add(id, text, metadata = {}) {
+    this.remove(id)
+    const tokens = tokenize(text)
+    const terms = new Map()
+    for (const token of tokens) terms.set(token, (terms.get(token) || 0) + 1)
+    this._docs.set(id, { length: tokens.length, terms, metadata: metadata || {} })
+    this._totalLength += tokens.length
+    for (const term of terms.keys()) {
+      let ids = this._postings.get(term)
+      if (!ids) {
+        ids = new Set()
+        this._postings.set(term, ids)
+      }
+      ids.add(id)
+    }
+  }
+
+  remove(id) {
+    const doc = this._docs.get(id)
+    if (!doc) return false
+    this._docs.delete(id)
+    this._totalLength -= doc.length
+    for (const term of doc.terms.keys()) {
+      const ids = this._postings.get(term)
+      ids.delete(id)
+      if (ids.size === 0) this._postings.delete(term)
+    }
+    return true
+  }
+
+  clear() {
+    this._docs.clear()
+    this._postings.clear()
+    this._totalLength = 0
+  }
+
+  // The `topK` best matches for `query` as [{ id, score }], highest first. `filter` is a predicate on
+  // metadata, as for `search`.
+  search(query, { topK = 10, filter = null } = {}) {
+    const n = this._docs.size
+    if (n === 0) return []
+    const avgLength = this._totalLength / n || 1
+    const scores = new Map()
+    for (const term of new Set(tokenize(query))) {
+      const ids = this._postings.get(term)
+      if (!ids) continue
+      const idf = Math.log(1 + (n - ids.size + 0.5) / (ids.size + 0.5))
+      for (const id of ids) {
+        const doc = this._docs.get(id)
+        const tf = doc.terms.get(term)
+        const score = (idf * tf * (this.k1 + 1)) / (tf + this.k1 * (1 - this.b + (this.b * doc.length) / avgLength))
+        scores.set(id, (scores.get(id) || 0) + score)
+      }
+    }
+    const hits = []
+    for (const [id, score] of scores) {
+      if (filter && !_safeMatch(filter, this._docs.get(id).metadata)) continue
+      hits.push({ id, score })
+    }
+    return hits.sort((a, b) => b.score - a.score).slice(0, topK)
+  }
+}
+
+// a filter that throws on some document's metadata just doesn't match it
+function _safeMatch(filter, metadata) {
+  try {
+    return !!filter(metadata)
+  } catch (e) {
+    return false
+  }
+}
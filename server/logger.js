@@ -0,0 +1,35 @@
+// Server logging. The `logger` option takes any pino-compatible logger: `debug`, `info`, `warn` and
+// `error`, each called as `(fields, message)`. Without one, the server writes the same thing as JSON lines
+// to the console (at `logLevel` and above); `logger: false` turns logging off.
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error']
+
+const silent = Object.fromEntries(LOG_LEVELS.map(level => [level, () => {}]))
+
+export function createLogger(option, { level = 'info' } = {}) {
+  if (option === false) return silent
+  if (option === undefined || option === null || option === true) return new ConsoleLogger({ level })
+  if (LOG_LEVELS.every(l => typeof option[l] === 'function')) return option
+  throw new TypeError(`logger must have ${LOG_LEVELS.join(', ')} methods`)
+}
+
+export class ConsoleLogger {
+  constructor({ level = 'info', write = null } = {}) {
+    if (!LOG_LEVELS.includes(level)) throw new TypeError(`logLevel must be one of ${LOG_LEVELS.join(', ')}`)
+    this.min = LOG_LEVELS.indexOf(level)
+    this._write = write
+    for (const l of LOG_LEVELS) this[l] = (fields, message) => this._log(l, fields, message)
+  }
+
+  _log(level, fields, message) {
+    if (LOG_LEVELS.indexOf(level) < this.min) return
+    // pino also accepts a bare message
+    if (typeof fields === 'string') [fields, message] = [{}, fields]
+    const line = { level, time: Date.now(), msg: message, ...fields }
+    if (line.err instanceof Error) line.err = { message: line.err.message, code: line.err.code, stack: line.err.stack }
+    const text = JSON.stringify(line)
+    if (this._write) this._write(text)
+    else if (level === 'warn' || level === 'error') console.error(text)
+    else console.log(text)
+  }
+}
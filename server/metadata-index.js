@@ -0,0 +1,183 @@
+import { getPath } from './filter-dsl.js'
+import { stableKey } from './query-cache.js'
+
+// Secondary indexes over the metadata fields named in the server's `indexedFields` option, used to
+// narrow declarative filters (filter-dsl.js) to the documents that can match before the predicate runs.
+//
+// Each field maps its values to the ids holding them (every element, for array fields). Equality and
+// `$in` are lookups; `$gt` / `$gte` / `$lt` / `$lte` scan the field's sorted distinct values; `$exists:
+// true` is the set of ids with the field. `candidates(spec)` returns a superset of the matching ids, or
+// null when nothing in the spec narrows on an indexed field. The full predicate still decides.
+// `candidateFilter(ids)` turns such a set into a metadata predicate, for VectoriaDB's search filter.
+//
+// It has KeywordIndex's `add(id, text, metadata)` / `remove(id)` / `clear()`, so the server keeps both
+// current the same way.
+
+const RANGE_OPERATORS = ['$gt', '$gte', '$lt', '$lte']
+
+// values the index holds; objects (and arrays nested in arrays) are left to the predicate
+const _indexable = v => v === null || ['string', 'number', 'boolean'].includes(typeof v)
+
+class FieldIndex {
+  constructor() {
+    this.byValue = new Map() // value -> Set(id)
+    this.present = new Set() // ids with the field
+    this._sorted = null // distinct numbers and strings in order, rebuilt after values come or go
+  }
+
+  add(id, value) {
+    this.present.add(id)
+    for (const v of Array.isArray(value) ? value : [value]) {
+      if (!_indexable(v)) continue
+      let ids = this.byValue.get(v)
+      if (!ids) {
+        ids = new Set()
+        this.byValue.set(v, ids)
+        this._sorted = null
+      }
+      ids.add(id)
+    }
+  }
+
+  remove(id, value) {
+    this.present.delete(id)
+    for (const v of Array.isArray(value) ? value : [value]) {
+      const ids = this.byValue.get(v)
+      if (!ids) continue
+      ids.delete(id)
+      if (ids.size === 0) {
+        this.byValue.delete(v)
+        this._sorted = null
+      }
+    }
+  }
+
+  equal(value) {
+    return this.byValue.get(value) || new Set()
+  }
+
+  // ids with a value of the operand's type on the right side of it
+  range(op, operand) {
+    if (!this._sorted) {
+      const values = [...this.byValue.keys()].filter(v => typeof v === 'number' || typeof v === 'string')
+      this._sorted = {
+        number: values.filter(v => typeof v === 'number').sort((a, b) => a - b),
+        string: values.filter(v => typeof v === 'string').sort(),
+      }
+    }
+    const values = this._sorted[typeof operand]
+    const start = op === '$gt' || op === '$gte' ? _firstIndex(values, v => (op === '$gt' ? v > operand : v >= operand)) : 0
+    const end = op === '$lt' || op === '$lte' ? _firstIndex(values, v => (op === '$lt' ? v >= operand : v > operand)) : values.length
+    return _union(values.slice(start, end).map(v => this.byValue.get(v)))
+  }
+}
+
+export default class MetadataIndex {
+  constructor({ fields = [] } = {}) {
+    this.fields = new Map(fields.map(field => [field, new FieldIndex()]))
+    this._metadata = new Map() // id -> the indexed values it was added with
+  }
+
+  get size() {
+    return this._metadata.size
+  }
+
+  add(id, text, metadata = {}) {
+    this.remove(id)
+    const values = this._values(metadata)
+    for (const [field, value] of Object.entries(values)) this.fields.get(field).add(id, value)
+    this._metadata.set(id, values)
+  }
+
+  remove(id) {
+    const values = this._metadata.get(id)
+    if (!values) return false
+    for (const [field, value] of Object.entries(values)) this.fields.get(field).remove(id, value)
+    this._metadata.delete(id)
+    return true
+  }
+
+  clear() {
+    for (const field of this.fields.keys()) this.fields.set(field, new FieldIndex())
+    this._metadata.clear()
+  }
+
+  // ids that may match filter `spec`, or null when the indexes can't narrow it
+  candidates(spec) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) return null
+    const sets = []
+    for (const [key, value] of Object.entries(spec)) {
+      let ids = null
+      if (key === '$and' && Array.isArray(value)) ids = _intersect(value.map(s => this.candidates(s)).filter(Boolean))
+      else if (key === '$or' && Array.isArray(value)) {
+        // only when every branch narrows: one that doesn't could match anything
+        const branches = value.map(s => this.candidates(s))
+        if (branches.length && branches.every(Boolean)) ids = _union(branches)
+      } else if (this.fields.has(key)) ids = this._field(this.fields.get(key), value)
+      if (ids) sets.push(ids)
+    }
+    return _intersect(sets)
+  }
+
+  // A predicate accepting the metadata of the documents in `ids` (from `candidates`), as search filters see
+  // no ids. Whether a document is a candidate depends only on its indexed values, so the predicate compares
+  // those: a document with the same values as a candidate is one too.
+  candidateFilter(ids) {
+    const keys = new Set()
+    for (const id of ids) if (this._metadata.has(id)) keys.add(stableKey(this._metadata.get(id)))
+    return metadata => keys.has(stableKey(this._values(metadata)))
+  }
+
+  // the indexed fields' values in `metadata`
+  _values(metadata) {
+    const values = {}
+    for (const field of this.fields.keys()) {
+      const value = getPath(metadata || {}, field)
+      if (value !== undefined) values[field] = value
+    }
+    return values
+  }
+
+  _field(index, condition) {
+    if (_indexable(condition)) return index.equal(condition)
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) return null
+    const ops = Object.entries(condition)
+    if (ops.length === 0 || !ops.every(([op]) => op.startsWith('$'))) return null
+    const sets = []
+    for (const [op, operand] of ops) {
+      if (op === '$eq' && _indexable(operand)) sets.push(index.equal(operand))
+      else if (op === '$in' && Array.isArray(operand) && operand.every(_indexable)) sets.push(_union(operand.map(v => index.equal(v))))
+      else if (RANGE_OPERATORS.includes(op) && (typeof operand === 'number' || typeof operand === 'string')) {
+        sets.push(index.range(op, operand))
+      } else if (op === '$exists' && operand === true) sets.push(index.present)
+    }
+    return _intersect(sets)
+  }
+}
+
+// first position in sorted `values` where `test` holds (it holds for every later one too)
+function _firstIndex(values, test) {
+  let lo = 0
+  let hi = values.length
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1
+    if (test(values[mid])) hi = mid
+    else lo = mid + 1
+  }
+  return lo
+}
+
+function _union(sets) {
+  const out = new Set()
+  for (const set of sets) for (const id of set) out.add(id)
+  return out
+}
+
+// null for no sets (nothing narrowed)
+function _intersect(sets) {
+  if (sets.length === 0) return null
+  const [smallest, ...others] = [...sets].sort((a, b) => a.size - b.size)
+  const out = new Set()
+  for (const id of smallest) if (others.every(set => set.has(id))) out.add(id)
+  return out
+}
@@ -0,0 +1,181 @@
+// Server metrics: request counts, errors and latencies per method, auto-saves and streamed chunks.
+// `snapshot(gauges)` is what the `getStats` RPC returns; `render(gauges)` is the Prometheus text format
+// served on `/metrics`. Gauges (in-flight requests, sockets, documents) are read by the server when asked.
+
+// latency histogram buckets, in ms (exported in seconds, as Prometheus expects)
+export const LATENCY_BUCKETS_MS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000]
+
+// recent latencies kept per method for the percentiles in `snapshot()`
+const SAMPLE_SIZE = 1000
+
+class MethodStats {
+  constructor(buckets) {
+    this.count = 0
+    this.errors = new Map() // code -> count
+    this.sumMs = 0
+    this.maxMs = 0
+    this.buckets = buckets.map(() => 0) // per bucket, not cumulative
+    this.samples = []
+    this._next = 0
+  }
+
+  observe(ms, bucketBounds) {
+    this.count++
+    this.sumMs += ms
+    if (ms > this.maxMs) this.maxMs = ms
+    const i = bucketBounds.findIndex(le => ms <= le)
+    if (i !== -1) this.buckets[i]++
+    if (this.samples.length < SAMPLE_SIZE) this.samples.push(ms)
+    else this.samples[this._next] = ms
+    this._next = (this._next + 1) % SAMPLE_SIZE
+  }
+
+  percentiles() {
+    const sorted = [...this.samples].sort((a, b) => a - b)
+    const at = p => (sorted.length ? sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)] : 0)
+    return { p50Ms: at(50), p95Ms: at(95), p99Ms: at(99) }
+  }
+}
+
+export default class Metrics {
+  constructor({ buckets = LATENCY_BUCKETS_MS } = {}) {
+    this.startedAt = Date.now()
+    this.bucketBounds = buckets
+    this.methods = new Map() // method -> MethodStats
+    this.inFlight = 0
+    this.saves = { count: 0, failures: 0, sumMs: 0, lastMs: 0 }
+    this.streamChunks = 0
+  }
+
+  // Count a call as running; the returned `done(method, errorCode)` records its outcome and latency once.
+  start() {
+    const startedAt = Date.now()
+    this.inFlight++
+    let finished = false
+    return (method, errorCode = null) => {
+      if (finished) return
+      finished = true
+      this.inFlight--
+      let stats = this.methods.get(method)
+      if (!stats) {
+        stats = new MethodStats(this.bucketBounds)
+        this.methods.set(method, stats)
+      }
+      stats.observe(Date.now() - startedAt, this.bucketBounds)
+      if (errorCode) stats.errors.set(errorCode, (stats.errors.get(errorCode) || 0) + 1)
+    }
+  }
+
+  saved(ms, ok = true) {
+    this.saves.count++
+    if (!ok) this.saves.failures++
+    this.saves.sumMs += ms
+    this.saves.lastMs = ms
+  }
+
+  chunkSent(n = 1) {
+    this.streamChunks += n
+  }
+
+  // gauges: { sockets, documents: { [collection ('' for the default index)]: count }, cache }, where `cache`
+  // is the query cache's `stats()` or null without one
+  snapshot({ sockets = 0, documents = {}, cache = null } = {}) {
+    const byMethod = {}
+    let total = 0
+    let errors = 0
+    for (const [method, stats] of this.methods) {
+      total += stats.count
+      const errorsByCode = Object.fromEntries(stats.errors)
+      const methodErrors = Object.values(errorsByCode).reduce((a, b) => a + b, 0)
+      errors += methodErrors
+      byMethod[method] = {
+        count: stats.count,
+        errors: methodErrors,
+        errorsByCode,
+        avgMs: stats.count ? Math.round((stats.sumMs / stats.count) * 100) / 100 : 0,
+        maxMs: stats.maxMs,
+        ...stats.percentiles(),
+      }
+    }
+    return {
+      uptimeMs: Date.now() - this.startedAt,
+      requests: { total, errors, inFlight: this.inFlight, byMethod },
+      sockets,
+      documents: { total: Object.values(documents).reduce((a, b) => a + b, 0), byCollection: documents },
+      autoSave: { ...this.saves },
+      streamChunks: this.streamChunks,
+      cache,
+    }
+  }
+
+  render({ sockets = 0, documents = {}, cache = null } = {}) {
+    const lines = []
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`)
+      for (const [suffix, labels, value] of samples) lines.push(`${name}${suffix}${_labels(labels)} ${value}`)
+    }
+
+    const methods = [...this.methods]
+    metric(
+      'vectoriadb_requests_total',
+      'counter',
+      'Calls handled, by method.',
+      methods.map(([method, s]) => ['', { method }, s.count])
+    )
+    metric(
+      'vectoriadb_request_errors_total',
+      'counter',
+      'Calls that failed, by method and error code.',
+      methods.flatMap(([method, s]) => [...s.errors].map(([code, n]) => ['', { method, code }, n]))
+    )
+    metric(
+      'vectoriadb_request_duration_seconds',
+      'histogram',
+      'Call latency, by method.',
+      methods.flatMap(([method, s]) => {
+        let cumulative = 0
+        const buckets = this.bucketBounds.map((le, i) => {
+          cumulative += s.buckets[i]
+          return ['_bucket', { method, le: String(le / 1000) }, cumulative]
+        })
+        return [
+          ...buckets,
+          ['_bucket', { method, le: '+Inf' }, s.count],
+          ['_sum', { method }, s.sumMs / 1000],
+          ['_count', { method }, s.count],
+        ]
+      })
+    )
+    metric('vectoriadb_requests_in_flight', 'gauge', 'Calls running now.', [['', {}, this.inFlight]])
+    metric('vectoriadb_connected_sockets', 'gauge', 'Connected Socket.IO clients.', [['', {}, sockets]])
+    metric(
+      'vectoriadb_documents',
+      'gauge',
+      'Documents per open index (collection="" is the default index).',
+      Object.entries(documents).map(([collection, n]) => ['', { collection }, n])
+    )
+    metric('vectoriadb_autosaves_total', 'counter', 'Saves of every open index to storage.', [['', {}, this.saves.count]])
+    metric('vectoriadb_autosave_failures_total', 'counter', 'Saves that failed.', [['', {}, this.saves.failures]])
+    metric('vectoriadb_autosave_duration_seconds', 'summary', 'Time spent saving to storage.', [
+      ['_sum', {}, this.saves.sumMs / 1000],
+      ['_count', {}, this.saves.count],
+    ])
+    metric('vectoriadb_stream_chunks_total', 'counter', 'Chunks sent for streamed results.', [['', {}, this.streamChunks]])
+    if (cache) {
+      const byCache = key => Object.entries(cache).map(([name, counts]) => ['', { cache: name }, counts[key] ?? 0])
+      metric('vectoriadb_cache_hits_total', 'counter', 'Query cache hits, by cache (results, embeddings).', byCache('hits'))
+      metric('vectoriadb_cache_misses_total', 'counter', 'Query cache misses, by cache.', byCache('misses'))
+      metric('vectoriadb_cache_coalesced_total', 'counter', 'Searches that joined an identical one already running.', [
+        ['', {}, cache.results.coalesced],
+      ])
+      metric('vectoriadb_cache_entries', 'gauge', 'Entries held, by cache.', byCache('size'))
+    }
+    return lines.join('\n') + '\n'
+  }
+}
+
+function _labels(labels) {
+  const entries = Object.entries(labels)
+  if (entries.length === 0) return ''
+  return `{${entries.map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',')}}`
+}
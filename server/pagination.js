@@ -0,0 +1,159 @@
+import { createHash } from 'crypto'
+import { ValidationError } from './errors.js'
+import { getPath } from './filter-dsl.js'
+
+// Result views for `search` and `filter`: sorting, pagination and projection, applied on the server so
+// only the requested page and fields go over the wire.
+//
+// - `sort: { by, order }` (or just `by`): `by` is 'score', 'id' or a document path such as
+//   'metadata.publishedAt'; `order` is 'asc' or 'desc' (score defaults to 'desc'). Ties are broken by id, and documents
+//   without the field come last.
+// - `limit` (with an optional `offset`, or a `cursor` from the previous page) returns a page
+//   `{ items, total, nextCursor }` instead of an array. A cursor continues after the last item it saw,
+//   so documents added or removed in between don't shift later pages. Paged results are sorted by
+//   score (search) or by id (filter) unless `sort` says otherwise.
+// - `fields: ['text', 'metadata.title']` keeps only those paths (plus `id` and `score`);
+//   `includeVector: false` drops stored vectors.
+
+export const VIEW_OPTIONS = ['offset', 'limit', 'cursor', 'sort', 'fields', 'includeVector']
+
+// how many `search` results are paged through when the caller didn't set `topK`
+export const PAGED_SEARCH_TOP_K = 1000
+
+const ORDERS = ['asc', 'desc']
+
+// always kept by a `fields` projection
+const KEPT_FIELDS = ['id', 'score']
+
+// split result view options from the rest; `view.paged` is whether a page object is returned
+export function parseResultView(options = {}) {
+  const rest = { ...options }
+  for (const name of VIEW_OPTIONS) delete rest[name]
+  const { offset = 0, limit, cursor, sort, fields, includeVector = true } = options
+
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new ValidationError('options.offset must be a non-negative integer', { param: 'options.offset' })
+  }
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    throw new ValidationError('options.limit must be a positive integer', { param: 'options.limit' })
+  }
+  if (cursor !== undefined && limit === undefined) {
+    throw new ValidationError('options.cursor needs a limit', { param: 'options.cursor' })
+  }
+  if (fields !== undefined && (!Array.isArray(fields) || fields.some(f => typeof f !== 'string' || !f))) {
+    throw new ValidationError('options.fields must be a list of field paths', { param: 'options.fields' })
+  }
+  const view = { offset, limit, cursor, sort: _parseSort(sort), fields, includeVector: includeVector !== false }
+  return { view: { ...view, paged: limit !== undefined }, rest }
+}
+
+// Apply `view` to `items` (in their natural order). `scope` identifies the query a cursor belongs to.
+export function applyView(items, view, scope) {
+  if (!Array.isArray(items)) return items
+  const sort = view.sort || (view.paged ? _defaultSort(scope) : null)
+  const compare = sort ? _comparator(sort) : null
+  let out = sort ? [...items].sort((a, b) => compare(_keyOf(a, sort.by), _keyOf(b, sort.by))) : items
+
+  let nextCursor = null
+  const total = out.length
+  if (view.paged) {
+    const fingerprint = _fingerprint(scope, sort)
+    let start = view.offset
+    if (view.cursor !== undefined) {
+      const after = _decodeCursor(view.cursor, fingerprint)
+      const found = out.findIndex(item => compare(_keyOf(item, sort.by), after) > 0)
+      start = found === -1 ? out.length : found
+    }
+    out = out.slice(start, start + view.limit)
+    if (start + view.limit < total && out.length) nextCursor = _encodeCursor(fingerprint, sort, out[out.length - 1])
+  }
+
+  if (view.fields || !view.includeVector) out = out.map(item => _project(item, view))
+  return view.paged ? { items: out, total, nextCursor } : out
+}
+
+function _parseSort(sort) {
+  if (sort === undefined || sort === null) return null
+  const by = typeof sort === 'string' ? sort : sort.by
+  if (typeof by !== 'string' || !by) {
+    throw new ValidationError("options.sort.by must be 'score', 'id' or a field path", { param: 'options.sort.by' })
+  }
+  const order = (typeof sort === 'object' && sort.order) || (by === 'score' ? 'desc' : 'asc')
+  if (!ORDERS.includes(order)) {
+    throw new ValidationError(`options.sort.order must be one of ${ORDERS.join(', ')}`, { param: 'options.sort.order' })
+  }
+  return { by, order }
+}
+
+const _defaultSort = scope => (scope[0] === 'search' ? { by: 'score', order: 'desc' } : { by: 'id', order: 'asc' })
+
+// what an item sorts by: { id, value }
+const _keyOf = (item, by) => ({ id: item.id, value: by === 'score' || by === 'id' ? item[by] : getPath(item, by) })
+
+function _comparator({ order }) {
+  const sign = order === 'desc' ? -1 : 1
+  return (a, b) => {
+    const missingA = a.value === undefined || a.value === null
+    const missingB = b.value === undefined || b.value === null
+    // missing values last in either order
+    if (missingA !== missingB) return missingA ? 1 : -1
+    const byValue = missingA ? 0 : sign * _compareValues(a.value, b.value)
+    return byValue || _compareValues(String(a.id), String(b.id))
+  }
+}
+
+function _compareValues(a, b) {
+  if (typeof a !== typeof b) return typeof a < typeof b ? -1 : 1
+  if (typeof a === 'object') return _compareValues(JSON.stringify(a), JSON.stringify(b))
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
+// a cursor is only valid for the query (and sort) it came from
+function _fingerprint(scope, sort) {
+  return createHash('sha256')
+    .update(JSON.stringify([scope, sort]))
+    .digest('base64url')
+    .slice(0, 12)
+}
+
+function _encodeCursor(fingerprint, sort, last) {
+  const { id, value } = _keyOf(last, sort.by)
+  return Buffer.from(JSON.stringify([fingerprint, id, value ?? null])).toString('base64url')
+}
+
+// the sort key of the item a cursor points after
+function _decodeCursor(cursor, fingerprint) {
+  let decoded
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'))
+  } catch (e) {
+    decoded = null
+  }
+  if (!Array.isArray(decoded) || decoded[0] !== fingerprint) {
+    throw new ValidationError('options.cursor is invalid or belongs to another query', { param: 'options.cursor' })
+  }
+  return { id: decoded[1], value: decoded[2] }
+}
+
+function _project(item, { fields, includeVector }) {
+  let out
+  if (fields) {
+    out = {}
+    for (const key of KEPT_FIELDS) if (item[key] !== undefined) out[key] = item[key]
+    for (const path of fields) _copyPath(item, out, path.split('.'))
+  } else {
+    out = { ...item }
+  }
+  if (!includeVector) delete out.vector
+  return out
+}
+
+function _copyPath(from, to, [head, ...rest]) {
+  if (from === null || typeof from !== 'object' || !Object.prototype.hasOwnProperty.call(from, head)) return
+  if (rest.length === 0) {
+    to[head] = from[head]
+    return
+  }
+  if (to[head] === null || typeof to[head] !== 'object') to[head] = {}
+  _copyPath(from[head], to[head], rest)
+}
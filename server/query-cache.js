@@ -0,0 +1,158 @@
+// Query caching for `search` (the server's `queryCache` option):
+//
+// - results: identical searches (same collection, API key, normalized query and options) running at the
+//   same time share one execution, and its result is reused for `resultTtlMs`. Every mutation the server
+//   commits drops the cached results of its collection, and a search that overlapped a mutation isn't kept.
+// - embeddings: an LRU of query-text embeddings (`maxEmbeddings`), so repeated query texts are embedded once.
+//   Needs an embedder: the `embed(text, db)` option, or VectoriaDB's `embeddingService` when it has one.
+//
+// Keys are built from the call's params as sent, before filters are revived, so function filters (as
+// source text), filter specs and `filterContext` all take part. Query text is trimmed and runs of
+// whitespace collapsed; case is kept.
+
+export const QUERY_CACHE_DEFAULTS = { resultTtlMs: 5000, maxResults: 1000, maxEmbeddings: 1000 }
+
+export function normalizeQuery(query) {
+  return typeof query === 'string' ? query.trim().replace(/\s+/g, ' ') : query
+}
+
+// JSON with sorted keys, or null when `value` holds something JSON can't represent faithfully
+export function stableKey(value) {
+  let ok = true
+  const walk = v => {
+    if (v === null || typeof v === 'string' || typeof v === 'boolean') return v
+    if (typeof v === 'number') return Number.isFinite(v) ? v : String(v)
+    if (v === undefined) return undefined
+    if (Array.isArray(v) || ArrayBuffer.isView(v)) return Array.from(v, walk)
+    if (v instanceof ArrayBuffer) return Array.from(new Uint8Array(v))
+    if (typeof v === 'object' && Object.getPrototypeOf(v) === Object.prototype) {
+      const out = {}
+      for (const key of Object.keys(v).sort()) out[key] = walk(v[key])
+      return out
+    }
+    ok = false
+    return null
+  }
+  const json = JSON.stringify(walk(value))
+  return ok ? json : null
+}
+
+class Lru {
+  constructor(max) {
+    this.max = max
+    this.map = new Map()
+  }
+
+  get(key) {
+    if (!this.map.has(key)) return undefined
+    const value = this.map.get(key)
+    this.map.delete(key)
+    this.map.set(key, value)
+    return value
+  }
+
+  set(key, value) {
+    this.map.delete(key)
+    this.map.set(key, value)
+    while (this.map.size > this.max) this.map.delete(this.map.keys().next().value)
+  }
+
+  delete(key) {
+    this.map.delete(key)
+  }
+}
+
+export default class QueryCache {
+  constructor({ resultTtlMs, maxResults, maxEmbeddings, embed = null } = {}) {
+    const opts = { ...QUERY_CACHE_DEFAULTS }
+    for (const [name, value] of Object.entries({ resultTtlMs, maxResults, maxEmbeddings })) {
+      if (value === undefined) continue
+      if (!(Number(value) >= 0)) throw new TypeError(`queryCache.${name} must be a non-negative number`)
+      opts[name] = Number(value)
+    }
+    if (embed !== null && typeof embed !== 'function') throw new TypeError('queryCache.embed must be a function')
+    this.resultTtlMs = opts.resultTtlMs
+    this._results = new Lru(opts.maxResults) // key -> { value, expiresAt, collection }
+    this._embeddings = new Lru(opts.maxEmbeddings) // collection + text -> Promise<vector>
+    this._running = new Map() // key -> Promise, for coalescing
+    this._versions = new Map() // collection ('' for the default index) -> mutations seen
+    this._embed = embed
+    this.counts = { hits: 0, misses: 0, coalesced: 0, embeddingHits: 0, embeddingMisses: 0 }
+  }
+
+  // `execute()` once for concurrent calls with the same key; the result is kept for `resultTtlMs`. Every
+  // caller gets its own copy, so changing one can't change what the others (or later hits) see.
+  async run(collection, key, execute) {
+    const version = this._version(collection)
+    const fullKey = `${version}:${key}`
+    const cached = this._results.get(fullKey)
+    if (cached && cached.expiresAt > Date.now()) {
+      this.counts.hits++
+      return structuredClone(cached.value)
+    }
+    if (this._running.has(fullKey)) {
+      this.counts.coalesced++
+      return structuredClone(await this._running.get(fullKey))
+    }
+    this.counts.misses++
+    const running = (async () => {
+      try {
+        const value = await execute()
+        // a mutation committed meanwhile may not be reflected in it
+        if (this.resultTtlMs > 0 && this._version(collection) === version) {
+          this._results.set(fullKey, { value, expiresAt: Date.now() + this.resultTtlMs, collection: collection || '' })
+        }
+        return value
+      } finally {
+        this._running.delete(fullKey)
+      }
+    })()
+    this._running.set(fullKey, running)
+    return structuredClone(await running)
+  }
+
+  // a mutation on `collection` (null for the default index)
+  invalidate(collection) {
+    const key = collection || ''
+    this._versions.set(key, this._version(key) + 1)
+    for (const [cacheKey, entry] of this._results.map) if (entry.collection === key) this._results.delete(cacheKey)
+  }
+
+  // the embedding of query `text` for `db`, the instance of `collection` (null for the default index), or
+  // null without an embedder. Collections may embed differently, so each has its own entries.
+  async embedding(collection, db, text) {
+    const embed = this._embed ? t => this._embed(t, db) : _serviceEmbedder(db)
+    if (!embed) return null
+    const normalized = normalizeQuery(text)
+    const key = JSON.stringify([collection || '', normalized])
+    const cached = this._embeddings.get(key)
+    if (cached) {
+      this.counts.embeddingHits++
+      return cached
+    }
+    this.counts.embeddingMisses++
+    const pending = Promise.resolve().then(() => embed(normalized))
+    this._embeddings.set(key, pending)
+    // a failed embedding isn't kept
+    pending.catch(() => this._embeddings.get(key) === pending && this._embeddings.delete(key))
+    return pending
+  }
+
+  stats() {
+    const { hits, misses, coalesced, embeddingHits, embeddingMisses } = this.counts
+    return {
+      results: { hits, misses, coalesced, size: this._results.map.size },
+      embeddings: { hits: embeddingHits, misses: embeddingMisses, size: this._embeddings.map.size },
+    }
+  }
+
+  _version(collection) {
+    return this._versions.get(collection || '') || 0
+  }
+}
+
+// VectoriaDB embeds query text with its embedding service
+function _serviceEmbedder(db) {
+  const service = db && db.embeddingService
+  return service && typeof service.generateEmbedding === 'function' ? text => service.generateEmbedding(text) : null
+}
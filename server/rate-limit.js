@@ -0,0 +1,126 @@
+import { RateLimitedError } from './errors.js'
+
+// Per-client quotas: token buckets per API key and per connection, and a cap on concurrent requests
+// per connection. Every call costs tokens by kind (`costs.read`, `costs.write`, `costs.bulk`); a bucket
+// holds at most `capacity` tokens and refills at `refillPerSec`. A call that can't be paid for, or that
+// would exceed `maxConcurrent`, is rejected with `RateLimited` and a `retryAfterMs` hint.
+//
+// A "client" is whatever the caller identifies as: the socket for Socket.IO, the remote address for HTTP.
+
+export const DEFAULT_COSTS = { read: 1, write: 2, bulk: 10 }
+
+// how long a concurrency-limited caller is told to wait: requests usually finish quickly
+const CONCURRENCY_RETRY_MS = 100
+
+class TokenBucket {
+  constructor({ capacity, refillPerSec }) {
+    this.capacity = capacity
+    this.refillPerSec = refillPerSec
+    this.tokens = capacity
+    this.updatedAt = Date.now()
+  }
+
+  _refill(now) {
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.refillPerSec)
+    this.updatedAt = now
+  }
+
+  // ms until `cost` tokens are available (0: now). A call costing more than the bucket holds is
+  // charged a full bucket rather than never admitted.
+  waitFor(cost, now = Date.now()) {
+    this._refill(now)
+    const needed = Math.min(cost, this.capacity)
+    return this.tokens >= needed ? 0 : Math.ceil(((needed - this.tokens) / this.refillPerSec) * 1000)
+  }
+
+  take(cost) {
+    this.tokens -= Math.min(cost, this.capacity)
+  }
+
+  isFull(now = Date.now()) {
+    this._refill(now)
+    return this.tokens >= this.capacity
+  }
+}
+
+function _bucketOptions(opts, name) {
+  if (!opts) return null
+  const capacity = Number(opts.capacity)
+  const refillPerSec = Number(opts.refillPerSec)
+  if (!(capacity > 0) || !(refillPerSec > 0)) throw new TypeError(`rateLimit.${name} needs a positive capacity and refillPerSec`)
+  return { capacity, refillPerSec }
+}
+
+export default class RateLimiter {
+  constructor({ perKey = null, perSocket = null, costs = {}, maxConcurrent = 0 } = {}) {
+    this.perKey = _bucketOptions(perKey, 'perKey')
+    this.perSocket = _bucketOptions(perSocket, 'perSocket')
+    this.costs = { ...DEFAULT_COSTS, ...costs }
+    this.maxConcurrent = Number(maxConcurrent) || 0
+    this._keyBuckets = new Map() // API key id -> TokenBucket
+    this._clientBuckets = new Map() // client -> TokenBucket
+    this._active = new Map() // client -> number of calls running
+    this._lastSweep = Date.now()
+  }
+
+  // Admit one call costing `cost` tokens. Returns a `release()` to call when it finishes.
+  admit({ client, keyId = null }, cost) {
+    const active = this._active.get(client) || 0
+    if (this.maxConcurrent && active >= this.maxConcurrent) {
+      throw new RateLimitedError(`too many concurrent requests (max ${this.maxConcurrent})`, {
+        limit: 'concurrency',
+        maxConcurrent: this.maxConcurrent,
+        retryAfterMs: CONCURRENCY_RETRY_MS,
+      })
+    }
+
+    this._sweep()
+    const keyBucket = this.perKey && keyId !== null ? this._bucket(this._keyBuckets, keyId, this.perKey) : null
+    const clientBucket = this.perSocket ? this._bucket(this._clientBuckets, client, this.perSocket) : null
+    // check both before charging either, so a rejected call costs nothing
+    const now = Date.now()
+    for (const [bucket, limit] of [
+      [keyBucket, 'perKey'],
+      [clientBucket, 'perSocket'],
+    ]) {
+      const waitMs = bucket ? bucket.waitFor(cost, now) : 0
+      if (waitMs > 0) throw new RateLimitedError(`${limit} rate limit exceeded`, { limit, retryAfterMs: waitMs })
+    }
+    keyBucket?.take(cost)
+    clientBucket?.take(cost)
+
+    this._active.set(client, active + 1)
+    let released = false
+    return () => {
+      if (released) return
+      released = true
+      const left = (this._active.get(client) || 1) - 1
+      if (left > 0) this._active.set(client, left)
+      else this._active.delete(client)
+    }
+  }
+
+  // a disconnected client's state
+  forget(client) {
+    this._clientBuckets.delete(client)
+    this._active.delete(client)
+  }
+
+  _bucket(buckets, id, opts) {
+    let bucket = buckets.get(id)
+    if (!bucket) {
+      bucket = new TokenBucket(opts)
+      buckets.set(id, bucket)
+    }
+    return bucket
+  }
+
+  // a full bucket is the same as no bucket, so drop those now and then to bound memory
+  _sweep(now = Date.now()) {
+    if (now - this._lastSweep < 60 * 1000) return
+    this._lastSweep = now
+    for (const buckets of [this._keyBuckets, this._clientBuckets]) {
+      for (const [id, bucket] of buckets) if (bucket.isFull(now)) buckets.delete(id)
+    }
+  }
+}
@@ -0,0 +1,79 @@
+// Flow-controlled delivery of a result array as `response-chunk` messages.
+//
+// The server may run at most `window` chunks ahead of the client: each `stream-ack` from the client
+// grants one more chunk. `cancel()` (client `cancel` event, disconnect) stops sending immediately, and a
+// client that stops acking for `ackTimeoutMs` is treated as gone.
+
+export default class ResultStream {
+  constructor({ id, items, chunkSize, window = 4, ackTimeoutMs = 30000, send }) {
+    this.id = id
+    this.items = items
+    this.count = items.length
+    this.chunkSize = Math.max(1, chunkSize)
+    this.totalChunks = Math.ceil(items.length / this.chunkSize)
+    this.sent = 0
+    this.acked = 0
+    this.cancelled = false
+    this.timedOut = false
+    this._credit = Math.max(1, window)
+    this._ackTimeoutMs = ackTimeoutMs
+    this._send = send
+    this._ackTimer = null
+    this._done = null
+    this._resolve = null
+  }
+
+  // send chunks as credit allows; resolves with { count, sent, cancelled, timedOut } once every
+  // chunk was sent or the stream was cancelled
+  start() {
+    if (!this._done) {
+      this._done = new Promise(resolve => (this._resolve = resolve))
+      this._pump()
+    }
+    return this._done
+  }
+
+  // acknowledge every chunk up to and including `index`
+  ack(index) {
+    if (this.cancelled || !Number.isInteger(index) || index < this.acked || index >= this.sent) return
+    this._credit += index + 1 - this.acked
+    this.acked = index + 1
+    this._pump()
+  }
+
+  cancel() {
+    if (this.cancelled || !this._resolve) return
+    this.cancelled = true
+    this._finish()
+  }
+
+  _pump() {
+    while (!this.cancelled && this._credit > 0 && this.sent < this.totalChunks) {
+      const index = this.sent++
+      this._credit--
+      const chunk = this.items.slice(index * this.chunkSize, (index + 1) * this.chunkSize)
+      this._send({ id: this.id, chunk, index, totalChunks: this.totalChunks })
+    }
+    if (this.cancelled) return
+    if (this.sent >= this.totalChunks) return this._finish()
+    this._armAckTimer()
+  }
+
+  _armAckTimer() {
+    clearTimeout(this._ackTimer)
+    this._ackTimer = setTimeout(() => {
+      this.timedOut = true
+      this.cancel()
+    }, this._ackTimeoutMs)
+    if (this._ackTimer.unref) this._ackTimer.unref()
+  }
+
+  _finish() {
+    clearTimeout(this._ackTimer)
+    this._ackTimer = null
+    this.items = null
+    const resolve = this._resolve
+    this._resolve = null
+    if (resolve) resolve({ count: this.count, sent: this.sent, cancelled: this.cancelled, timedOut: this.timedOut })
+  }
+}
@@ -0,0 +1,218 @@
+import { MethodNotFoundError, ValidationError } from './errors.js'
+
+// Explicit registry of the methods clients may call. Anything not listed here is rejected
+// with `MethodNotFound`, even when the underlying VectoriaDB instance has a method of that name.
+//
+// Each entry declares:
+// - `params`: positional parameter schemas ({ name, type, required, maxItems, items, properties })
+// - `mutates`: whether the call changes the index (drives auto-save and API key scopes)
+// - `cost` (optional): what a call costs against rate limits: 'read' | 'write' | 'bulk' or a number of tokens;
+//   defaults to 'write' for mutations and 'read' otherwise
+//
+// `type` is one of 'string' | 'number' | 'boolean' | 'object' | 'array' | 'vector' (a typed array, see
+// vectors.js) | 'function' | 'any', or an array of those. Schemas validate params after serialized filters
+// and vectors have been revived.
+
+const DOC_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', required: true },
+    text: { type: 'string', required: true },
+    metadata: { type: 'object' },
+  },
+}
+
+// a document in a snapshot (see snapshot.js): DOC_SCHEMA plus its stored vector
+const SNAPSHOT_DOC_SCHEMA = {
+  type: 'object',
+  properties: { ...DOC_SCHEMA.properties, vector: { type: ['array', 'vector'] } },
+}
+
+// a document with a precomputed vector (`addManyVectors`); its text is optional
+const VECTOR_DOC_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', required: true },
+    vector: { type: ['array', 'vector'], required: true },
+    text: { type: 'string' },
+    metadata: { type: 'object' },
+  },
+}
+
+// sorting, pagination and projection of `search` and `filter` results (see pagination.js)
+const VIEW_OPTIONS_PROPERTIES = {
+  offset: { type: 'number' },
+  limit: { type: 'number' },
+  cursor: { type: 'string' },
+  sort: { type: ['string', 'object'] },
+  fields: { type: 'array', items: { type: 'string' } },
+  includeVector: { type: 'boolean' },
+}
+
+const SEARCH_OPTIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...VIEW_OPTIONS_PROPERTIES,
+    topK: { type: 'number' },
+    threshold: { type: 'number' },
+    filter: { type: 'function' },
+    // keyword / hybrid search (see hybrid-search.js)
+    mode: { type: 'string' },
+    alpha: { type: 'number' },
+    fusion: { type: 'string' },
+    rrfK: { type: 'number' },
+    candidates: { type: 'number' },
+    // one hit per chunked document (see chunking.js)
+    groupByParent: { type: 'boolean' },
+  },
+}
+
+const CHUNK_OPTIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    chunkSize: { type: 'number' },
+    overlap: { type: 'number' },
+    splitter: { type: 'string' },
+  },
+}
+
+export function createRpcRegistry({ maxBatchSize = 1000, methods = {} } = {}) {
+  const id = { name: 'id', type: 'string', required: true }
+  const batch = (name, items) => ({ name, type: 'array', required: true, maxItems: maxBatchSize, items })
+
+  const registry = {
+    initialize: { params: [], mutates: false },
+    size: { params: [], mutates: false },
+    has: { params: [id], mutates: false },
+    get: { params: [id], mutates: false },
+    filter: {
+      params: [
+        { name: 'filter', type: 'function', required: true },
+        { name: 'options', type: 'object', properties: VIEW_OPTIONS_PROPERTIES },
+      ],
+      mutates: false,
+    },
+    search: {
+      params: [{ name: 'query', type: ['string', 'array', 'vector'], required: true }, { name: 'options', ...SEARCH_OPTIONS_SCHEMA }],
+      mutates: false,
+    },
+
+    add: {
+      params: [id, { name: 'text', type: 'string', required: true }, { name: 'metadata', type: 'object' }],
+      mutates: true,
+    },
+    addMany: { params: [batch('docs', DOC_SCHEMA)], mutates: true, cost: 'bulk' },
+    addVector: {
+      params: [id, { name: 'vector', type: ['array', 'vector'], required: true }, { name: 'metadata', type: 'object' }],
+      mutates: true,
+    },
+    addManyVectors: { params: [batch('docs', VECTOR_DOC_SCHEMA)], mutates: true, cost: 'bulk' },
+    update: {
+      params: [id, { name: 'updates', type: 'object', required: true }, { name: 'options', type: 'object' }],
+      mutates: true,
+    },
+    updateMetadata: { params: [id, { name: 'metadata', type: 'object', required: true }], mutates: true },
+    updateMany: {
+      params: [batch('updates', { type: 'object', properties: { id: { type: 'string', required: true } } })],
+      mutates: true,
+      cost: 'bulk',
+    },
+    remove: { params: [id], mutates: true },
+    removeMany: { params: [batch('ids', { type: 'string' })], mutates: true, cost: 'bulk' },
+    clear: { params: [], mutates: true },
+    ingestDocument: {
+      params: [
+        id,
+        { name: 'text', type: 'string', required: true },
+        { name: 'metadata', type: 'object' },
+        { name: 'options', ...CHUNK_OPTIONS_SCHEMA },
+      ],
+      mutates: true,
+      cost: 'bulk',
+    },
+    removeDocument: { params: [id], mutates: true },
+
+    listCollections: { params: [], mutates: false },
+    createCollection: { params: [{ name: 'name', type: 'string', required: true }], mutates: true },
+    dropCollection: { params: [{ name: 'name', type: 'string', required: true }], mutates: true },
+
+    saveToStorage: { params: [], mutates: false },
+    loadFromStorage: { params: [], mutates: false },
+    clearStorage: { params: [], mutates: false },
+
+    exportSnapshot: { params: [], mutates: false, cost: 'bulk' },
+    importSnapshot: {
+      params: [batch('docs', SNAPSHOT_DOC_SCHEMA), { name: 'options', type: 'object', properties: { mode: { type: 'string' } } }],
+      mutates: true,
+      cost: 'bulk',
+    },
+
+    getStats: { params: [], mutates: false },
+  }
+
+  // caller overrides: add/replace entries, or pass `false` to stop exposing a method
+  for (const [name, entry] of Object.entries(methods)) {
+    if (entry === false) delete registry[name]
+    else registry[name] = { params: [], mutates: false, ...entry }
+  }
+
+  return registry
+}
+
+function _typeOf(v) {
+  if (v === null) return 'null'
+  if (Array.isArray(v)) return 'array'
+  if (ArrayBuffer.isView(v)) return 'vector'
+  return typeof v
+}
+
+function _checkValue(path, schema, value) {
+  if (value === undefined || value === null) {
+    if (schema.required) throw new ValidationError(`${path} is required`, { param: path })
+    return
+  }
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type || 'any']
+  const actual = _typeOf(value)
+  if (!types.includes('any') && !types.includes(actual)) {
+    throw new ValidationError(`${path} must be ${types.join(' or ')}, got ${actual}`, {
+      param: path,
+      expected: types,
+      received: actual,
+    })
+  }
+
+  if (actual === 'array') {
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+      throw new ValidationError(`${path} has ${value.length} items, max is ${schema.maxItems}`, {
+        param: path,
+        maxItems: schema.maxItems,
+        received: value.length,
+      })
+    }
+    if (schema.items) value.forEach((item, i) => _checkValue(`${path}[${i}]`, schema.items, item))
+  }
+
+  if (actual === 'object' && schema.properties) {
+    for (const [key, propSchema] of Object.entries(schema.properties)) {
+      _checkValue(`${path}.${key}`, propSchema, value[key])
+    }
+  }
+}
+
+// Look up `method` and validate `params` against its schema. Returns the registry entry.
+export function validateCall(registry, method, params) {
+  const entry = Object.prototype.hasOwnProperty.call(registry, method) ? registry[method] : null
+  if (!entry) throw new MethodNotFoundError(method)
+
+  if (!Array.isArray(params)) throw new ValidationError('params must be an array', { param: 'params' })
+  if (params.length > entry.params.length) {
+    throw new ValidationError(`${method} takes at most ${entry.params.length} params, got ${params.length}`, {
+      param: 'params',
+      maxItems: entry.params.length,
+      received: params.length,
+    })
+  }
+  entry.params.forEach((schema, i) => _checkValue(schema.name, schema, params[i]))
+  return entry
+}
@@ -0,0 +1,121 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+// Portable snapshots: every document as `{ id, text, metadata, vector }`, one JSON object per line (NDJSON).
+//
+// `exportSnapshot` / `importSnapshot` move them through the RPC layer (the client streams the export in
+// chunks and sends the import in chunks), and `Backups` writes the same files to disk on a schedule:
+//
+//   <dir>/<backup name>/default.ndjson             the default index
+//   <dir>/<backup name>/collections/<name>.ndjson  one file per collection
+//
+// Backup names sort by creation time; only the newest `retain` are kept.
+
+export const IMPORT_MODES = ['merge', 'replace']
+
+const DEFAULT_FILE = 'default.ndjson'
+const COLLECTIONS_DIR = 'collections'
+
+// vectors are typed arrays in the index; plain arrays survive JSON
+function _record(doc) {
+  const record = { id: doc.id, text: doc.text ?? '', metadata: doc.metadata || {} }
+  if (doc.vector) record.vector = Array.from(doc.vector)
+  return record
+}
+
+export async function exportDocuments(db) {
+  const docs = await db.filter(() => true)
+  return (docs || []).map(_record)
+}
+
+// `replace` empties the index first; `merge` overwrites documents with the same id and keeps the rest.
+// Records are added with `addMany`, vectors included.
+export async function importDocuments(db, records, { mode = 'merge' } = {}) {
+  if (mode === 'replace') await db.clear()
+  else {
+    const existing = []
+    for (const { id } of records) if (await db.has(id)) existing.push(id)
+    if (existing.length) await db.removeMany(existing)
+  }
+  if (records.length) await db.addMany(records)
+  return { imported: records.length, mode }
+}
+
+export function toNdjson(records) {
+  return records.map(r => JSON.stringify(r) + '\n').join('')
+}
+
+export function parseNdjson(text) {
+  return text
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line))
+}
+
+export default class Backups {
+  // `server` provides `_allInstances()`: [collection name | null, instance] pairs
+  constructor(server, { dir = './.cache/vectoriadb-backups', retain = 7 } = {}) {
+    this.server = server
+    this.dir = dir
+    this.retain = Math.max(1, retain)
+  }
+
+  async create() {
+    const name = `backup-${new Date().toISOString().replace(/[:.]/g, '-')}`
+    const target = path.join(this.dir, name)
+    // written under a temporary name so a half-written backup is never listed or restored
+    const tmp = `${target}.tmp`
+    await fs.mkdir(path.join(tmp, COLLECTIONS_DIR), { recursive: true })
+    let documents = 0
+    for (const [collection, db] of await this.server._allInstances()) {
+      const records = await exportDocuments(db)
+      documents += records.length
+      await fs.writeFile(this._fileFor(tmp, collection), toNdjson(records))
+    }
+    await fs.rename(tmp, target)
+    await this.prune()
+    return { name, documents }
+  }
+
+  // oldest first
+  async list() {
+    let entries
+    try {
+      entries = await fs.readdir(this.dir, { withFileTypes: true })
+    } catch (e) {
+      if (e.code === 'ENOENT') return []
+      throw e
+    }
+    return entries
+      .filter(e => e.isDirectory() && e.name.startsWith('backup-') && !e.name.endsWith('.tmp'))
+      .map(e => e.name)
+      .sort()
+  }
+
+  async prune() {
+    const names = await this.list()
+    for (const name of names.slice(0, Math.max(0, names.length - this.retain))) {
+      await fs.rm(path.join(this.dir, name), { recursive: true, force: true })
+    }
+  }
+
+  // the contents of backup `name` (default: the newest) as [collection name | null, records] pairs
+  async read(name = null) {
+    const names = await this.list()
+    const backup = name ?? names[names.length - 1]
+    if (!backup || !names.includes(backup)) throw new Error(name ? `backup "${name}" not found` : 'no backups found')
+
+    const source = path.join(this.dir, backup)
+    const files = [[null, this._fileFor(source, null)]]
+    for (const file of await fs.readdir(path.join(source, COLLECTIONS_DIR))) {
+      if (file.endsWith('.ndjson')) files.push([file.slice(0, -'.ndjson'.length), path.join(source, COLLECTIONS_DIR, file)])
+    }
+    const contents = []
+    for (const [collection, file] of files) contents.push([collection, parseNdjson(await fs.readFile(file, 'utf8'))])
+    return { name: backup, contents }
+  }
+
+  _fileFor(root, collection) {
+    return collection ? path.join(root, COLLECTIONS_DIR, `${collection}.ndjson`) : path.join(root, DEFAULT_FILE)
+  }
+}
@@ -0,0 +1,76 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import VectoriaDBServer from '../vectoriadb-server.js'
+
+function makeServer() {
+  const server = new VectoriaDBServer({
+    apiKeys: {
+      reader: { id: 'reader', scopes: ['read'], collections: ['a'] },
+      writer: { id: 'writer', scopes: ['read', 'write'], collections: ['a'] },
+    },
+  })
+  const docs = new Map([
+    ['a1', { id: 'a1', metadata: { owner: 'a' } }],
+    ['b1', { id: 'b1', metadata: { owner: 'b' } }],
+  ])
+  server._vectoria = {
+    async get(id) {
+      return docs.get(id)
+    },
+    async size() {
+      return docs.size
+    },
+    async filter(fn) {
+      return [...docs.values()].filter(d => fn(d.metadata))
+    },
+    async search(query, opts) {
+      return [...docs.values()].filter(d => opts.filter(d.metadata)).map(d => d.id)
+    },
+    async add(id, text, metadata) {
+      docs.set(id, { id, metadata })
+      return true
+    },
+    async remove(id) {
+      return docs.delete(id)
+    },
+  }
+  return server
+}
+
+async function call(server, keyId, method, params) {
+  let emitted = null
+  const socket = { data: { apiKey: await server._apiKeys.resolve(keyId) }, emit: (evt, payload) => (emitted = payload) }
+  await server._handleRequest(socket, { id: `${method}-1`, method, params })
+  return emitted
+}
+
+test('read-only keys are rejected on mutations', async () => {
+  const server = makeServer()
+  const res = await call(server, 'reader', 'add', ['a2', 'text', { owner: 'a' }])
+  assert.equal(res.result, null)
+  assert.match(res.error.message, /^Forbidden: .*"write" scope/)
+  assert.equal(res.error.code, 'Forbidden')
+})
+
+test('filters and counts are scoped to the key collections', async () => {
+  const server = makeServer()
+  assert.deepEqual((await call(server, 'reader', 'search', ['q', {}])).result, ['a1'])
+  assert.deepEqual((await call(server, 'reader', 'search', ['q'])).result, ['a1'])
+  assert.equal((await call(server, 'reader', 'size', [])).result, 1)
+})
+
+test('writes outside the key collections are rejected', async () => {
+  const server = makeServer()
+  assert.match((await call(server, 'writer', 'add', ['b2', 'text', { owner: 'b' }])).error.message, /^Forbidden/)
+  assert.match((await call(server, 'writer', 'remove', ['b1'])).error.message, /another collection/)
+  assert.equal((await call(server, 'writer', 'add', ['a2', 'text', { owner: 'a' }])).error, null)
+  assert.match((await call(server, 'writer', 'clear', [])).error.message, /"admin" scope/)
+})
+
+test('requests without a resolved key are unauthorized when keys are configured', async () => {
+  const server = makeServer()
+  let emitted = null
+  await server._handleRequest({ emit: (evt, p) => (emitted = p) }, { id: 'x', method: 'size', params: [] })
+  assert.equal(emitted.error.message, 'Unauthorized')
+  assert.equal(emitted.error.code, 'Unauthorized')
+})
@@ -0,0 +1,59 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import ApiKeyRegistry, { hasScope, requiredScope } from '../api-keys.js'
+
+test('registry resolves configured keys, the legacy key and resolver keys', async () => {
+  const registry = new ApiKeyRegistry({
+    apiKey: 'shared',
+    apiKeys: { 'k-read': { id: 'reader', scopes: ['read'], collections: ['reports'] } },
+    resolveApiKey: async key => (key === 'k-remote' ? { id: 'remote', scopes: ['read', 'write'] } : null),
+  })
+
+  assert.equal(registry.enabled, true)
+
+  const reader = await registry.resolve('k-read')
+  assert.equal(reader.id, 'reader')
+  assert.deepEqual([...reader.collections], ['reports'])
+
+  const legacy = await registry.resolve('shared')
+  assert.equal(legacy.id, 'default')
+  assert.equal(legacy.collections, null)
+  assert.equal(hasScope(legacy, 'admin'), true)
+
+  const remote = await registry.resolve('k-remote')
+  assert.equal(remote.id, 'remote')
+  assert.equal(hasScope(remote, 'write'), true)
+
+  assert.equal(await registry.resolve('nope'), null)
+  assert.equal(await registry.resolve(undefined), null)
+})
+
+test('expired keys do not resolve', async () => {
+  const registry = new ApiKeyRegistry({
+    apiKeys: {
+      old: { expiresAt: '2000-01-01T00:00:00Z' },
+      fresh: { expiresAt: Date.now() + 60_000 },
+    },
+  })
+  assert.equal(await registry.resolve('old'), null)
+  assert.ok(await registry.resolve('fresh'))
+})
+
+test('scopes: read-only keys cannot mutate, storage and clear need elevated scopes', async () => {
+  const registry = new ApiKeyRegistry({ apiKeys: { r: { scopes: ['read'] }, w: { scopes: ['read', 'write'] } } })
+  const r = await registry.resolve('r')
+  const w = await registry.resolve('w')
+
+  assert.equal(requiredScope('search', false), 'read')
+  assert.equal(requiredScope('add', true), 'write')
+  assert.equal(requiredScope('clearStorage', false), 'storage')
+  assert.equal(requiredScope('clear', true), 'admin')
+
+  assert.equal(hasScope(r, requiredScope('add', true)), false)
+  assert.equal(hasScope(w, requiredScope('remove', true)), true)
+  assert.equal(hasScope(w, requiredScope('clear', true)), false)
+})
+
+test('unknown scopes are rejected at construction time', () => {
+  assert.throws(() => new ApiKeyRegistry({ apiKeys: { k: { scopes: ['superuser'] } } }), /unknown API key scope/)
+})
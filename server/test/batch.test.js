@@ -0,0 +1,101 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import VectoriaDBServer from '../vectoriadb-server.js'
+
+// minimal in-memory stand-in for the VectoriaDB methods batches use
+function memoryDb(docs = []) {
+  const store = new Map(docs.map(d => [d.id, d]))
+  return {
+    store,
+    has: async id => store.has(id),
+    get: async id => store.get(id),
+    size: async () => store.size,
+    filter: async fn => [...store.values()].filter(d => fn(d.metadata)),
+    async add(id, text, metadata = {}) {
+      if (store.has(id)) throw new Error(`Document with id "${id}" already exists`)
+      store.set(id, { id, text, metadata })
+    },
+    async addMany(list) {
+      for (const d of list) await this.add(d.id, d.text, d.metadata)
+    },
+    async updateMetadata(id, metadata) {
+      if (!store.has(id)) throw Object.assign(new Error(`Document "${id}" not found`), { name: 'DocumentNotFoundError' })
+      store.set(id, { ...store.get(id), metadata })
+    },
+    remove: async id => store.delete(id),
+    removeMany: async ids => ids.filter(id => store.delete(id)).length,
+    clear: async () => store.clear(),
+  }
+}
+
+function setup(docs) {
+  const server = new VectoriaDBServer({ autoSaveOnMutationBurst: false })
+  server._vectoria = memoryDb(docs)
+  const emitted = []
+  const socket = { emit: (evt, payload) => emitted.push([evt, payload]) }
+  return { server, socket, emitted, store: server._vectoria.store }
+}
+
+test('batches run in order and report each op separately', async () => {
+  const { server, socket, emitted, store } = setup()
+  await server._handleBatch(socket, {
+    id: 'b1',
+    ops: [
+      { method: 'add', params: ['a', 'alpha', {}] },
+      { method: 'has', params: ['a'] },
+      { method: 'add', params: ['a', 'again', {}] },
+      { method: 'nope', params: [] },
+      { method: 'size', params: [] },
+    ],
+  })
+
+  const [[evt, msg]] = emitted
+  assert.equal(evt, 'response')
+  assert.equal(msg.id, 'b1')
+  assert.equal(msg.error, null)
+  assert.deepEqual(
+    msg.result.map(r => (r.error ? r.error.code : r.result)),
+    [undefined, true, 'InternalError', 'MethodNotFound', 1]
+  )
+  assert.equal(store.get('a').text, 'alpha')
+})
+
+test('atomic batches roll back earlier writes when an op fails', async () => {
+  const { server, socket, emitted, store } = setup([{ id: 'x', text: 'x', metadata: { v: 1 } }])
+  await server._handleBatch(socket, {
+    id: 'b2',
+    atomic: true,
+    ops: [
+      { method: 'add', params: ['y', 'y', {}] },
+      { method: 'updateMetadata', params: ['x', { v: 2 }] },
+      { method: 'remove', params: ['x'] },
+      { method: 'updateMetadata', params: ['missing', { v: 3 }] },
+      { method: 'add', params: ['z', 'never runs', {}] },
+    ],
+  })
+
+  const { result, error } = emitted[0][1]
+  assert.equal(result, null)
+  assert.equal(error.code, 'DocumentNotFound')
+  assert.deepEqual(error.details, { batchIndex: 3, rolledBack: true })
+  assert.deepEqual([...store.keys()], ['x'])
+  assert.deepEqual(store.get('x').metadata, { v: 1 })
+})
+
+test('atomic batches reject ops that cannot be rolled back before running anything', async () => {
+  const { server, socket, emitted, store } = setup()
+  await server._handleBatch(socket, {
+    id: 'b3',
+    atomic: true,
+    ops: [
+      { method: 'add', params: ['a', 'alpha', {}] },
+      { method: 'saveToStorage', params: [] },
+    ],
+  })
+  assert.equal(emitted[0][1].error.code, 'InvalidParams')
+  assert.deepEqual(emitted[0][1].error.details, { param: 'ops[1].method' })
+  assert.equal(store.size, 0)
+
+  await server._handleBatch(socket, { id: 'b4', ops: [] })
+  assert.equal(emitted[1][1].error.code, 'InvalidRequest')
+})
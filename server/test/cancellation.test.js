@@ -0,0 +1,46 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import VectoriaDBServer from '../vectoriadb-server.js'
+
+test('a cancelled request keeps running to completion but gets no response', async () => {
+  const server = new VectoriaDBServer({ autoSaveOnMutationBurst: false })
+  let release = null
+  server._vectoria = {
+    add: () => new Promise(resolve => (release = resolve)),
+  }
+
+  const emitted = []
+  const socket = { emit: (evt, payload) => emitted.push([evt, payload]) }
+
+  const running = server._handleRequest(socket, { id: 'r1', method: 'add', params: ['a', 'text', {}] })
+  await new Promise(resolve => setImmediate(resolve))
+  assert.equal(server._inflightFor(socket).has('r1'), true)
+
+  server._cancelRequest(socket, 'r1')
+  await running
+  release({ ok: true })
+
+  assert.deepEqual(emitted, [])
+  assert.equal(server._inflightFor(socket).size, 0)
+})
+
+test('requests honour the client deadline, capped by requestTimeoutMs', async () => {
+  const server = new VectoriaDBServer({ requestTimeoutMs: 50 })
+  server._vectoria = {
+    size: () => new Promise(() => {}),
+  }
+
+  const emitted = []
+  const socket = { emit: (evt, payload) => emitted.push([evt, payload]) }
+
+  await server._handleRequest(socket, { id: 't1', method: 'size', params: [], timeout: 10 })
+  await server._handleRequest(socket, { id: 't2', method: 'size', params: [], timeout: 60000 })
+
+  assert.deepEqual(
+    emitted.map(([, m]) => [m.id, m.error.code, m.error.details?.timeoutMs]),
+    [
+      ['t1', 'ServerTimeout', 10],
+      ['t2', 'ServerTimeout', 50],
+    ]
+  )
+})
@@ -0,0 +1,86 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import VectoriaDBServer from '../vectoriadb-server.js'
+import ChangeFeed from '../change-feed.js'
+
+test('ChangeFeed numbers events, filters them and replays what a resuming subscriber missed', () => {
+  const feed = new ChangeFeed({ historySize: 3 })
+  const seen = []
+  const send = event => seen.push([event.type, event.seq])
+  const { seq, epoch } = feed.subscribe({ owner: 'o', subId: 's', events: ['add'], filter: m => m.tag === 'x', send })
+  assert.equal(seq, 0)
+
+  feed.publish([
+    { collection: null, type: 'add', id: 'a', metadata: { tag: 'x' } },
+    { collection: null, type: 'add', id: 'b', metadata: { tag: 'y' } },
+    { collection: null, type: 'remove', id: 'a', metadata: { tag: 'x' } },
+    { collection: 'other', type: 'add', id: 'c', metadata: { tag: 'x' } },
+    { collection: null, type: 'clear' },
+  ])
+  assert.deepEqual(seen, [
+    ['add', 1],
+    ['clear', 5],
+  ])
+
+  // resuming inside the kept history replays the matching events after `since`
+  seen.length = 0
+  feed.subscribe({ owner: 'o', subId: 's2', events: ['add', 'remove'], since: 2, epoch, send })
+  assert.deepEqual(seen, [
+    ['remove', 3],
+    ['clear', 5],
+  ])
+
+  // too far back, or from another server lifetime: a single reset
+  seen.length = 0
+  feed.subscribe({ owner: 'o', subId: 's3', since: 0, epoch, send })
+  feed.subscribe({ owner: 'o', subId: 's4', since: 4, epoch: 'old', send })
+  assert.deepEqual(seen, [
+    ['reset', 5],
+    ['reset', 5],
+  ])
+
+  feed.removeOwner('o')
+  feed.publish([{ collection: null, type: 'add', id: 'z', metadata: { tag: 'x' } }])
+  assert.equal(seen.length, 2)
+})
+
+test('successful mutations are pushed to subscribed sockets; rolled back batches are not', async () => {
+  const server = new VectoriaDBServer({ autoSaveOnMutationBurst: false })
+  const docs = new Map()
+  server._vectoria = {
+    has: async id => docs.has(id),
+    get: async id => docs.get(id),
+    add: async (id, text, metadata) => void docs.set(id, { id, text, metadata }),
+    addMany: async list => list.forEach(d => docs.set(d.id, d)),
+    remove: async id => docs.delete(id),
+    removeMany: async ids => ids.filter(id => docs.delete(id)).length,
+    updateMetadata: async (id, metadata) => {
+      if (!docs.has(id)) throw new Error(`Document "${id}" not found`)
+      docs.get(id).metadata = metadata
+    },
+  }
+
+  const emitted = []
+  const socket = { emit: (evt, payload) => emitted.push([evt, payload]) }
+  await server._subscribe(socket, { subId: 's', filter: { __isFilterSpec: true, spec: { tag: 'x' } } })
+
+  await server._handleRequest(socket, { id: 1, method: 'add', params: ['a', 'alpha', { tag: 'x' }] })
+  await server._handleRequest(socket, { id: 2, method: 'add', params: ['b', 'beta', { tag: 'y' }] })
+  await server._handleRequest(socket, { id: 3, method: 'remove', params: ['a'] })
+  await server._handleBatch(socket, {
+    id: 4,
+    atomic: true,
+    ops: [
+      { method: 'add', params: ['c', 'gamma', { tag: 'x' }] },
+      { method: 'updateMetadata', params: ['missing', {}] },
+    ],
+  })
+
+  const changes = emitted.filter(([evt]) => evt === 'change').map(([, e]) => [e.subId, e.type, e.id, e.seq])
+  assert.deepEqual(changes, [
+    ['s', 'add', 'a', 1],
+    ['s', 'remove', 'a', 3],
+  ])
+
+  await assert.rejects(server._subscribe(socket, { subId: 't', events: ['nope'] }), { code: 'InvalidParams' })
+})
@@ -0,0 +1,103 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { chunkText, groupByParent, parseChunkOptions } from '../chunking.js'
+import { call, memoryServer } from './helpers.js'
+
+function serverWithStore() {
+  const { server, store } = memoryServer()
+  // every stored chunk, best match first by how often the query word appears
+  server._vectoria.search = async (query, { topK = 10 } = {}) =>
+    [...store.values()]
+      .map(doc => ({ ...doc, score: doc.text.split(query).length - 1 }))
+      .filter(hit => hit.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK)
+  return { server, store }
+}
+
+test('chunkText packs pieces at splitter boundaries with overlap', () => {
+  const options = parseChunkOptions({ chunkSize: 30, overlap: 10, splitter: 'sentence' })
+  const sentences = chunkText('One two three. Four five six. Seven eight nine.', options)
+  assert.deepEqual(sentences, ['One two three. Four five six.', 'five six. Seven eight nine.'])
+
+  const markdown = chunkText('# A\nalpha\n\n# B\nbeta', parseChunkOptions({ chunkSize: 12, overlap: 0, splitter: 'markdown' }))
+  assert.deepEqual(markdown, ['# A\nalpha', '# B\nbeta'])
+
+  // a piece longer than chunkSize is cut at whitespace
+  const long = chunkText('aaaa bbbb cccc', parseChunkOptions({ chunkSize: 9, overlap: 0 }))
+  assert.deepEqual(long, ['aaaa bbbb', 'cccc'])
+
+  assert.throws(() => parseChunkOptions({ splitter: 'word' }), { code: 'InvalidParams' })
+  assert.throws(() => parseChunkOptions({ chunkSize: 10, overlap: 10 }), { code: 'InvalidParams' })
+})
+
+test('ingestDocument stores chunks and replaces or removes them all', async () => {
+  const { server, store } = serverWithStore()
+  const events = []
+  server._feed.publish = batch => events.push(...batch.map(e => `${e.type}:${e.id}`))
+
+  const text = 'First paragraph.\n\nSecond paragraph.\n\nThird paragraph.'
+  const first = await call(server, 'ingestDocument', ['doc', text, { lang: 'en' }, { chunkSize: 20, overlap: 0 }])
+  assert.deepEqual(first, { id: 'doc', chunks: 3, replaced: 0 })
+  assert.deepEqual(store.get('doc#1'), {
+    id: 'doc#1',
+    text: 'Second paragraph.',
+    metadata: { lang: 'en', parentId: 'doc', chunkIndex: 1, chunkCount: 3, __chunkOf: 'doc' },
+  })
+
+  const second = await call(server, 'ingestDocument', ['doc', 'Only paragraph.', { lang: 'en' }])
+  assert.deepEqual(second, { id: 'doc', chunks: 1, replaced: 3 })
+  assert.deepEqual([...store.keys()], ['doc#0'])
+  assert.deepEqual(events, ['add:doc#0', 'add:doc#1', 'add:doc#2', 'remove:doc#1', 'remove:doc#2', 'update:doc#0'])
+
+  const removed = await call(server, 'removeDocument', ['doc'])
+  assert.deepEqual(removed, { id: 'doc', removed: 1 })
+  assert.equal(store.size, 0)
+
+  await assert.rejects(call(server, 'ingestDocument', ['doc', 'text', {}, { splitter: 'word' }]), { code: 'InvalidParams' })
+})
+
+test('groupByParent returns one hit per document with its matching passages', async () => {
+  const { server } = serverWithStore()
+  await call(server, 'ingestDocument', ['a', 'cat cat.\n\ndog.\n\ncat.', {}, { chunkSize: 8, overlap: 0 }])
+  await call(server, 'ingestDocument', ['b', 'cat.', { kind: 'note' }])
+
+  const result = await call(server, 'search', ['cat', { groupByParent: true, topK: 2 }])
+  assert.deepEqual(
+    result.map(r => [r.id, r.score, r.passages.map(p => p.chunkIndex)]),
+    [
+      ['a', 2, [0, 2]],
+      ['b', 1, [0]],
+    ]
+  )
+  assert.deepEqual(result[1].metadata, { kind: 'note' })
+
+  // plain hits stand alone
+  assert.deepEqual(groupByParent([{ id: 'x', text: 't', metadata: {}, score: 1 }], 10), [
+    { id: 'x', score: 1, metadata: {}, passages: [{ id: 'x', text: 't', chunkIndex: null, score: 1 }] },
+  ])
+})
+
+test('a failed re-ingest keeps the previous version, and only chunks count as a document\'s', async () => {
+  const { server, store } = serverWithStore()
+  await call(server, 'ingestDocument', ['doc', 'First.\n\nSecond.', {}, { chunkSize: 8, overlap: 0 }])
+  const before = [...store.values()]
+
+  const addMany = server._vectoria.addMany
+  // the new version fails part way; putting the old one back succeeds
+  server._vectoria.addMany = async docs => {
+    store.set(docs[0].id, docs[0])
+    server._vectoria.addMany = addMany
+    throw new Error('embedding failed')
+  }
+  await assert.rejects(call(server, 'ingestDocument', ['doc', 'Replacement text that fails.', {}]), /embedding failed/)
+  assert.deepEqual([...store.values()], before)
+
+  // ordinary documents keep their ids and their own `parentId`, and aren't taken for chunks
+  await call(server, 'add', ['ticket#42', 'a cat ticket', { parentId: 'doc' }])
+  await call(server, 'ingestDocument', ['doc', 'cat.'])
+  const grouped = await call(server, 'search', ['cat', { groupByParent: true }])
+  assert.deepEqual(grouped.map(hit => hit.id).sort(), ['doc', 'ticket#42'])
+  assert.deepEqual(await call(server, 'removeDocument', ['doc']), { id: 'doc', removed: 1 })
+  assert.deepEqual([...store.keys()], ['ticket#42'])
+})
@@ -0,0 +1,128 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import VectoriaDBServer from '../vectoriadb-server.js'
+import CollectionManager from '../collections.js'
+
+function fakeDb(name) {
+  const docs = new Map()
+  return {
+    name,
+    cleared: false,
+    async add(id, text, metadata) {
+      docs.set(id, { id, text, metadata })
+    },
+    async get(id) {
+      return docs.get(id)
+    },
+    async size() {
+      return docs.size
+    },
+    async clear() {
+      docs.clear()
+      this.cleared = true
+    },
+    async clearStorage() {},
+  }
+}
+
+function makeServer(opts) {
+  const server = new VectoriaDBServer(opts)
+  const created = []
+  server._vectoria = fakeDb('default')
+  server._collections = new CollectionManager({
+    create: async name => {
+      created.push(name)
+      return fakeDb(name)
+    },
+  })
+  return { server, created }
+}
+
+async function call(server, payload, data = {}) {
+  let emitted = null
+  await server._handleRequest({ data, emit: (evt, p) => (emitted = p) }, { id: 'r', params: [], ...payload })
+  return emitted
+}
+
+test('CollectionManager creates instances once, even for concurrent first use', async () => {
+  let creates = 0
+  const manager = new CollectionManager({ create: async name => ({ name, n: ++creates }) })
+  const [a, b] = await Promise.all([manager.get('notes'), manager.get('notes')])
+  assert.equal(a, b)
+  assert.equal(creates, 1)
+  assert.deepEqual(manager.names(), ['notes'])
+  await assert.rejects(manager.get('../etc'), /collection name/)
+})
+
+test('the envelope `collection` routes calls to an isolated instance', async () => {
+  const { server, created } = makeServer()
+
+  // naming a collection doesn't create it
+  assert.equal((await call(server, { method: 'add', params: ['1', 'hello', {}], collection: 'notes' })).error.code, 'NotFound')
+  assert.deepEqual(created, [])
+
+  await call(server, { method: 'createCollection', params: ['notes'] })
+  await call(server, { method: 'add', params: ['1', 'hello', {}], collection: 'notes' })
+  assert.deepEqual(created, ['notes'])
+
+  assert.equal((await call(server, { method: 'size', collection: 'notes' })).result, 1)
+  assert.equal((await call(server, { method: 'size' })).result, 0)
+  assert.equal((await call(server, { method: 'get', params: ['1'] })).result, undefined)
+
+  assert.deepEqual((await call(server, { method: 'listCollections' })).result, [{ name: 'notes', size: 1 }])
+
+  const dropped = await call(server, { method: 'dropCollection', params: ['notes'] })
+  assert.deepEqual(dropped.result, { ok: true, collection: 'notes', dropped: true })
+  assert.deepEqual((await call(server, { method: 'listCollections' })).result, [])
+  assert.equal((await call(server, { method: 'dropCollection', params: ['notes'] })).error.code, 'NotFound')
+
+  assert.equal((await call(server, { method: 'size', collection: 'bad/name' })).error.code, 'InvalidParams')
+})
+
+test('collection-restricted keys can only reach their own collections', async () => {
+  const { server } = makeServer({ apiKeys: { k: { scopes: ['read', 'write'], collections: ['notes'] } } })
+  const data = { apiKey: await server._apiKeys.resolve('k') }
+
+  await server._collections.get('notes')
+  await server._collections.get('other')
+  assert.equal((await call(server, { method: 'size', collection: 'notes' }, data)).error, null)
+  assert.equal((await call(server, { method: 'size', collection: 'other' }, data)).error.code, 'Forbidden')
+  assert.equal((await call(server, { method: 'createCollection', params: ['other'] }, data)).error.code, 'Forbidden')
+  assert.deepEqual(
+    (await call(server, { method: 'listCollections' }, data)).result.map(c => c.name),
+    ['notes']
+  )
+})
+
+test('read keys cannot create collections by naming them', async () => {
+  const { server, created } = makeServer({ apiKeys: { r: { scopes: ['read'] } } })
+  const data = { apiKey: await server._apiKeys.resolve('r') }
+
+  assert.equal((await call(server, { method: 'search', params: ['q'], collection: 'evil1' }, data)).error.code, 'NotFound')
+  assert.equal((await call(server, { method: 'createCollection', params: ['evil2'] }, data)).error.code, 'Forbidden')
+  assert.deepEqual(created, [])
+  assert.deepEqual((await call(server, { method: 'listCollections' }, data)).result, [])
+})
+
+test('created collections are remembered in the manifest across restarts', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vectoriadb-collections-'))
+  const manifest = path.join(dir, '.collections.json')
+  const first = new CollectionManager({ create: async name => fakeDb(name), manifest })
+  await first.get('notes')
+  await first.get('archive')
+  await first.drop('archive')
+
+  const restarted = new CollectionManager({ create: async name => fakeDb(name), manifest })
+  assert.equal(await restarted.exists('notes'), true)
+  assert.equal(await restarted.exists('archive'), false)
+  assert.deepEqual(await restarted.known(), ['notes'])
+
+  // stats count the collections not opened since the restart
+  const { server } = makeServer()
+  server._collections = restarted
+  assert.deepEqual((await call(server, { method: 'getStats' })).result.documents, { total: 0, byCollection: { '': 0, notes: 0 } })
+  await fs.rm(dir, { recursive: true, force: true })
+})
@@ -29,6 +29,7 @@ test('server deserializes serialized options.filter (object form) into a functio
     id: 't-filter-1',
     method: 'search',
     params: [
+      'q',
       {
         // serialized filter object as sent by the client SDK
         filter: { __isFnString: true, fn: 'function(m){ return !!(m && m.owner === "team") }' },
@@ -70,6 +71,7 @@ test('server deserializes serialized filter + filterContext and invokes filter(m
     id: 't-filter-ctx',
     method: 'search',
     params: [
+      'q',
       {
         filter: { __isFnString: true, fn: 'function(m, ctx){ return m && m.owner === ctx.owner }' },
         filterContext: { owner: 'team' },
@@ -85,3 +87,61 @@ test('server deserializes serialized filter + filterContext and invokes filter(m
   assert.deepEqual(emitted.payload.result, { ok: true })
   assert.equal(emitted.payload.error, null)
 })
+
+test('server compiles declarative filter specs and can reject function filters', async () => {
+  const server = new VectoriaDBServer({ allowFunctionFilters: false })
+
+  server._vectoria = {
+    async search(query, opt) {
+      assert.equal(typeof opt.filter, 'function')
+      assert.equal(opt.filter({ owner: 'team', priority: 3 }), true)
+      assert.equal(opt.filter({ owner: 'other', priority: 3 }), false)
+      assert.equal(Object.prototype.hasOwnProperty.call(opt, 'filterContext'), false)
+      return { ok: true }
+    },
+  }
+
+  let emitted = null
+  const mockSocket = { emit: (evt, payload) => (emitted = { evt, payload }) }
+
+  await server._handleRequest(mockSocket, {
+    id: 't-filter-spec',
+    method: 'search',
+    params: ['q', { filter: { __isFilterSpec: true, spec: { owner: 'team', priority: { $gte: 1 } } }, filterContext: {} }],
+  })
+  assert.equal(emitted.payload.error, null)
+  assert.deepEqual(emitted.payload.result, { ok: true })
+
+  await server._handleRequest(mockSocket, {
+    id: 't-filter-fn',
+    method: 'search',
+    params: ['q', { filter: { __isFnString: true, fn: 'function(m){ return true }' } }],
+  })
+  assert.equal(emitted.payload.id, 't-filter-fn')
+  assert.equal(emitted.payload.result, null)
+  assert.match(emitted.payload.error.message, /FunctionFiltersDisabled/)
+})
+
+test('server rejects unregistered methods and invalid params with error codes', async () => {
+  const server = new VectoriaDBServer()
+  let called = false
+  server._vectoria = {
+    _internal() {
+      called = true
+    },
+    async get() {
+      called = true
+    },
+  }
+
+  let emitted = null
+  const mockSocket = { emit: (evt, payload) => (emitted = payload) }
+
+  await server._handleRequest(mockSocket, { id: 'm1', method: '_internal', params: [] })
+  assert.equal(emitted.error.code, 'MethodNotFound')
+
+  await server._handleRequest(mockSocket, { id: 'm2', method: 'get', params: [42] })
+  assert.equal(emitted.error.code, 'InvalidParams')
+  assert.equal(emitted.error.details.param, 'id')
+  assert.equal(called, false)
+})
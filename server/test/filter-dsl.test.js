@@ -0,0 +1,46 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { compileFilter, FilterSpecError } from '../filter-dsl.js'
+
+test('implicit equality, comparison and dot-path operators', () => {
+  const match = compileFilter({ category: 'tech', priority: { $gt: 5, $lte: 10 }, 'author.name': { $in: ['Ann', 'Bob'] } })
+
+  assert.equal(match({ category: 'tech', priority: 7, author: { name: 'Ann' } }), true)
+  assert.equal(match({ category: 'tech', priority: 11, author: { name: 'Ann' } }), false)
+  assert.equal(match({ category: 'tech', priority: 7, author: { name: 'Eve' } }), false)
+  assert.equal(match({ category: 'tech', priority: '7', author: { name: 'Ann' } }), false)
+  assert.equal(match({ priority: 7, author: { name: 'Ann' } }), false)
+})
+
+test('$and / $or / $not and $exists', () => {
+  const match = compileFilter({
+    $or: [{ status: 'draft' }, { $and: [{ status: 'published' }, { $not: { archived: true } }] }],
+    owner: { $exists: true },
+  })
+
+  assert.equal(match({ status: 'draft', owner: 'a' }), true)
+  assert.equal(match({ status: 'published', owner: 'a' }), true)
+  assert.equal(match({ status: 'published', archived: true, owner: 'a' }), false)
+  assert.equal(match({ status: 'draft' }), false)
+})
+
+test('$ne / $nin treat missing fields as non-matching values, arrays match by element', () => {
+  assert.equal(compileFilter({ owner: { $ne: 'x' } })({}), true)
+  assert.equal(compileFilter({ owner: { $nin: ['x', 'y'] } })({ owner: 'y' }), false)
+  assert.equal(compileFilter({ tags: 'red' })({ tags: ['blue', 'red'] }), true)
+  assert.equal(compileFilter({ tags: ['blue', 'red'] })({ tags: ['blue', 'red'] }), true)
+  assert.equal(compileFilter({ tags: { $not: { $in: ['red'] } } })({ tags: ['red'] }), false)
+})
+
+test('does not follow inherited properties', () => {
+  assert.equal(compileFilter({ 'constructor.name': 'Object' })({}), false)
+  assert.equal(compileFilter({ toString: { $exists: true } })({}), false)
+})
+
+test('malformed specs throw FilterSpecError', () => {
+  assert.throws(() => compileFilter({ a: { $regex: '.*' } }), FilterSpecError)
+  assert.throws(() => compileFilter({ $where: 'true' }), FilterSpecError)
+  assert.throws(() => compileFilter({ a: { $in: 'x' } }), FilterSpecError)
+  assert.throws(() => compileFilter({ $or: [] }), FilterSpecError)
+  assert.throws(() => compileFilter('m => true'), /InvalidFilter/)
+})
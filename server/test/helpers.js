@@ -0,0 +1,37 @@
+import VectoriaDBServer from '../vectoriadb-server.js'
+
+// A server over an in-memory stand-in for VectoriaDB. `store` maps ids to the stored documents; `vectoria`
+// replaces stand-in methods, e.g. a `search` ranking the way a test needs (by default every document, in
+// store order, scored 1, 0.9, ...).
+export function memoryServer({ docs = [], vectoria = {}, ...options } = {}) {
+  const server = new VectoriaDBServer({ autoSaveOnMutationBurst: false, logger: false, ...options })
+  const store = new Map(docs.map(doc => [doc.id, doc]))
+  server._vectoria = {
+    get: async id => store.get(id),
+    has: async id => store.has(id),
+    filter: async fn => [...store.values()].filter(doc => fn(doc.metadata)),
+    add: async (id, text, metadata) => store.set(id, { id, text, metadata }),
+    addMany: async docs => docs.forEach(doc => store.set(doc.id, doc)),
+    remove: async id => store.delete(id),
+    removeMany: async ids => ids.forEach(id => store.delete(id)),
+    clear: async () => store.clear(),
+    search: async (query, { topK = 10 } = {}) => [...store.values()].map((doc, i) => ({ ...doc, score: 1 - i / 10 })).slice(0, topK),
+    ...vectoria,
+  }
+  return { server, store }
+}
+
+// the `{ result, error }` response to one call, on the default index or `collection`
+export async function respond(server, method, params, collection) {
+  let response
+  const request = collection === undefined ? { id: 1, method, params } : { id: 1, method, params, collection }
+  await server._handleRequest({ emit: (evt, payload) => (response = payload) }, request)
+  return response
+}
+
+// a call's result, throwing its error
+export async function call(server, method, params, collection) {
+  const response = await respond(server, method, params, collection)
+  if (response.error) throw Object.assign(new Error(response.error.message), response.error)
+  return response.result
+}
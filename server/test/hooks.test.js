@@ -0,0 +1,105 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import VectoriaDBServer from '../vectoriadb-server.js'
+import { ForbiddenError } from '../errors.js'
+import { ConsoleLogger, createLogger } from '../logger.js'
+
+function recordingLogger() {
+  const lines = []
+  const logger = {}
+  for (const level of ['debug', 'info', 'warn', 'error']) logger[level] = (fields, msg) => lines.push({ level, msg, ...fields })
+  return { logger, lines }
+}
+
+function setup(opts) {
+  const server = new VectoriaDBServer({ autoSaveOnMutationBurst: false, ...opts })
+  server._vectoria = { get: async id => ({ id }), size: async () => 1 }
+  const responses = []
+  const socket = { id: 'sock-1', data: {}, handshake: { headers: { traceparent: '00-abc-01' } }, emit: (evt, p) => responses.push(p) }
+  return { server, socket, responses }
+}
+
+test('hooks run around each call and can reject it', async () => {
+  const seen = []
+  const { server, socket, responses } = setup({
+    logger: false,
+    hooks: {
+      beforeRequest: async ctx => {
+        seen.push(['before', ctx.method, ctx.headers.traceparent])
+        ctx.state.span = 'span-1'
+        if (ctx.params[0] === 'secret') throw new ForbiddenError('no secrets')
+      },
+      afterRequest: ctx => seen.push(['after', ctx.method, ctx.result, ctx.state.span, typeof ctx.took]),
+      onError: ctx => seen.push(['error', ctx.method, ctx.error.code]),
+    },
+  })
+  server.use({
+    afterRequest: () => {
+      throw new Error('hook bug')
+    },
+  })
+
+  await server._handleRequest(socket, { id: 1, method: 'get', params: ['a'] })
+  await server._handleRequest(socket, { id: 2, method: 'get', params: ['secret'] })
+  await server._handleBatch(socket, { id: 3, ops: [{ method: 'size' }] })
+
+  assert.deepEqual(
+    seen,
+    [
+      ['before', 'get', '00-abc-01'],
+      ['after', 'get', { id: 'a' }, 'span-1', 'number'],
+      ['before', 'get', '00-abc-01'],
+      ['error', 'get', 'Forbidden'],
+      ['before', 'batch', '00-abc-01'],
+      ['after', 'batch', [{ result: 1, error: null }], 'span-1', 'number'],
+    ]
+  )
+  // a failing hook doesn't change the answer
+  assert.deepEqual(
+    responses.map(r => r.error?.code ?? null),
+    [null, 'Forbidden', null]
+  )
+  assert.throws(() => server.use({ onError: 'nope' }), TypeError)
+})
+
+test('every call is logged with its request id, socket, key, took and error code', async () => {
+  const { logger, lines } = recordingLogger()
+  const { server, socket } = setup({ logger, apiKeys: { 'sk-ops': { id: 'ops', scopes: ['admin'] } } })
+  socket.data.apiKey = await server._apiKeys.resolve('sk-ops')
+
+  await server._handleRequest(socket, { id: 7, method: 'get', params: ['a'] })
+  await server._handleRequest(socket, { id: 8, method: 'get', params: [1] })
+
+  const [ok, failed] = lines
+  assert.equal(ok.level, 'debug')
+  assert.deepEqual(
+    { requestId: ok.requestId, method: ok.method, socketId: ok.socketId, apiKeyId: ok.apiKeyId, transport: ok.transport },
+    { requestId: 7, method: 'get', socketId: 'sock-1', apiKeyId: 'ops', transport: 'socket' }
+  )
+  assert.equal(typeof ok.took, 'number')
+  assert.equal(failed.level, 'warn')
+  assert.equal(failed.code, 'InvalidParams')
+})
+
+test('the default logger writes JSON lines at or above its level', () => {
+  const out = []
+  const logger = new ConsoleLogger({ level: 'info', write: line => out.push(JSON.parse(line)) })
+  logger.debug({ a: 1 }, 'hidden')
+  logger.info({ requestId: 1 }, 'auto-saved storage')
+  logger.error({ err: Object.assign(new Error('boom'), { code: 'E' }) }, 'failed')
+  logger.warn('bare message')
+
+  assert.deepEqual(
+    out.map(l => [l.level, l.msg]),
+    [
+      ['info', 'auto-saved storage'],
+      ['error', 'failed'],
+      ['warn', 'bare message'],
+    ]
+  )
+  assert.equal(out[0].requestId, 1)
+  assert.equal(typeof out[0].time, 'number')
+  assert.equal(out[1].err.message, 'boom')
+  assert.equal(out[1].err.code, 'E')
+  assert.throws(() => createLogger({ info() {} }), TypeError)
+})
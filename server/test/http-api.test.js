@@ -0,0 +1,100 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import VectoriaDBServer from '../vectoriadb-server.js'
+import { createHttpHandler } from '../http-api.js'
+
+async function withApi(opts, fn) {
+  const server = new VectoriaDBServer({ autoSaveOnMutationBurst: false, ...opts })
+  const docs = new Map()
+  server._vectoria = {
+    add: async (id, text, metadata) => docs.set(id, { id, text, metadata }) && { ok: true },
+    get: async id => docs.get(id),
+    size: async () => docs.size,
+    remove: async id => docs.delete(id),
+    search: async (query, options) => [...docs.values()].filter(d => !options.filter || options.filter(d.metadata)),
+  }
+  const httpServer = http.createServer(createHttpHandler(server, { maxBodyBytes: 1024 }))
+  await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve))
+  const base = `http://127.0.0.1:${httpServer.address().port}`
+  const call = async (method, path, body, headers = {}) => {
+    const res = await fetch(base + path, {
+      method,
+      headers: { 'content-type': 'application/json', ...headers },
+      body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body),
+    })
+    return { status: res.status, body: await res.json() }
+  }
+  try {
+    await fn(call)
+  } finally {
+    await new Promise(resolve => httpServer.close(resolve))
+  }
+}
+
+test('REST routes map onto the RPC methods', async () => {
+  await withApi({}, async call => {
+    assert.equal((await call('GET', '/v1/health')).body.ok, true)
+
+    const added = await call('POST', '/v1/documents', { id: 'a', text: 'alpha', metadata: { tag: 'x' } })
+    assert.equal(added.status, 200)
+    await call('POST', '/v1/documents', { id: 'b', text: 'beta', metadata: { tag: 'y' } })
+
+    assert.deepEqual((await call('GET', '/v1/documents/a')).body.result, { id: 'a', text: 'alpha', metadata: { tag: 'x' } })
+    assert.equal((await call('GET', '/v1/size')).body.result, 2)
+
+    const hits = await call('POST', '/v1/search', { query: 'a', topK: 5, filter: { tag: 'y' } })
+    assert.deepEqual(
+      hits.body.result.map(d => d.id),
+      ['b']
+    )
+
+    assert.equal((await call('DELETE', '/v1/documents/a')).body.result, true)
+    const missing = await call('GET', '/v1/documents/a')
+    assert.equal(missing.status, 404)
+    assert.equal(missing.body.error.code, 'DocumentNotFound')
+  })
+})
+
+test('REST errors use the same codes as the socket path, with matching HTTP statuses', async () => {
+  await withApi({ apiKeys: { 'k-read': { scopes: ['read'] } } }, async call => {
+    const anonymous = await call('GET', '/v1/size')
+    assert.equal(anonymous.status, 401)
+    assert.equal(anonymous.body.error.code, 'Unauthorized')
+
+    const auth = { authorization: 'Bearer k-read' }
+    assert.equal((await call('GET', '/v1/size', undefined, auth)).status, 200)
+
+    const forbidden = await call('POST', '/v1/documents', { id: 'a', text: 'alpha' }, { 'x-api-key': 'k-read' })
+    assert.equal(forbidden.status, 403)
+
+    const invalid = await call('POST', '/v1/search', { topK: 3 }, auth)
+    assert.equal(invalid.status, 400)
+    assert.equal(invalid.body.error.code, 'InvalidParams')
+
+    assert.equal((await call('POST', '/v1/search', '{nope', auth)).body.error.code, 'InvalidRequest')
+    assert.equal((await call('POST', '/v1/search', { query: 'x'.repeat(2000) }, auth)).status, 413)
+    assert.equal((await call('GET', '/v1/nothing-here', undefined, auth)).status, 404)
+    assert.equal((await call('POST', '/v1/rpc', { method: 'nope' }, auth)).body.error.code, 'MethodNotFound')
+  })
+})
+
+test('POST /v1/batch runs several calls, and /v1/rpc reaches any registered method', async () => {
+  await withApi({}, async call => {
+    const batch = await call('POST', '/v1/batch', {
+      ops: [
+        { method: 'add', params: ['a', 'alpha', {}] },
+        { method: 'size', params: [] },
+        { method: 'nope', params: [] },
+      ],
+    })
+    assert.equal(batch.status, 200)
+    assert.deepEqual(
+      batch.body.result.map(r => r.error?.code ?? r.result),
+      [{ ok: true }, 1, 'MethodNotFound']
+    )
+
+    // unlike GET /v1/documents/:id, a `get` through /v1/rpc answers null for a missing id, as on the socket
+    assert.equal((await call('POST', '/v1/rpc', { method: 'get', params: ['zzz'] })).body.result, null)
+  })
+})
@@ -0,0 +1,82 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import KeywordIndex, { tokenize } from '../keyword-index.js'
+import { call, memoryServer, respond } from './helpers.js'
+
+test('KeywordIndex ranks by BM25 and forgets removed documents', () => {
+  assert.deepEqual(tokenize('ERR-4012 Timeout'), ['err', '4012', 'timeout'])
+  const index = new KeywordIndex()
+  index.add('a', 'connection timeout while saving', { tag: 'x' })
+  index.add('b', 'timeout timeout timeout', { tag: 'y' })
+  index.add('c', 'unrelated text')
+
+  assert.deepEqual(
+    index.search('timeout').map(hit => hit.id),
+    ['b', 'a']
+  )
+  assert.deepEqual(
+    index.search('timeout', { filter: m => m.tag === 'x' }).map(hit => hit.id),
+    ['a']
+  )
+
+  index.remove('b')
+  index.add('a', 'replaced')
+  assert.equal(index.size, 2)
+  assert.deepEqual(index.search('timeout'), [])
+})
+
+test('hybrid search fuses vector and keyword scores and reports both', async () => {
+  const { server } = memoryServer({
+    docs: [
+      { id: 'a', text: 'billing invoices', metadata: {} },
+      { id: 'b', text: 'reset your password', metadata: {} },
+      { id: 'c', text: 'password policy and password rotation', metadata: {} },
+    ],
+  })
+
+  const { result: hybrid } = await respond(server, 'search', ['password', { mode: 'hybrid', alpha: 0.5, topK: 3 }])
+  assert.deepEqual(
+    hybrid.map(r => r.id),
+    ['c', 'b', 'a']
+  )
+  assert.equal(hybrid[0].scores.keyword > hybrid[1].scores.keyword, true)
+  assert.equal(hybrid[0].scores.vector, 0.8)
+  assert.equal(hybrid[2].scores.keyword, null)
+  assert.equal(hybrid[0].score, 0.5 * 0.8 + 0.5 * 1)
+
+  const { result: keyword } = await respond(server, 'search', ['password', { mode: 'keyword' }])
+  assert.deepEqual(
+    keyword.map(r => [r.id, r.scores.vector]),
+    [
+      ['c', null],
+      ['b', null],
+    ]
+  )
+  assert.equal(keyword[0].text, 'password policy and password rotation')
+
+  const { result: rrf } = await respond(server, 'search', ['password', { mode: 'hybrid', fusion: 'rrf', rrfK: 10, topK: 1 }])
+  assert.equal(rrf[0].id, 'c')
+  assert.equal(rrf[0].score, 1 / 11 + 1 / 13)
+})
+
+test('the keyword index follows mutations made through the server', async () => {
+  const { server } = memoryServer({ docs: [{ id: 'a', text: 'first document', metadata: {} }] })
+  assert.equal((await respond(server, 'search', ['zebra', { mode: 'keyword' }])).result.length, 0)
+
+  await call(server, 'add', ['z', 'a zebra crossing', { kind: 'road' }])
+  assert.deepEqual(
+    (await respond(server, 'search', ['zebra', { mode: 'keyword' }])).result.map(r => r.id),
+    ['z']
+  )
+
+  await call(server, 'remove', ['z'])
+  assert.equal((await respond(server, 'search', ['zebra', { mode: 'keyword' }])).result.length, 0)
+})
+
+test('invalid search options are rejected', async () => {
+  const { server } = memoryServer()
+  const bad = await respond(server, 'search', ['q', { mode: 'fuzzy' }])
+  assert.equal(bad.error.code, 'InvalidParams')
+  const alpha = await respond(server, 'search', ['q', { mode: 'hybrid', alpha: 2 }])
+  assert.equal(alpha.error.code, 'InvalidParams')
+})
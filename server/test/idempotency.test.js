@@ -0,0 +1,74 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import VectoriaDBServer from '../vectoriadb-server.js'
+import IdempotencyCache from '../idempotency.js'
+
+test('IdempotencyCache runs a key once, forgets failures and expires old keys', async () => {
+  const cache = new IdempotencyCache({ ttlMs: 20, maxKeys: 10 })
+  let runs = 0
+  const work = async () => ++runs
+
+  const [a, b] = await Promise.all([cache.run('s', 'k', work), cache.run('s', 'k', work)])
+  assert.deepEqual([a, b, runs], [1, 1, 1])
+  // another caller's identical key is a different call
+  assert.equal(await cache.run('other', 'k', work), 2)
+
+  await assert.rejects(
+    cache.run('s', 'bad', async () => {
+      throw new Error('boom')
+    }),
+    /boom/
+  )
+  assert.equal(await cache.run('s', 'bad', work), 3)
+
+  await new Promise(resolve => setTimeout(resolve, 30))
+  assert.equal(await cache.run('s', 'k', work), 4)
+})
+
+test('replayed mutations with the same idempotency key are applied once', async () => {
+  const server = new VectoriaDBServer({ autoSaveOnMutationBurst: false })
+  const applied = []
+  const docs = new Map()
+  server._vectoria = {
+    get: async id => docs.get(id),
+    add: async (id, text, metadata) => {
+      applied.push(['add', id])
+      if (docs.has(id)) throw new Error(`Document with id "${id}" already exists`)
+      docs.set(id, { id, text, metadata })
+    },
+    remove: async id => {
+      applied.push(['remove', id])
+      return docs.delete(id)
+    },
+  }
+  const responses = []
+  const socket = { emit: (evt, payload) => evt === 'response' && responses.push(payload) }
+
+  await server._handleRequest(socket, { id: 1, method: 'add', params: ['a', 'alpha', {}], idempotencyKey: 'k-add' })
+  await server._handleRequest(socket, { id: 2, method: 'add', params: ['a', 'alpha', {}], idempotencyKey: 'k-add' })
+  await server._handleRequest(socket, { id: 3, method: 'remove', params: ['a'], idempotencyKey: 'k-rm' })
+  await server._handleRequest(socket, { id: 4, method: 'remove', params: ['a'], idempotencyKey: 'k-rm' })
+  await server._handleBatch(socket, { id: 5, ops: [{ method: 'add', params: ['b', 'beta', {}] }], idempotencyKey: 'k-batch' })
+  await server._handleBatch(socket, { id: 6, ops: [{ method: 'add', params: ['b', 'beta', {}] }], idempotencyKey: 'k-batch' })
+
+  assert.deepEqual(applied, [
+    ['add', 'a'],
+    ['remove', 'a'],
+    ['add', 'b'],
+  ])
+  // a replay answers like the original did
+  assert.deepEqual(
+    responses.map(r => [r.id, r.error?.code ?? null, r.result]),
+    [
+      [1, null, undefined],
+      [2, null, undefined],
+      [3, null, true],
+      [4, null, true],
+      [5, null, [{ result: undefined, error: null }]],
+      [6, null, [{ result: undefined, error: null }]],
+    ]
+  )
+
+  await server._handleRequest(socket, { id: 7, method: 'remove', params: ['b'], idempotencyKey: 42 })
+  assert.equal(responses.at(-1).error.code, 'InvalidParams')
+})
@@ -0,0 +1,106 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import VectoriaDBServer from '../vectoriadb-server.js'
+import MetadataIndex from '../metadata-index.js'
+
+test('MetadataIndex narrows equality, $in, ranges and $exists on indexed fields only', () => {
+  const index = new MetadataIndex({ fields: ['category', 'year', 'author.team'] })
+  index.add('a', '', { category: 'tech', year: 2020, author: { team: 'infra' } })
+  index.add('b', '', { category: ['tech', 'news'], year: 2022 })
+  index.add('c', '', { category: 'news', year: '2021' })
+  const ids = spec => {
+    const set = index.candidates(spec)
+    return set && [...set].sort()
+  }
+
+  assert.deepEqual(ids({ category: 'tech' }), ['a', 'b'])
+  assert.deepEqual(ids({ category: { $in: ['news'] }, year: { $gt: 2020 } }), ['b'])
+  assert.deepEqual(ids({ year: { $gte: '2000', $lt: '2022' } }), ['c'])
+  assert.deepEqual(ids({ 'author.team': { $exists: true } }), ['a'])
+  assert.deepEqual(ids({ $or: [{ year: 2020 }, { category: 'news' }] }), ['a', 'b', 'c'])
+  // nothing to narrow on: unindexed fields, negations, an $or branch that isn't indexed
+  assert.equal(ids({ title: 'x', category: { $ne: 'tech' } }), null)
+  assert.equal(ids({ $or: [{ year: 2020 }, { title: 'x' }] }), null)
+  // ...but other conditions still narrow around them
+  assert.deepEqual(ids({ title: 'x', $and: [{ year: 2022 }] }), ['b'])
+
+  index.add('b', '', { category: 'sport' })
+  index.remove('a')
+  assert.deepEqual(ids({ category: 'tech' }), [])
+  assert.equal(index.size, 2)
+})
+
+test('filter and search use the indexes, which follow mutations', async () => {
+  const server = new VectoriaDBServer({ autoSaveOnMutationBurst: false, logger: false, indexedFields: ['category'] })
+  const store = new Map(['tech', 'news', 'tech'].map((category, i) => [`d${i}`, { id: `d${i}`, text: 't', metadata: { category } }]))
+  const calls = { filter: 0, get: 0, search: 0 }
+  server._vectoria = {
+    get: async id => (calls.get++, store.get(id)),
+    filter: async fn => (calls.filter++, [...store.values()].filter(doc => fn(doc.metadata))),
+    add: async (id, text, metadata) => store.set(id, { id, text, metadata }),
+    search: async () => (calls.search++, []),
+  }
+  const call = async (method, params) => {
+    let response
+    await server._handleRequest({ emit: (evt, payload) => (response = payload) }, { id: 1, method, params })
+    return response.result
+  }
+  const spec = filter => ({ __isFilterSpec: true, spec: filter })
+
+  const tech = await call('filter', [spec({ category: 'tech' })])
+  assert.deepEqual(tech.map(doc => doc.id).sort(), ['d0', 'd2'])
+  // one scan to build the index, then only the two candidates are fetched
+  assert.deepEqual(calls, { filter: 1, get: 2, search: 0 })
+
+  await call('add', ['d3', 't', { category: 'sport' }])
+  assert.deepEqual(
+    (await call('filter', [spec({ category: { $in: ['sport'] } })])).map(doc => doc.id),
+    ['d3']
+  )
+  assert.equal(calls.filter, 1)
+
+  // no candidates: the search never reaches VectoriaDB
+  assert.deepEqual(await call('search', ['q', { filter: { category: 'none' } }]), [])
+  assert.equal(calls.search, 0)
+  await call('search', ['q', { filter: { category: 'tech' } }])
+  assert.equal(calls.search, 1)
+})
+
+test('searches pass VectoriaDB a filter narrowed to the candidates', async () => {
+  const server = new VectoriaDBServer({ autoSaveOnMutationBurst: false, logger: false, indexedFields: ['category', 'year'] })
+  const store = new Map(
+    [
+      ['a', 'tech', 2020],
+      ['b', 'tech', 2021],
+      ['c', 'news', 2020],
+    ].map(([id, category, year]) => [id, { id, text: id, metadata: { category, year, title: id } }])
+  )
+  let seen = null
+  server._vectoria = {
+    get: async id => store.get(id),
+    filter: async fn => [...store.values()].filter(doc => fn(doc.metadata)),
+    // scores and thresholds stay VectoriaDB's: the stand-in only reports what the filter let through
+    search: async (query, { filter }) => {
+      seen = [...store.values()].filter(doc => filter(doc.metadata)).map(doc => doc.id)
+      return []
+    },
+  }
+  const call = async (method, params) => {
+    let response
+    await server._handleRequest({ emit: (evt, payload) => (response = payload) }, { id: 1, method, params })
+    return response.result
+  }
+
+  await call('search', ['q', { filter: { category: 'tech', year: { $gte: 2021 } } }])
+  assert.deepEqual(seen, ['b'])
+  await call('search', ['q', { filter: { $or: [{ category: 'news' }, { year: 2021 }] }, mode: 'hybrid' }])
+  assert.deepEqual(seen, ['b', 'c'])
+
+  // the candidate predicate only knows the indexed values; the full filter still decides
+  const index = new MetadataIndex({ fields: ['category'] })
+  index.add('a', '', { category: 'tech', title: 'x' })
+  const isCandidate = index.candidateFilter(index.candidates({ category: 'tech' }))
+  assert.equal(isCandidate({ category: 'tech', title: 'other' }), true)
+  assert.equal(isCandidate({ category: 'news' }), false)
+  assert.equal(isCandidate({}), false)
+})
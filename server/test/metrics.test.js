@@ -0,0 +1,68 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import VectoriaDBServer from '../vectoriadb-server.js'
+import { createHttpHandler } from '../http-api.js'
+
+function serverWithDocs(opts = {}) {
+  const server = new VectoriaDBServer({ autoSaveOnMutationBurst: false, ...opts })
+  const docs = new Map([['a', { id: 'a', text: 'alpha' }]])
+  server._vectoria = {
+    get: async id => docs.get(id),
+    size: async () => docs.size,
+    search: async () => [...docs.values()],
+  }
+  return server
+}
+
+test('getStats counts calls, errors and latency per method', async () => {
+  const server = serverWithDocs({ streamChunkSize: 1 })
+  const responses = []
+  const socket = { emit: (evt, payload) => evt === 'response' && responses.push(payload) }
+
+  await server._handleRequest(socket, { id: 1, method: 'get', params: ['a'] })
+  await server._handleRequest(socket, { id: 2, method: 'get', params: [42] })
+  await server._handleRequest(socket, { id: 3, method: 'nope', params: [] })
+  await server._handleRequest(socket, { id: 4, method: 'search', params: ['q'], stream: true })
+  await server._handleBatch(socket, { id: 5, ops: [{ method: 'size' }] })
+  await server._handleRequest(socket, { id: 6, method: 'getStats', params: [] })
+
+  const stats = responses.at(-1).result
+  assert.equal(stats.requests.byMethod.get.count, 2)
+  assert.deepEqual(stats.requests.byMethod.get.errorsByCode, { InvalidParams: 1 })
+  // unknown method names share one series
+  assert.deepEqual(stats.requests.byMethod.unknown.errorsByCode, { MethodNotFound: 1 })
+  assert.equal(stats.requests.byMethod.batch.count, 1)
+  assert.equal(stats.requests.total, 5)
+  assert.equal(stats.requests.inFlight, 1) // the getStats call itself
+  assert.equal(stats.streamChunks, 1)
+  assert.deepEqual(stats.documents, { total: 1, byCollection: { '': 1 } })
+  for (const key of ['avgMs', 'maxMs', 'p50Ms', 'p95Ms', 'p99Ms']) assert.equal(typeof stats.requests.byMethod.get[key], 'number')
+})
+
+test('/metrics serves the Prometheus text format and takes an admin key', async () => {
+  const server = serverWithDocs({ apiKeys: { 'k-admin': { scopes: ['admin'] }, 'k-read': { scopes: ['read'] } } })
+  const httpServer = http.createServer(createHttpHandler(server))
+  await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve))
+  const base = `http://127.0.0.1:${httpServer.address().port}`
+  try {
+    await fetch(`${base}/v1/documents/a`, { headers: { 'x-api-key': 'k-read' } })
+    assert.equal((await fetch(`${base}/metrics`)).status, 401)
+    assert.equal((await fetch(`${base}/metrics`, { headers: { 'x-api-key': 'k-read' } })).status, 403)
+
+    const res = await fetch(`${base}/metrics`, { headers: { authorization: 'Bearer k-admin' } })
+    assert.equal(res.status, 200)
+    assert.match(res.headers.get('content-type'), /^text\/plain/)
+    const text = await res.text()
+    assert.match(text, /^# TYPE vectoriadb_requests_total counter$/m)
+    assert.match(text, /^vectoriadb_requests_total\{method="get"\} 1$/m)
+    assert.match(text, /^vectoriadb_request_duration_seconds_bucket\{method="get",le="\+Inf"\} 1$/m)
+    assert.match(text, /^vectoriadb_documents\{collection=""\} 1$/m)
+    assert.match(text, /^vectoriadb_autosaves_total 0$/m)
+
+    const stats = await fetch(`${base}/v1/stats`, { headers: { 'x-api-key': 'k-admin' } })
+    assert.equal((await stats.json()).result.requests.byMethod.get.count, 1)
+  } finally {
+    await new Promise(resolve => httpServer.close(resolve))
+  }
+})
@@ -0,0 +1,67 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { call, memoryServer } from './helpers.js'
+
+const docs = ['e', 'b', 'd', 'a', 'c'].map((id, i) => ({
+  id,
+  text: `doc ${id}`,
+  metadata: { title: id.toUpperCase(), year: 2020 + i, body: 'long' },
+  vector: [i, i],
+}))
+
+test('filter pages by cursor in id order and later pages stay put after inserts', async () => {
+  const { server } = memoryServer({ docs })
+  const all = { __isFnString: true, fn: '() => true' }
+
+  const first = await call(server, 'filter', [all, { limit: 2, fields: ['metadata.title'] }])
+  assert.deepEqual(first.items, [
+    { id: 'a', metadata: { title: 'A' } },
+    { id: 'b', metadata: { title: 'B' } },
+  ])
+  assert.equal(first.total, 5)
+
+  // a document sorting before the cursor doesn't shift the next page
+  await call(server, 'add', ['0', 'new', {}])
+  const second = await call(server, 'filter', [all, { limit: 2, cursor: first.nextCursor, includeVector: false }])
+  assert.deepEqual(
+    second.items.map(d => d.id),
+    ['c', 'd']
+  )
+  assert.equal(second.items[0].vector, undefined)
+  assert.equal(second.items[0].metadata.body, 'long')
+
+  const last = await call(server, 'filter', [all, { limit: 2, cursor: second.nextCursor }])
+  assert.deepEqual(
+    last.items.map(d => d.id),
+    ['e']
+  )
+  assert.equal(last.nextCursor, null)
+
+  // without a limit the result is still a plain array, here sorted and offset-free
+  const sorted = await call(server, 'filter', [all, { sort: { by: 'metadata.year', order: 'desc' } }])
+  assert.deepEqual(
+    sorted.map(d => d.id),
+    ['c', 'a', 'd', 'b', 'e', '0']
+  )
+})
+
+test('search pages by score with offset, sorts by a field and rejects foreign cursors', async () => {
+  const { server } = memoryServer({ docs })
+
+  const page = await call(server, 'search', ['q', { limit: 2, offset: 1, fields: [] }])
+  assert.deepEqual(page.items, [
+    { id: 'b', score: 0.9 },
+    { id: 'd', score: 0.8 },
+  ])
+  assert.equal(page.total, 5)
+
+  const byYear = await call(server, 'search', ['q', { sort: 'metadata.year', limit: 3 }])
+  assert.deepEqual(
+    byYear.items.map(d => d.id),
+    ['e', 'b', 'd']
+  )
+
+  await assert.rejects(call(server, 'search', ['other', { limit: 3, cursor: page.nextCursor }]), { code: 'InvalidParams' })
+  await assert.rejects(call(server, 'search', ['q', { limit: 0 }]), { code: 'InvalidParams' })
+  await assert.rejects(call(server, 'search', ['q', { sort: { by: 'score', order: 'up' } }]), { code: 'InvalidParams' })
+})
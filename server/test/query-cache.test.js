@@ -0,0 +1,86 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import CollectionManager from '../collections.js'
+import { call, memoryServer } from './helpers.js'
+
+const serverWithSearch = (queryCache, search) => memoryServer({ queryCache, vectoria: { search } }).server
+
+test('identical searches are coalesced, cached until a mutation and counted', async () => {
+  let runs = 0
+  let release
+  const server = serverWithSearch({ resultTtlMs: 60000 }, async query => {
+    runs++
+    if (runs === 1) await new Promise(resolve => (release = resolve))
+    return [{ id: 'a', score: 1, query }]
+  })
+
+  const concurrent = [call(server, 'search', ['  popular   query ', { topK: 3 }]), call(server, 'search', ['popular query', { topK: 3 }])]
+  await new Promise(resolve => setImmediate(resolve))
+  release()
+  const [first, second] = await Promise.all(concurrent)
+  assert.deepEqual(first, second)
+  assert.equal(runs, 1)
+
+  await call(server, 'search', ['popular query', { topK: 3 }])
+  assert.equal(runs, 1)
+  // other options are another query
+  await call(server, 'search', ['popular query', { topK: 4 }])
+  await call(server, 'search', ['popular query', { topK: 3, filter: { __isFnString: true, fn: '(m, c) => m.x === c' }, filterContext: 1 }])
+  await call(server, 'search', ['popular query', { topK: 3, filter: { __isFnString: true, fn: '(m, c) => m.x === c' }, filterContext: 2 }])
+  assert.equal(runs, 4)
+
+  await call(server, 'add', ['b', 'new document', {}])
+  await call(server, 'search', ['popular query', { topK: 3 }])
+  assert.equal(runs, 5)
+
+  // callers get copies: changing one result doesn't change the cached one
+  const cached = await call(server, 'search', ['popular query', { topK: 3 }])
+  cached[0].id = 'changed'
+  assert.equal((await call(server, 'search', ['popular query', { topK: 3 }]))[0].id, 'a')
+  assert.equal(runs, 5)
+
+  const { cache } = await call(server, 'getStats', [])
+  // the add dropped the earlier entries
+  assert.deepEqual(cache.results, { hits: 3, misses: 5, coalesced: 1, size: 1 })
+})
+
+test('a search overlapping a mutation is not cached', async () => {
+  let runs = 0
+  let release
+  const server = serverWithSearch(true, async () => {
+    runs++
+    if (runs === 1) await new Promise(resolve => (release = resolve))
+    return []
+  })
+  const pending = call(server, 'search', ['q'])
+  await new Promise(resolve => setImmediate(resolve))
+  await call(server, 'add', ['b', 'text', {}])
+  release()
+  await pending
+  await call(server, 'search', ['q'])
+  assert.equal(runs, 2)
+})
+
+test('query text is embedded once and searched by vector', async () => {
+  const queries = []
+  let embedded = 0
+  const embed = async text => (embedded++, [text.length, 0])
+  const server = serverWithSearch({ resultTtlMs: 0, embed }, async query => (queries.push(query), []))
+
+  await call(server, 'search', ['hello  world'])
+  await call(server, 'search', ['hello world'])
+  await call(server, 'search', [[1, 2]])
+  assert.equal(embedded, 1)
+  // a query vector reaches VectoriaDB as a Float32Array
+  assert.deepEqual(queries, [[11, 0], [11, 0], new Float32Array([1, 2])])
+
+  // each collection embeds its own queries
+  server._collections = new CollectionManager({ create: async () => server._vectoria })
+  await call(server, 'createCollection', ['notes'])
+  await call(server, 'search', ['hello world'], 'notes')
+  assert.equal(embedded, 2)
+
+  const { cache } = await call(server, 'getStats', [])
+  assert.deepEqual(cache.embeddings, { hits: 1, misses: 2, size: 2 })
+  assert.match(await server.metricsText(), /^vectoriadb_cache_hits_total\{cache="embeddings"\} 1$/m)
+})
@@ -0,0 +1,77 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import VectoriaDBServer from '../vectoriadb-server.js'
+import RateLimiter from '../rate-limit.js'
+
+test('RateLimiter charges token buckets by cost and caps concurrent calls', async () => {
+  const limiter = new RateLimiter({ perSocket: { capacity: 4, refillPerSec: 100 }, maxConcurrent: 2 })
+  const a = limiter.admit({ client: 'a' }, 2)
+  const b = limiter.admit({ client: 'a' }, 1)
+  // two running: a third is refused until one finishes
+  assert.throws(() => limiter.admit({ client: 'a' }, 1), err => err.code === 'RateLimited' && err.details.limit === 'concurrency')
+  a()
+  a()
+  b()
+  // one token left: a call costing two is refused, with a hint that matches the refill rate
+  assert.throws(
+    () => limiter.admit({ client: 'a' }, 2),
+    err => err.code === 'RateLimited' && err.details.limit === 'perSocket' && err.details.retryAfterMs > 0 && err.details.retryAfterMs <= 10
+  )
+  // other clients have their own bucket
+  limiter.admit({ client: 'b' }, 4)()
+
+  await new Promise(resolve => setTimeout(resolve, 20))
+  limiter.admit({ client: 'a' }, 2)()
+})
+
+test('per-key limits are shared by every connection using the key', () => {
+  const limiter = new RateLimiter({ perKey: { capacity: 3, refillPerSec: 0.001 }, costs: { write: 3 } })
+  assert.equal(limiter.costs.write, 3)
+  limiter.admit({ client: 's1', keyId: 'k' }, 2)()
+  assert.throws(() => limiter.admit({ client: 's2', keyId: 'k' }, 2), err => err.details.limit === 'perKey')
+  // a rejected call costs nothing
+  limiter.admit({ client: 's2', keyId: 'k' }, 1)()
+  assert.throws(() => new RateLimiter({ perKey: { capacity: 0, refillPerSec: 1 } }), TypeError)
+})
+
+test('the server rejects calls over quota or over the payload limit', async () => {
+  const server = new VectoriaDBServer({
+    autoSaveOnMutationBurst: false,
+    idempotencyTtlMs: 0,
+    rateLimit: { perSocket: { capacity: 8, refillPerSec: 0.001 } },
+    maxPayloadBytes: { add: 30, '*': 1000 },
+  })
+  const docs = new Map()
+  server._vectoria = {
+    get: async id => docs.get(id),
+    add: async (id, text) => void docs.set(id, { id, text }),
+    addMany: async list => list.forEach(d => docs.set(d.id, d)),
+  }
+  const responses = []
+  const socket = { emit: (evt, payload) => evt === 'response' && responses.push(payload) }
+  const last = () => responses.at(-1)
+
+  await server._handleRequest(socket, { id: 1, method: 'add', params: ['a', 'a long text that does not fit', {}] })
+  assert.equal(last().error.code, 'PayloadTooLarge')
+  assert.equal(last().error.details.maxBytes, 30)
+
+  // calls are charged before they are validated: add (write: 2) x 2 + get (read: 1), then addMany (bulk: 10) is over
+  await server._handleRequest(socket, { id: 2, method: 'add', params: ['a', 'alpha', {}] })
+  await server._handleRequest(socket, { id: 3, method: 'get', params: ['a'] })
+  assert.deepEqual(last().result, { id: 'a', text: 'alpha' })
+  await server._handleRequest(socket, { id: 4, method: 'addMany', params: [[{ id: 'b', text: 'beta' }]] })
+  assert.equal(last().error.code, 'RateLimited')
+  assert.ok(last().error.details.retryAfterMs > 0)
+  assert.equal(docs.has('b'), false)
+
+  // a batch costs the sum of its ops: 3 of the 3 left, then nothing is
+  await server._handleBatch(socket, { id: 5, ops: [{ method: 'get', params: ['a'] }, { method: 'add', params: ['c', 'gamma', {}] }] })
+  assert.equal(last().error, null)
+  await server._handleBatch(socket, { id: 6, ops: [{ method: 'get', params: ['a'] }, { method: 'get', params: ['c'] }] })
+  assert.equal(last().error.code, 'RateLimited')
+
+  // a new connection starts with a full bucket
+  const other = { emit: socket.emit }
+  await server._handleRequest(other, { id: 7, method: 'get', params: ['c'] })
+  assert.deepEqual(last().result, { id: 'c', text: 'gamma' })
+})
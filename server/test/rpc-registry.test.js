@@ -0,0 +1,61 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createRpcRegistry, validateCall } from '../rpc-registry.js'
+import { MethodNotFoundError, ValidationError, toRpcError } from '../errors.js'
+
+test('unregistered methods are rejected with MethodNotFound', () => {
+  const registry = createRpcRegistry()
+  for (const method of ['constructor', '__proto__', 'toString', '_internalState', 'nope']) {
+    assert.throws(
+      () => validateCall(registry, method, []),
+      err => err instanceof MethodNotFoundError && err.code === 'MethodNotFound' && err.details.method === method
+    )
+  }
+})
+
+test('params are checked for type, presence and arity', () => {
+  const registry = createRpcRegistry()
+  assert.equal(validateCall(registry, 'add', ['id', 'text', { a: 1 }]).mutates, true)
+  assert.equal(validateCall(registry, 'search', ['q', { topK: 3, filter: () => true }]).mutates, false)
+
+  assert.throws(
+    () => validateCall(registry, 'add', [1, 'text']),
+    err => err instanceof ValidationError && err.code === 'InvalidParams' && err.details.param === 'id'
+  )
+  assert.throws(() => validateCall(registry, 'get', []), /id is required/)
+  assert.throws(() => validateCall(registry, 'get', ['a', 'b']), /at most 1 params/)
+  assert.throws(() => validateCall(registry, 'search', ['q', { topK: '3' }]), /options\.topK must be number/)
+  assert.throws(() => validateCall(registry, 'addMany', [[{ id: 'a', text: 1 }]]), err => err.details.param === 'docs[0].text')
+})
+
+test('batch methods enforce maxBatchSize', () => {
+  const registry = createRpcRegistry({ maxBatchSize: 2 })
+  validateCall(registry, 'removeMany', [['a', 'b']])
+  assert.throws(
+    () => validateCall(registry, 'removeMany', [['a', 'b', 'c']]),
+    err => err.code === 'InvalidParams' && err.details.maxItems === 2 && err.details.received === 3
+  )
+})
+
+test('registry entries can be added or removed', () => {
+  const registry = createRpcRegistry({ methods: { clear: false, ping: { params: [] } } })
+  assert.throws(() => validateCall(registry, 'clear', []), MethodNotFoundError)
+  assert.equal(validateCall(registry, 'ping', []).mutates, false)
+})
+
+test('errors thrown by the underlying instance are mapped to stable codes', () => {
+  class DocumentNotFoundError extends Error {
+    name = 'DocumentNotFoundError'
+  }
+  assert.equal(toRpcError(new DocumentNotFoundError('Document "x" not found')).code, 'DocumentNotFound')
+  assert.equal(toRpcError(new Error('boom')).code, 'InternalError')
+  // messages don't decide the code
+  assert.equal(toRpcError(new Error('backup "x" not found')).code, 'InternalError')
+  assert.equal(toRpcError(Object.assign(new Error('gone'), { code: 'DocumentNotFound' })).code, 'DocumentNotFound')
+  assert.deepEqual(toRpcError(new ValidationError('bad', { param: 'id' })).toJSON(), {
+    message: 'InvalidParams: bad',
+    name: 'InvalidParams',
+    code: 'InvalidParams',
+    details: { param: 'id' },
+  })
+})
@@ -0,0 +1,76 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import VectoriaDBServer from '../vectoriadb-server.js'
+
+function fakeSocket(id) {
+  const emitted = []
+  return { id, data: {}, emitted, disconnected: false, emit: (evt, msg) => emitted.push([evt, msg]), disconnect() { this.disconnected = true } }
+}
+
+function startedServer(opts, vectoria) {
+  const server = new VectoriaDBServer({ autoSaveOnMutationBurst: false, logger: false, ...opts })
+  server._vectoria = vectoria
+  // stands in for listen(): no network, just the state close() works on
+  server._started = true
+  return server
+}
+
+test('close() drains in-flight calls, turns new ones away and saves', async () => {
+  let saves = 0
+  let finish
+  const server = startedServer(
+    {},
+    {
+      get: id => new Promise(resolve => (finish = () => resolve({ id }))),
+      size: async () => 0,
+      saveToStorage: async () => saves++,
+    }
+  )
+  const socket = fakeSocket('s1')
+  server._sockets.add(socket)
+
+  const slow = server._handleRequest(socket, { id: 1, method: 'get', params: ['a'] })
+  const closing = server.close({ drainTimeoutMs: 1000 })
+  await new Promise(resolve => setTimeout(resolve, 10))
+  await server._handleRequest(socket, { id: 2, method: 'size', params: [] })
+  finish()
+  await slow
+  const report = await closing
+
+  const responses = socket.emitted.filter(([evt]) => evt === 'response').map(([, msg]) => [msg.id, msg.error?.code ?? null])
+  assert.deepEqual(socket.emitted[0], ['server-shutting-down', { drainTimeoutMs: 1000 }])
+  assert.deepEqual(responses, [
+    [2, 'ServerShuttingDown'],
+    [1, null],
+  ])
+  assert.equal(socket.disconnected, true)
+  assert.equal(saves, 1)
+  assert.deepEqual(
+    { drained: report.drained, inFlight: report.inFlight, cancelled: report.cancelled, saved: report.saved, saveErrors: report.saveErrors },
+    { drained: true, inFlight: 1, cancelled: 0, saved: [''], saveErrors: [] }
+  )
+  assert.equal(await server.close(), null)
+})
+
+test('calls still running at the drain deadline are cancelled; failed saves are reported', async () => {
+  const server = startedServer(
+    {},
+    {
+      get: () => new Promise(() => {}),
+      saveToStorage: async () => {
+        throw new Error('disk full')
+      },
+    }
+  )
+  const socket = fakeSocket('s1')
+  server._sockets.add(socket)
+
+  server._handleRequest(socket, { id: 1, method: 'get', params: ['a'] })
+  const report = await server.close({ drainTimeoutMs: 30 })
+
+  assert.equal(report.drained, false)
+  assert.equal(report.cancelled, 1)
+  assert.deepEqual(report.saveErrors, [{ collection: '', message: 'disk full' }])
+  // a cancelled call gets no response
+  assert.ok(!socket.emitted.some(([evt]) => evt === 'response'))
+})
@@ -0,0 +1,69 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import VectoriaDBServer from '../vectoriadb-server.js'
+import ResultStream from '../result-stream.js'
+
+test('ResultStream never runs more than `window` chunks ahead of acks', async () => {
+  const sent = []
+  const stream = new ResultStream({ id: 's', items: [1, 2, 3, 4, 5], chunkSize: 2, window: 1, send: m => sent.push(m) })
+  const done = stream.start()
+
+  assert.deepEqual(sent.map(m => m.chunk), [[1, 2]])
+  stream.ack(0)
+  assert.deepEqual(sent.map(m => m.index), [0, 1])
+  stream.ack(0) // duplicate acks grant nothing
+  assert.equal(sent.length, 2)
+  stream.ack(1)
+  assert.deepEqual(sent.at(-1), { id: 's', chunk: [5], index: 2, totalChunks: 3 })
+
+  assert.deepEqual(await done, { count: 5, sent: 3, cancelled: false, timedOut: false })
+})
+
+test('ResultStream stops on cancel and on missing acks', async () => {
+  const sent = []
+  const cancelled = new ResultStream({ id: 'c', items: [1, 2, 3], chunkSize: 1, window: 1, send: m => sent.push(m) })
+  const done = cancelled.start()
+  cancelled.cancel()
+  cancelled.ack(0)
+  assert.equal(sent.length, 1)
+  assert.equal((await done).cancelled, true)
+
+  // the ack timer is unref'd, so keep the event loop alive while waiting for it
+  const keepAlive = setTimeout(() => {}, 1000)
+  const idle = new ResultStream({ id: 't', items: [1, 2], chunkSize: 1, window: 1, ackTimeoutMs: 10, send: () => {} })
+  assert.equal((await idle.start()).timedOut, true)
+  clearTimeout(keepAlive)
+})
+
+test('stream requests are paced by stream-ack and end silently when cancelled', async () => {
+  const server = new VectoriaDBServer({ streamChunkSize: 2, streamWindow: 1 })
+  server._vectoria = {
+    async search() {
+      return [1, 2, 3, 4, 5, 6]
+    },
+  }
+
+  const emitted = []
+  const socket = { emit: (evt, payload) => emitted.push([evt, payload]) }
+
+  const running = server._handleRequest(socket, { id: 's1', method: 'search', params: ['q'], stream: true })
+  await new Promise(resolve => setImmediate(resolve))
+  assert.deepEqual(emitted.map(([e]) => e), ['response-chunk'])
+
+  server._streamsFor(socket).get('s1').ack(0)
+  assert.equal(emitted.length, 2)
+  server._streamsFor(socket).get('s1').cancel()
+  await running
+
+  assert.deepEqual(emitted.map(([e]) => e), ['response-chunk', 'response-chunk'])
+  assert.equal(server._streamsFor(socket).size, 0)
+
+  // a client-requested chunk size (capped by streamChunkSize) and a final response once all chunks are out
+  emitted.length = 0
+  const small = server._handleRequest(socket, { id: 's2', method: 'search', params: ['q'], stream: true, chunkSize: 1 })
+  await new Promise(resolve => setImmediate(resolve))
+  for (let i = 0; i < 6; i++) server._streamsFor(socket).get('s2')?.ack(i)
+  await small
+  assert.equal(emitted.filter(([e]) => e === 'response-chunk').length, 6)
+  assert.deepEqual(emitted.at(-1)[1].result, { streamed: true, count: 6 })
+})
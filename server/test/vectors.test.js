@@ -0,0 +1,79 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { call, memoryServer } from './helpers.js'
+
+function serverWithVectors(options) {
+  const { server, store } = memoryServer(options)
+  const queries = []
+  server._vectoria.search = async query => (queries.push(query), [...store.values()].map(doc => ({ ...doc, score: 1 })))
+  return { server, store, queries }
+}
+
+const encoded = (values, binary = true) => {
+  const bytes = Buffer.from(new Float32Array(values).buffer)
+  return { __isVector: true, dtype: 'float32', data: binary ? bytes : bytes.toString('base64') }
+}
+
+test('binary and base64 vectors are stored as Float32Arrays and searched by vector', async () => {
+  const { server, store, queries } = serverWithVectors()
+
+  assert.deepEqual(await call(server, 'addVector', ['a', encoded([1, 2, 3]), { tag: 'x' }]), { id: 'a', dimensions: 3 })
+  assert.deepEqual(store.get('a'), { id: 'a', text: '', metadata: { tag: 'x' }, vector: new Float32Array([1, 2, 3]) })
+
+  await call(server, 'addManyVectors', [
+    [
+      { id: 'b', vector: encoded([4, 5, 6], false), text: 'bee' },
+      { id: 'c', vector: [7, 8, 9] },
+    ],
+  ])
+  assert.deepEqual(store.get('b').vector, new Float32Array([4, 5, 6]))
+  assert.equal(store.get('b').text, 'bee')
+  assert.deepEqual(store.get('c').vector, new Float32Array([7, 8, 9]))
+
+  const hits = await call(server, 'search', [encoded([1, 0, 0]), { topK: 2 }])
+  assert.equal(hits.length, 3)
+  assert.deepEqual(queries, [new Float32Array([1, 0, 0])])
+})
+
+test('vectors of the wrong length are rejected with DimensionMismatch', async () => {
+  const { server } = serverWithVectors()
+
+  // nothing stored yet: a batch must at least agree with itself
+  await assert.rejects(
+    call(server, 'addManyVectors', [
+      [
+        { id: 'a', vector: [1, 2] },
+        { id: 'b', vector: [1, 2, 3] },
+      ],
+    ]),
+    {
+      code: 'DimensionMismatch',
+      details: { param: 'docs[1].vector', expected: 2, received: 3 },
+    }
+  )
+
+  await call(server, 'addVector', ['a', [1, 2]])
+  await assert.rejects(call(server, 'addVector', ['b', encoded([1, 2, 3])]), { code: 'DimensionMismatch' })
+  await assert.rejects(call(server, 'search', [[1, 2, 3, 4]]), {
+    code: 'DimensionMismatch',
+    details: { param: 'query', expected: 2, received: 4 },
+  })
+  await assert.rejects(call(server, 'addVector', ['b', []]), { code: 'InvalidParams' })
+  await assert.rejects(call(server, 'addVector', ['b', { __isVector: true, dtype: 'float64', data: '' }]), { code: 'InvalidParams' })
+
+  // an emptied index takes a new length
+  await call(server, 'clear', [])
+  await call(server, 'addVector', ['b', [1, 2, 3]])
+})
+
+test('vectorDimensions sets the expected length up front', async () => {
+  const { server } = serverWithVectors({ vectorDimensions: 4, maxPayloadBytes: { addVector: 200 } })
+
+  await assert.rejects(call(server, 'addVector', ['a', encoded([1, 2, 3])]), {
+    code: 'DimensionMismatch',
+    details: { param: 'vector', expected: 4, received: 3 },
+  })
+  await call(server, 'addVector', ['a', encoded([1, 2, 3, 4])])
+  // binary vectors count at their byte length against payload limits
+  await assert.rejects(call(server, 'addVector', ['a', encoded(new Array(64).fill(0))]), { code: 'PayloadTooLarge' })
+})
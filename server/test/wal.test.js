@@ -0,0 +1,127 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import VectoriaDBServer from '../vectoriadb-server.js'
+import WriteAheadLog from '../wal.js'
+import CollectionManager from '../collections.js'
+
+const tempDir = () => fs.mkdtemp(path.join(os.tmpdir(), 'vectoriadb-wal-'))
+
+test('WriteAheadLog keeps unsnapshotted entries per collection and skips a torn last line', async t => {
+  const dir = await tempDir()
+  t.after(() => fs.rm(dir, { recursive: true, force: true }))
+
+  const wal = await new WriteAheadLog({ dir, fsync: 'always' }).open()
+  await wal.append({ method: 'add', params: ['a', 'alpha', {}] })
+  await wal.append({ collection: 'docs', method: 'add', params: ['b', 'beta', {}] })
+  await wal.append({ method: 'remove', params: ['a'] })
+  await wal.checkpoint(null, 2)
+
+  // the default index's snapshot covers lsn 1; the collection's entry is still pending
+  assert.deepEqual(
+    (await wal.pending()).map(e => [e.lsn, e.collection, e.method]),
+    [
+      [2, 'docs', 'add'],
+      [3, null, 'remove'],
+    ]
+  )
+  await wal.close()
+
+  await fs.appendFile(path.join(dir, 'mutations.log'), '{"lsn":4,"method":"cl')
+  const reopened = await new WriteAheadLog({ dir, fsync: 'never' }).open()
+  assert.equal(reopened.lsn, 3)
+  assert.equal((await reopened.pending()).length, 2)
+  assert.equal(await reopened.append({ method: 'clear', params: [] }), 4)
+  await reopened.close()
+
+  assert.throws(() => new WriteAheadLog({ dir, fsync: 'sometimes' }), TypeError)
+})
+
+test('the server logs acknowledged mutations, replays them on startup and truncates after a save', async t => {
+  const dir = await tempDir()
+  t.after(() => fs.rm(dir, { recursive: true, force: true }))
+
+  const fakeDb = docs => ({
+    get: async id => docs.get(id),
+    add: async (id, text, metadata) => void docs.set(id, { id, text, metadata }),
+    remove: async id => docs.delete(id),
+    saveToStorage: async () => {},
+  })
+  const config = { autoSaveOnMutationBurst: false, vectoriadbConfig: { storageAdapter: {} }, wal: { dir, fsync: 'always' } }
+
+  const before = new VectoriaDBServer(config)
+  before._vectoria = fakeDb(new Map())
+  await before._wal.open()
+  const socket = { emit: () => {} }
+  await before._handleRequest(socket, { id: 1, method: 'add', params: ['a', 'alpha', { n: 1 }] })
+  await before._handleRequest(socket, { id: 2, method: 'add', params: ['b', 'beta', {}] })
+  await before._handleRequest(socket, { id: 3, method: 'remove', params: ['b'] })
+  await before._wal.close() // "crash" without saving
+
+  const docs = new Map()
+  const after = new VectoriaDBServer(config)
+  after._vectoria = fakeDb(docs)
+  await after._replayWal()
+  assert.deepEqual([...docs.keys()], ['a'])
+  assert.deepEqual(docs.get('a').metadata, { n: 1 })
+
+  await after._saveToStorage('manual')
+  assert.deepEqual(await after._wal.pending(), [])
+  await after._wal.close()
+})
+
+test('a save checkpoints exactly the mutations in its snapshot, and collection lifecycle entries', async t => {
+  const dir = await tempDir()
+  t.after(() => fs.rm(dir, { recursive: true, force: true }))
+
+  const gate = () => {
+    let open
+    const promise = new Promise(resolve => (open = resolve))
+    return { promise, open }
+  }
+  const docs = new Map()
+  let adding = null
+  let saving = null
+  const server = new VectoriaDBServer({ autoSaveOnMutationBurst: false, vectoriadbConfig: { storageAdapter: {} }, wal: { dir, fsync: 'never' } })
+  server._vectoria = {
+    get: async id => docs.get(id),
+    add: async (id, text, metadata) => {
+      if (adding) await adding.promise
+      docs.set(id, { id, text, metadata })
+    },
+    saveToStorage: async () => saving && (await saving.promise),
+  }
+  server._collections = new CollectionManager({ create: async () => ({ clear: async () => {}, saveToStorage: async () => {} }) })
+  await server._wal.open()
+  const socket = { emit: () => {} }
+  const lsns = async () => (await server._wal.pending()).map(e => [e.lsn, e.method])
+
+  // applied before the snapshot but not logged yet: the save waits for it
+  adding = gate()
+  const first = server._handleRequest(socket, { id: 1, method: 'add', params: ['a', 'alpha', {}] })
+  await new Promise(resolve => setTimeout(resolve, 10))
+  const save = server._saveInstance(null, server._vectoria)
+  adding.open()
+  await Promise.all([first, save])
+  assert.deepEqual(await lsns(), [])
+
+  // arriving during the save: applied after it, so still pending
+  adding = null
+  saving = gate()
+  const second = server._saveInstance(null, server._vectoria)
+  const late = server._handleRequest(socket, { id: 2, method: 'add', params: ['b', 'beta', {}] })
+  await new Promise(resolve => setTimeout(resolve, 10))
+  assert.equal(docs.has('b'), false)
+  saving.open()
+  await Promise.all([second, late])
+  assert.deepEqual(await lsns(), [[2, 'add']])
+
+  // a persisted collection's creation and everything up to its drop don't replay
+  await server._handleRequest(socket, { id: 3, method: 'createCollection', params: ['notes'] })
+  await server._handleRequest(socket, { id: 4, method: 'createCollection', params: ['gone'] })
+  await server._handleRequest(socket, { id: 5, method: 'dropCollection', params: ['gone'] })
+  assert.deepEqual(await lsns(), [[2, 'add']])
+  await server._wal.close()
+})
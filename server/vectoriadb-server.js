@@ -1,9 +1,32 @@
 import http from 'http'
+import path from 'path'
 import { Server as IOServer } from 'socket.io'
 
 // NOTE: server expects `vectoriadb` to be installed in the environment.
 // It forwards calls to the real VectoriaDB instance.
-import { VectoriaDB } from 'vectoriadb'
+import { VectoriaDB, FileStorageAdapter } from 'vectoriadb'
+import { compileFilter, isPlainObject, isSerializedFilterSpec } from './filter-dsl.js'
+import ApiKeyRegistry, { hasScope, isExpired, requiredScope } from './api-keys.js'
+import { ForbiddenError, MethodNotFoundError, RpcError, ServerTimeoutError, UnauthorizedError, ValidationError, toRpcError } from './errors.js'
+import { createRpcRegistry, validateCall } from './rpc-registry.js'
+import CollectionManager, { assertCollectionName } from './collections.js'
+import ResultStream from './result-stream.js'
+import { isRollbackable, restore, snapshot } from './batch.js'
+import { createHttpHandler } from './http-api.js'
+import ChangeFeed, { EVENT_TYPES, captureBefore, changesFor } from './change-feed.js'
+import WriteAheadLog from './wal.js'
+import Backups, { IMPORT_MODES, exportDocuments, importDocuments } from './snapshot.js'
+import IdempotencyCache from './idempotency.js'
+import RateLimiter from './rate-limit.js'
+import Metrics from './metrics.js'
+import { createLogger } from './logger.js'
+import KeywordIndex from './keyword-index.js'
+import MetadataIndex from './metadata-index.js'
+import QueryCache, { normalizeQuery, stableKey } from './query-cache.js'
+import { fusedSearch, parseSearchOptions } from './hybrid-search.js'
+import { chunkDocuments, chunksOf, groupByParent, parseChunkOptions } from './chunking.js'
+import { PAGED_SEARCH_TOP_K, applyView, parseResultView } from './pagination.js'
+import { DimensionMismatchError, decodeVector, isEncodedVector, isVector, payloadBytes, toFloat32 } from './vectors.js'
 
 export default class VectoriaDBServer {
   constructor(opts = {}) {
@@ -11,8 +34,82 @@ export default class VectoriaDBServer {
     this.host = opts.host || '0.0.0.0'
     this.cors = opts.cors || []
     this.apiKey = opts.apiKey || null
+    // REST/JSON API next to Socket.IO, and the largest request body (or socket message) accepted
+    this.httpApi = opts.httpApi !== undefined ? !!opts.httpApi : true
+    this.maxHttpBodyBytes = Number(opts.maxHttpBodyBytes) || 1e7
+    // multi-tenant keys: `apiKeys` map and/or async `resolveApiKey(key)` (see api-keys.js)
+    this._apiKeys = new ApiKeyRegistry({ apiKey: this.apiKey, apiKeys: opts.apiKeys, resolveApiKey: opts.resolveApiKey })
     this.vectoriadbConfig = opts.vectoriadbConfig || {}
+    // named collections: each gets its own VectoriaDB instance, created lazily from `vectoriadbConfig`.
+    // `collectionStorageAdapter(name)` supplies its storage; by default collections are persisted with a
+    // FileStorageAdapter under `collectionsDir` when the main config has a storage adapter.
+    this.collectionsDir = opts.collectionsDir || './.cache/vectoriadb-collections'
+    this.collectionStorageAdapter = opts.collectionStorageAdapter || null
+    this.preloadCollections = Array.isArray(opts.collections) ? opts.collections : []
     this.streamChunkSize = opts.streamChunkSize || 500
+    // upper bound on how long one call may run; clients may ask for less via the envelope's `timeout`
+    this.requestTimeoutMs = Number(opts.requestTimeoutMs) || 30 * 1000
+    // streamed requests (`searchStream` / `filterStream`): chunks sent ahead of client acks, and how long
+    // to wait for an ack before dropping the stream
+    this.streamWindow = Number(opts.streamWindow) || 4
+    this.streamAckTimeoutMs = Number(opts.streamAckTimeoutMs) || 30 * 1000
+    // methods exposed to clients, with their param schemas (see rpc-registry.js)
+    this.maxBatchSize = Number(opts.maxBatchSize) || 1000
+    this._rpc = createRpcRegistry({ maxBatchSize: this.maxBatchSize, methods: opts.rpcMethods })
+    // change feed for `subscribe`: how many recent events are kept for clients resuming after a reconnect
+    this.changeHistorySize = opts.changeHistorySize !== undefined ? Number(opts.changeHistorySize) : 1000
+    this._feed = new ChangeFeed({ historySize: this.changeHistorySize })
+    // write-ahead log of mutations for crash recovery (see wal.js): `true` or { dir, fsync, fsyncIntervalMs }
+    const walOpts = opts.wal === true ? {} : opts.wal || null
+    this._wal = walOpts ? new WriteAheadLog(walOpts) : null
+    // NDJSON backups of every open index under `backupDir`, every `backupIntervalMs` (0 = only via `backup()`),
+    // keeping the newest `backupRetain`
+    this.backupIntervalMs = Number(opts.backupIntervalMs) || 0
+    this._backups = new Backups(this, { dir: opts.backupDir || './.cache/vectoriadb-backups', retain: Number(opts.backupRetain) || 7 })
+    this._backupTimer = null
+    // mutations carrying an `idempotencyKey` run once; replays within `idempotencyTtlMs` get the first
+    // outcome (0 disables). At most `idempotencyMaxKeys` keys are remembered.
+    this.idempotencyTtlMs = opts.idempotencyTtlMs !== undefined ? Number(opts.idempotencyTtlMs) : 10 * 60 * 1000
+    this._idempotency =
+      this.idempotencyTtlMs > 0 ? new IdempotencyCache({ ttlMs: this.idempotencyTtlMs, maxKeys: Number(opts.idempotencyMaxKeys) || 10000 }) : null
+    // quotas (see rate-limit.js): token buckets `rateLimit: { perKey, perSocket, costs }` and at most
+    // `maxConcurrentRequests` running per connection; off unless configured
+    this._limiter =
+      opts.rateLimit || opts.maxConcurrentRequests ? new RateLimiter({ ...opts.rateLimit, maxConcurrent: opts.maxConcurrentRequests }) : null
+    // largest serialized params accepted, by method: { [method]: bytes, '*': default }
+    this.maxPayloadBytes = opts.maxPayloadBytes || null
+    // request, save and streaming stats, served on `/metrics` (Prometheus) unless `metrics: false`,
+    // and to clients by the `getStats` call
+    this.metrics = opts.metrics !== undefined ? !!opts.metrics : true
+    this._metrics = new Metrics()
+    // a pino-compatible `logger` (default: JSON lines on the console at `logLevel`; `false` for none)
+    this._log = createLogger(opts.logger, { level: opts.logLevel })
+    // `{ beforeRequest, afterRequest, onError }` run around every call, in order (see `use()`)
+    this._hooks = []
+    for (const hooks of [].concat(opts.hooks || [])) this.use(hooks)
+    // `close()` lets in-flight calls finish for up to `drainTimeoutMs`; with `handleSignals` (true or a
+    // list of signal names) SIGTERM / SIGINT close the server that way and exit the process
+    this.drainTimeoutMs = opts.drainTimeoutMs !== undefined ? Number(opts.drainTimeoutMs) : 10 * 1000
+    this.handleSignals = opts.handleSignals === true ? ['SIGTERM', 'SIGINT'] : opts.handleSignals || []
+    this._signalHandlers = new Map() // signal -> listener
+    this._draining = false
+    this._closing = null
+    // BM25 parameters `{ k1, b }` for keyword and hybrid search; an index's keyword index is built on first use
+    this.bm25 = opts.bm25 || {}
+    this._keywordIndexes = new Map() // collection ('' for the default index) -> Promise<KeywordIndex>
+    // metadata fields (dot-paths) with secondary indexes that narrow declarative filters (see metadata-index.js)
+    this.indexedFields = Array.isArray(opts.indexedFields) ? opts.indexedFields : []
+    this._metadataIndexes = new Map() // collection ('' for the default index) -> Promise<MetadataIndex>
+    // `search` result and query embedding caches, and coalescing of identical searches (see query-cache.js);
+    // off unless `queryCache` is true or `{ resultTtlMs, maxResults, maxEmbeddings, embed }`
+    this._queryCache = opts.queryCache ? new QueryCache(opts.queryCache === true ? {} : opts.queryCache) : null
+    // length of the vectors clients send (`addVector`, `addManyVectors`, search by vector); by default the
+    // embedding model's, or else that of the vectors already stored (see `_expectedDimensions`)
+    this.vectorDimensions = Number(opts.vectorDimensions) || null
+    this._vectorDimensions = new Map() // collection ('' for the default index) -> dimensions learned from stored vectors
+    // set to false to reject serialized function filters (no remote code execution);
+    // declarative filter specs keep working either way
+    this.allowFunctionFilters = opts.allowFunctionFilters !== undefined ? !!opts.allowFunctionFilters : true
 
     // --- auto-save / burst-detection (configurable) ---
     this.autoSaveOnMutationBurst = opts.autoSaveOnMutationBurst !== undefined ? !!opts.autoSaveOnMutationBurst : true
@@ -24,31 +121,127 @@ export default class VectoriaDBServer {
     this.minSaveIntervalMs = Number(opts.minSaveIntervalMs) || 10 * 1000 // minimum time between auto-saves
 
     // internal mutation-tracking state
-    this._mutationMethods = new Set([
-      'add',
-      'addMany',
-      'update',
-      'remove',
-      'removeMany',
-      'clear',
-      'insert',
-      'upsert',
-      'replace',
-      'put',
-      'delete',
-    ])
     this._mutationTimestamps = []
     this._inactivityTimer = null
     this._lastBurstAt = 0
     this._savingInProgress = false
     this._lastSaveAt = 0
+    // write gates, so a save's WAL checkpoint covers exactly the mutations in its snapshot (see _enterMutation)
+    this._mutating = new Map() // collection ('' for the default index) -> mutations applied but not logged yet
+    this._saving = new Map() // collection -> Promise of the save new mutations wait for
 
     this._http = null
     this._io = null
     this._vectoria = null
+    // collections only come from `createCollection` (or the `collections` option); with persisted collections
+    // their names are kept in a manifest under `collectionsDir`, so they still exist after a restart
+    this._collections = new CollectionManager({
+      create: name => this._createCollectionInstance(name),
+      manifest: this.collectionStorageAdapter || this.vectoriadbConfig.storageAdapter ? path.join(this.collectionsDir, '.collections.json') : null,
+    })
     this._sockets = new Set()
+    this._streams = new WeakMap() // socket -> Map(request id -> ResultStream)
+    this._inflight = new WeakMap() // socket -> Map(request id -> AbortController)
     this._started = false
     this._startPromise = null
+
+    // methods implemented by the server itself rather than forwarded to a VectoriaDB instance
+    this._handlers = {
+      listCollections: (params, ctx) => this._listCollections(ctx.keyInfo),
+      createCollection: async ([name]) => {
+        const created = !this._collections.has(name)
+        await this._collections.get(name)
+        return { ok: true, collection: name, created }
+      },
+      dropCollection: async ([name]) => {
+        await this._assertCollectionExists(name)
+        await this._collections.drop(name)
+        return { ok: true, collection: name, dropped: true }
+      },
+      saveToStorage: async (params, ctx) => {
+        const db = await this._instanceFor(ctx.collection)
+        if (typeof db.saveToStorage !== 'function') throw new MethodNotFoundError('saveToStorage')
+        return this._saveInstance(ctx.collection || null, db)
+      },
+      // vector search is VectoriaDB's own; keyword and hybrid search also use the BM25 index
+      search: async ([query, options], ctx) => {
+        const { view, rest } = parseResultView(options || {})
+        const { groupByParent: grouped, ...searchOptions } = rest
+        // pages are cut from the first topK results, so paging without a topK looks further than one page
+        if (view.paged && searchOptions.topK === undefined) searchOptions.topK = PAGED_SEARCH_TOP_K
+        const search = parseSearchOptions(searchOptions)
+        const db = await this._instanceFor(ctx.collection)
+        // a query vector must match the index
+        if (typeof query !== 'string') await this._checkDimensions(ctx.collection, db, [['query', query]])
+        // VectoriaDB scores every document its filter accepts: the metadata indexes narrow the filter to their candidates
+        const filter = await this._narrowFilter(ctx.collection, search.rest.filter)
+        if (filter === null) return applyView([], view, ['search', query, search.mode, !!grouped])
+        if (filter !== search.rest.filter) search.rest.filter = filter
+        // grouped results fold several chunk hits into one, so `candidates` hits are fetched to fill topK
+        const limit = grouped ? search.candidates : search.topK
+        // query text embedded once through the cache, when there is one and it can embed
+        const vectorQuery =
+          typeof query !== 'string'
+            ? toFloat32(query)
+            : this._queryCache && search.mode !== 'keyword'
+              ? await this._queryCache.embedding(ctx.collection, db, query)
+              : null
+        const hits =
+          search.mode === 'vector'
+            ? await db.search(vectorQuery ?? query, grouped ? { ...search.rest, topK: limit } : search.rest)
+            : await fusedSearch(db, await this._keywordIndexFor(ctx.collection), query, { ...search, topK: limit, vectorQuery })
+        return applyView(grouped ? groupByParent(hits || [], search.topK) : hits, view, ['search', query, search.mode, !!grouped])
+      },
+      filter: async ([fn, options], ctx) => {
+        const { view } = parseResultView(options || {})
+        return applyView(await this._filterDocuments(ctx.collection, fn), view, ['filter'])
+      },
+      // chunked documents (see chunking.js): a new version replaces every chunk of the old one. The new
+      // chunks reuse the old ids, so the old ones go first and are put back (as batch.js does) if adding fails.
+      ingestDocument: async ([id, text, metadata, options], ctx) => {
+        const docs = chunkDocuments(id, text, metadata || {}, parseChunkOptions(options))
+        const db = await this._instanceFor(ctx.collection)
+        const old = await chunksOf(db, id)
+        if (old.length) await db.removeMany(old.map(doc => doc.id))
+        try {
+          if (docs.length) await db.addMany(docs)
+        } catch (err) {
+          const previous = new Map([...docs.map(doc => [doc.id, null]), ...old.map(doc => [doc.id, doc])])
+          await restore({ db, docs: previous }).catch(e => this._log.warn({ err: e, id }, 'ingestDocument rollback failed'))
+          throw err
+        }
+        return { id, chunks: docs.length, replaced: old.length }
+      },
+      // documents with precomputed vectors (see vectors.js): stored as given, nothing is embedded
+      addVector: async ([id, vector, metadata], ctx) => {
+        const db = await this._instanceFor(ctx.collection)
+        await this._checkDimensions(ctx.collection, db, [['vector', vector]])
+        await db.addMany([{ id, text: '', metadata: metadata || {}, vector: toFloat32(vector) }])
+        return { id, dimensions: vector.length }
+      },
+      addManyVectors: async ([docs], ctx) => {
+        const db = await this._instanceFor(ctx.collection)
+        await this._checkDimensions(ctx.collection, db, docs.map((doc, i) => [`docs[${i}].vector`, doc.vector]))
+        const records = docs.map(({ id, text, metadata, vector }) => ({ id, text: text ?? '', metadata: metadata || {}, vector: toFloat32(vector) }))
+        if (records.length) await db.addMany(records)
+        return { added: records.length, dimensions: records.length ? records[0].vector.length : null }
+      },
+      removeDocument: async ([id], ctx) => {
+        const db = await this._instanceFor(ctx.collection)
+        const old = (await chunksOf(db, id)).map(doc => doc.id)
+        if (old.length) await db.removeMany(old)
+        return { id, removed: old.length }
+      },
+      exportSnapshot: async (params, ctx) => exportDocuments(await this._instanceFor(ctx.collection)),
+      getStats: () => this.getStats(),
+      importSnapshot: async ([docs, options = {}], ctx) => {
+        const mode = options.mode ?? 'merge'
+        if (!IMPORT_MODES.includes(mode)) {
+          throw new ValidationError(`options.mode must be one of ${IMPORT_MODES.join(', ')}`, { param: 'options.mode' })
+        }
+        return importDocuments(await this._instanceFor(ctx.collection), docs, { mode })
+      },
+    }
   }
 
   async listen() {
@@ -65,40 +258,101 @@ export default class VectoriaDBServer {
         if (typeof this._vectoria.initialize === 'function') {
           await this._vectoria.initialize()
         }
+        for (const name of this.preloadCollections) {
+          await this._collections.get(name)
+        }
+        if (this._wal) await this._replayWal()
+        if (this.backupIntervalMs > 0) {
+          this._backupTimer = setInterval(() => {
+            this.backup().catch(err => this._log.warn({ err }, 'scheduled backup failed'))
+          }, this.backupIntervalMs)
+          if (this._backupTimer.unref) this._backupTimer.unref()
+        }
 
-        this._http = http.createServer((req, res) => {
-          res.writeHead(200, { 'Content-Type': 'text/plain' })
-          res.end('VectoriaDB Server')
-        })
+        // JSON API under /v1 (see http-api.js); with `httpApi: false` only the banner is served
+        this._http = http.createServer(
+          this.httpApi
+            ? createHttpHandler(this, { maxBodyBytes: this.maxHttpBodyBytes })
+            : (req, res) => {
+                res.writeHead(200, { 'Content-Type': 'text/plain' })
+                res.end('VectoriaDB Server')
+              }
+        )
 
         this._io = new IOServer(this._http, {
           cors: { origin: this.cors.length ? this.cors : '*', methods: ['GET', 'POST'] },
-          maxHttpBufferSize: 1e7,
+          maxHttpBufferSize: this.maxHttpBodyBytes,
         })
 
         const nsp = this._io.of('/vectoriadb')
 
         nsp.use((socket, next) => {
-          // simple API key auth if configured
-          if (this.apiKey) {
-            const provided = socket.handshake.auth?.apiKey || socket.handshake.query?.apiKey
-            if (!provided || provided !== this.apiKey) {
-              return next(new Error('Unauthorized'))
-            }
+          if (this._draining) {
+            const err = new Error('ServerShuttingDown')
+            err.data = { code: 'ServerShuttingDown' }
+            return next(err)
           }
-          next()
+          // API key auth if configured; the resolved key info is kept on the socket for per-request checks
+          if (!this._apiKeys.enabled) return next()
+          const provided = socket.handshake.auth?.apiKey || socket.handshake.query?.apiKey
+          // `err.data` reaches the client's `connect_error` handler, carrying the error code
+          const unauthorized = () => {
+            const err = new Error('Unauthorized')
+            err.data = { code: 'Unauthorized' }
+            next(err)
+          }
+          this._apiKeys
+            .resolve(provided)
+            .then(keyInfo => {
+              if (!keyInfo) return unauthorized()
+              socket.data.apiKey = keyInfo
+              next()
+            })
+            .catch(unauthorized)
         })
 
         nsp.on('connection', socket => {
           this._sockets.add(socket)
-          socket.on('disconnect', () => this._sockets.delete(socket))
+          socket.on('disconnect', () => {
+            this._sockets.delete(socket)
+            this._feed.removeOwner(socket)
+            this._limiter?.forget(socket)
+            // nobody is left to receive the results: stop everything this socket started
+            for (const requestId of [...this._inflightFor(socket).keys(), ...this._streamsFor(socket).keys()]) {
+              this._cancelRequest(socket, requestId)
+            }
+          })
+
+          // the client gave up on a request (AbortSignal, timeout, stream left early)
+          socket.on('cancel', msg => this._cancelRequest(socket, msg?.id))
+          // flow control for streamed responses: the client acks consumed chunks
+          socket.on('stream-ack', msg => this._streamsFor(socket).get(msg?.id)?.ack(msg.index))
+
+          // change feed subscriptions; events arrive as `change` messages tagged with the subId
+          socket.on('subscribe', async (msg, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {}
+            try {
+              reply({ ok: true, ...(await this._subscribe(socket, msg)) })
+            } catch (err) {
+              reply({ ok: false, error: this._serializeError(err) })
+            }
+          })
+          socket.on('unsubscribe', msg => this._feed.unsubscribe(socket, msg?.subId))
 
           socket.on('request', async payload => {
             // payload: { id, method, params, collection, timestamp }
             try {
               await this._handleRequest(socket, payload)
             } catch (err) {
-              socket.emit('response', { id: payload?.id ?? null, result: null, error: { message: err.message }, took: 0 })
+              socket.emit('response', { id: payload?.id ?? null, result: null, error: this._serializeError(err), took: 0 })
+            }
+          })
+
+          socket.on('request-batch', async payload => {
+            try {
+              await this._handleBatch(socket, payload)
+            } catch (err) {
+              socket.emit('response', { id: payload?.id ?? null, result: null, error: this._serializeError(err), took: 0 })
             }
           })
 
@@ -111,7 +365,12 @@ export default class VectoriaDBServer {
         })
 
         this._started = true
-        console.log(`VectoriaDB Server listening on ${this.host}:${this.port}`)
+        for (const signal of this.handleSignals) {
+          const onSignal = () => this._closeOnSignal(signal)
+          this._signalHandlers.set(signal, onSignal)
+          process.once(signal, onSignal)
+        }
+        this._log.info({ host: this.host, port: this.port }, `VectoriaDB Server listening on ${this.host}:${this.port}`)
         return this
       } catch (err) {
         // cleanup partial resources on failure
@@ -135,87 +394,55 @@ export default class VectoriaDBServer {
 
   async _handleRequest(socket, payload) {
     if (!payload || typeof payload !== 'object') {
-      return socket.emit('response', { id: null, result: null, error: { message: 'Invalid payload' }, took: 0 })
+      return socket.emit('response', { id: null, result: null, error: new RpcError('InvalidRequest', 'Invalid payload').toJSON(), took: 0 })
     }
 
-    const { id, method, params = [] } = payload
+    const { id, method, params = [], collection } = payload
     const start = Date.now()
 
     if (!method || typeof method !== 'string') {
-      return socket.emit('response', { id, result: null, error: { message: 'Missing method' }, took: Date.now() - start })
-    }
-
-    // Allow passing serialized functions from client: convert stringified functions back to real functions
-    const reparsedParams = params.map(p => {
-      if (p && typeof p === 'object') {
-        // Top-level serialized function (client forwarded a function as a param)
-        if (p.__isFnString && typeof p.fn === 'string') {
-          // create function from string - executed in server process (trusted usage only)
-          // eslint-disable-next-line no-new-func
-          const fn = new Function('return (' + p.fn + ')')()
-          return fn
-        }
+      const error = new RpcError('InvalidRequest', 'Missing method').toJSON()
+      return socket.emit('response', { id, result: null, error, took: Date.now() - start })
+    }
 
-        // Support serialized `filter` nested inside an `options` object:
-        // - { filter: { __isFnString: true, fn: 'function(m) { ... }' } }
-        // - or `filter` as a raw function string
-        if (p.filter && typeof p.filter === 'object' && p.filter.__isFnString && typeof p.filter.fn === 'string') {
-          // eslint-disable-next-line no-new-func
-          p.filter = new Function('return (' + p.filter.fn + ')')()
-        } else if (typeof p.filter === 'string' && p.filter.trim().startsWith('function')) {
-          // eslint-disable-next-line no-new-func
-          p.filter = new Function('return (' + p.filter + ')')()
-        }
-
-        // If a `filterContext` was provided alongside a deserialized `filter`,
-        // wrap the filter so it will be invoked as `filter(metadata, filterContext)`
-        if (p.filter && typeof p.filter === 'function' && Object.prototype.hasOwnProperty.call(p, 'filterContext')) {
-          const __ctx = p.filterContext
-          const __origFilter = p.filter
-          p.filter = function (m) {
-            try {
-              return __origFilter.call(this, m, __ctx)
-            } catch (e) {
-              return false
-            }
-          }
-          // remove filterContext so the underlying VectoriaDB doesn't receive unexpected fields
-          delete p.filterContext
-        }
-      }
-      return p
-    })
+    // in-flight tracking: a `cancel` from the client (or its disconnect) aborts this controller
+    const controller = new AbortController()
+    const { signal } = controller
+    const inflight = this._inflightFor(socket)
+    if (id !== undefined && id !== null) inflight.set(id, controller)
 
+    const done = this._metrics.start()
+    const ctx = this._requestContext(socket, { requestId: id ?? null, method, params, collection, transport: 'socket' })
+    let failure = null
+    let result
+    let release = null
     try {
-      // dispatch to underlying VectoriaDB instance
-      const fn = this._vectoria[method]
-      if (typeof fn !== 'function') {
-        throw new Error(`MethodNotFound: ${method}`)
-      }
+      this._assertAccepting()
+      release = this._admit(socket, this._costOf(method))
+      await this._beforeRequest(ctx)
+      const call = await this._prepareCall(socket, { method, params, collection }, signal)
 
-      // Run and capture result
-      const result = await Promise.race([
-        fn.apply(this._vectoria, reparsedParams),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('ServerTimeout')), 30000)),
-      ])
+      // cancelled while it was waiting: drop the work before it starts
+      if (signal.aborted) return
 
-      // record mutation activity (used to auto-flush after a burst + inactivity)
-      if (this.autoSaveOnMutationBurst && this._isMutationMethod(method)) {
-        try {
-          this._recordMutation()
-        } catch (e) {
-          /* swallow tracking errors */
-        }
-      }
+      // Run and capture result (a replayed mutation gets the outcome of its first run)
+      const work = this._isMutationMethod(method) ? this._once(socket, payload.idempotencyKey, call.run) : call.run()
+      result = await this._runWithDeadline(work, this._timeoutFor(payload), signal)
 
       const took = Date.now() - start
 
+      // client-requested streaming: chunks are paced by client acks and stop when the client cancels
+      if (payload.stream && Array.isArray(result)) {
+        return await this._streamResult(socket, id, result, payload.chunkSize, took)
+      }
+
       // streaming support for very large arrays
       if (Array.isArray(result) && result.length > this.streamChunkSize) {
         const total = result.length
         const chunkSize = this.streamChunkSize
         for (let i = 0; i < total; i += chunkSize) {
           const chunk = result.slice(i, i + chunkSize)
+          this._metrics.chunkSent()
           socket.emit('response-chunk', { id, chunk, index: Math.floor(i / chunkSize), totalChunks: Math.ceil(total / chunkSize) })
         }
         // final response indicating stream finished
@@ -224,14 +451,839 @@ export default class VectoriaDBServer {
 
       socket.emit('response', { id, result, error: null, took })
     } catch (err) {
+      failure = toRpcError(err)
+      // cancelled requests get no response: the client has stopped waiting for it
+      if (signal.aborted) return
       const took = Date.now() - start
-      socket.emit('response', { id, result: null, error: { message: err.message, name: err.name }, took })
+      socket.emit('response', { id, result: null, error: failure.toJSON(), took })
+    } finally {
+      release?.()
+      if (signal.aborted) failure = new RpcError('Cancelled', 'Cancelled')
+      done(this._metricsLabel(method), failure?.code ?? null)
+      if (inflight.get(id) === controller) inflight.delete(id)
+      await this._afterRequest(ctx, result, failure)
+    }
+  }
+
+  // Batched calls: `{ id, ops: [{ method, params, collection }], atomic, collection, timeout }`, run in order.
+  // The response result holds one `{ result, error }` per op. With `atomic`, the first failing op stops the
+  // batch, the writes before it are rolled back and the whole batch fails with that op's error.
+  async _handleBatch(socket, payload) {
+    const id = payload?.id ?? null
+    const start = Date.now()
+
+    // in-flight tracking, as for single requests
+    const controller = new AbortController()
+    const { signal } = controller
+    const inflight = this._inflightFor(socket)
+    if (id !== null) inflight.set(id, controller)
+
+    const done = this._metrics.start()
+    const ctx = this._requestContext(socket, {
+      requestId: id,
+      method: 'batch',
+      params: payload?.ops,
+      collection: payload?.collection,
+      transport: 'socket',
+    })
+    let failure = null
+    let results
+    try {
+      this._assertAccepting()
+      await this._beforeRequest(ctx)
+      results = await this._executeBatch(socket, payload, signal)
+      socket.emit('response', { id, result: results, error: null, took: Date.now() - start })
+    } catch (err) {
+      failure = toRpcError(err)
+      if (signal.aborted) return
+      socket.emit('response', { id, result: null, error: failure.toJSON(), took: Date.now() - start })
+    } finally {
+      if (signal.aborted) failure = new RpcError('Cancelled', 'Cancelled')
+      done('batch', failure?.code ?? null)
+      if (inflight.get(id) === controller) inflight.delete(id)
+      await this._afterRequest(ctx, results, failure)
+    }
+  }
+
+  // while draining for shutdown, new calls are turned away before they start; clients resend them later
+  _assertAccepting() {
+    if (this._draining) throw new RpcError('ServerShuttingDown', 'ServerShuttingDown: the server is shutting down')
+  }
+
+  // Add request hooks, each optional and possibly async, run in the order they were added:
+  // - `beforeRequest(ctx)`: before the call is authorized and validated; throwing rejects the call with that error
+  // - `afterRequest(ctx)`: once a call has succeeded, with `ctx.result` and `ctx.took`
+  // - `onError(ctx)`: once a call has failed (or was cancelled), with `ctx.error` and `ctx.took`
+  // `ctx` is { requestId, method, params, collection, transport, socketId, apiKeyId, headers, state }; `state`
+  // is for hooks to share data (a trace span, an audit record) across a call's hooks.
+  use(hooks) {
+    for (const name of ['beforeRequest', 'afterRequest', 'onError']) {
+      if (hooks?.[name] !== undefined && typeof hooks[name] !== 'function') throw new TypeError(`hooks.${name} must be a function`)
+    }
+    this._hooks.push(hooks)
+    return this
+  }
+
+  // the context hooks and the request log see; `caller` is a socket or the HTTP API's stand-in
+  _requestContext(caller, { requestId = null, method, params, collection = null, transport, headers }) {
+    return {
+      requestId,
+      method,
+      params,
+      collection: collection ?? null,
+      transport,
+      socketId: caller.id ?? null,
+      apiKeyId: caller.data?.apiKey?.id ?? null,
+      headers: headers ?? caller.handshake?.headers ?? {},
+      state: {},
+      startedAt: Date.now(),
+    }
+  }
+
+  async _beforeRequest(ctx) {
+    for (const hooks of this._hooks) if (hooks.beforeRequest) await hooks.beforeRequest(ctx)
+  }
+
+  // Log a finished call and run `afterRequest` / `onError`. A failing hook is logged; the client's answer
+  // has already been sent.
+  async _afterRequest(ctx, result, error) {
+    ctx.took = Date.now() - ctx.startedAt
+    const { requestId, method, collection, transport, socketId, apiKeyId, took } = ctx
+    const fields = { requestId, method, collection, transport, socketId, apiKeyId, took }
+    // one line per successful call is too much at the default level
+    if (!error) this._log.debug(fields, 'request completed')
+    else if (error.code === 'InternalError') this._log.error({ ...fields, code: error.code, err: error }, 'request failed')
+    else this._log.warn({ ...fields, code: error.code, error: error.message }, 'request failed')
+
+    if (error) ctx.error = error
+    else ctx.result = result
+    const name = error ? 'onError' : 'afterRequest'
+    for (const hooks of this._hooks) {
+      if (!hooks[name]) continue
+      try {
+        await hooks[name](ctx)
+      } catch (err) {
+        this._log.error({ requestId, method, socketId, err }, `${name} hook failed`)
+      }
+    }
+  }
+
+  // validate and run a batch for `caller` (a socket, or the HTTP API's stand-in); resolves with the per-op results
+  async _executeBatch(caller, payload, signal) {
+    if (!payload || typeof payload !== 'object' || !Array.isArray(payload.ops) || payload.ops.length === 0) {
+      throw new RpcError('InvalidRequest', 'ops must be a non-empty array')
+    }
+    if (payload.ops.length > this.maxBatchSize) {
+      throw new ValidationError(`batch has ${payload.ops.length} ops, max is ${this.maxBatchSize}`, {
+        param: 'ops',
+        maxItems: this.maxBatchSize,
+        received: payload.ops.length,
+      })
+    }
+    if (payload.atomic) {
+      payload.ops.forEach((op, i) => {
+        if (!isRollbackable(op?.method)) {
+          throw new ValidationError(`${op?.method} can't be used in an atomic batch`, { param: `ops[${i}].method` })
+        }
+      })
+    }
+
+    // a batch costs what its ops would cost one by one
+    const release = this._admit(caller, payload.ops.reduce((sum, op) => sum + this._costOf(op?.method), 0))
+    try {
+      const timeoutMs = this._timeoutFor(payload)
+      const work = this._once(caller, payload.idempotencyKey, () =>
+        this._runBatch(caller, payload, { signal, deadline: Date.now() + timeoutMs, timeoutMs })
+      )
+      return await this._runWithDeadline(work, timeoutMs, signal)
+    } finally {
+      release()
+    }
+  }
+
+  // Take a call's `cost` from `caller`'s quotas (rate-limit.js). Returns `release()`, to call once it has
+  // finished; throws `RateLimited` when over a limit. HTTP callers are told apart by `data.clientId`.
+  _admit(caller, cost) {
+    if (!this._limiter) return () => {}
+    return this._limiter.admit({ client: caller?.data?.clientId ?? caller, keyId: caller?.data?.apiKey?.id ?? null }, cost)
+  }
+
+  // tokens a call to `method` costs: its registry `cost`, else by whether it mutates
+  _costOf(method) {
+    if (!this._limiter) return 0
+    const entry = Object.prototype.hasOwnProperty.call(this._rpc, method) ? this._rpc[method] : null
+    const cost = entry?.cost ?? (entry?.mutates ? 'write' : 'read')
+    return typeof cost === 'number' ? cost : this._limiter.costs[cost] ?? this._limiter.costs.read
+  }
+
+  // Run `work` once per idempotency key and caller. The stored promise is the work itself, not the
+  // caller's deadline, so a replay that arrives while the first attempt is still running waits for it.
+  _once(caller, idempotencyKey, work) {
+    if (idempotencyKey === undefined || idempotencyKey === null || !this._idempotency) return work()
+    if (typeof idempotencyKey !== 'string' || !idempotencyKey || idempotencyKey.length > 200) {
+      throw new ValidationError('idempotencyKey must be a non-empty string of at most 200 chars', { param: 'idempotencyKey' })
+    }
+    return this._idempotency.run(caller?.data?.apiKey?.id ?? '', idempotencyKey, work)
+  }
+
+  async _runBatch(caller, { ops, atomic, collection }, { signal, deadline, timeoutMs }) {
+    // an atomic batch only logs and announces its changes once all of them have been applied, and holds
+    // the write gates of the collections it changed until then
+    const pending = atomic ? { changes: [], held: new Set() } : null
+    try {
+      return await this._runOps(caller, ops, atomic, collection, pending, { signal, deadline, timeoutMs })
+    } finally {
+      if (pending) for (const key of pending.held) this._leaveMutation(key)
+    }
+  }
+
+  async _runOps(caller, ops, atomic, collection, pending, { signal, deadline, timeoutMs }) {
+    const results = []
+    const undo = []
+    for (let i = 0; i < ops.length; i++) {
+      const op = ops[i]
+      try {
+        // a cancelled or expired batch stops between ops (and an atomic one is rolled back)
+        if (signal.aborted) throw new RpcError('Cancelled', 'Cancelled')
+        if (Date.now() > deadline) throw new ServerTimeoutError(timeoutMs)
+        if (!op || typeof op !== 'object' || !op.method || typeof op.method !== 'string') {
+          throw new RpcError('InvalidRequest', 'Missing method')
+        }
+
+        const call = await this._prepareCall(caller, { ...op, collection: op.collection ?? collection }, signal, pending)
+        if (atomic) {
+          const saved = await snapshot(await this._instanceFor(call.collection), call.method, call.params)
+          if (saved) undo.push(saved)
+        }
+        results.push({ result: await call.run(), error: null })
+      } catch (err) {
+        if (!atomic) {
+          results.push({ result: null, error: this._serializeError(err) })
+          continue
+        }
+        const failure = toRpcError(err)
+        let rolledBack = true
+        for (const saved of undo.reverse()) {
+          try {
+            await restore(saved)
+          } catch (e) {
+            rolledBack = false
+            this._log.warn({ err: e, batchIndex: i }, 'batch rollback failed')
+          }
+        }
+        failure.details = { ...failure.details, batchIndex: i, rolledBack }
+        throw failure
+      }
+    }
+    if (pending) await this._commitChanges(pending.changes)
+    return results
+  }
+
+  // Authorize, validate and scope one call. Returns the revived call and a `run()` that executes it.
+  // A successful mutation is committed (logged, then published to the change feed) before `run()` resolves,
+  // or appended to `pending.changes` for the caller to commit.
+  async _prepareCall(socket, { method, params = [], collection }, signal, pending = null) {
+    const keyInfo = this._authorize(socket, method)
+    if (collection !== undefined && collection !== null) assertCollectionName(collection)
+    this._checkPayloadSize(method, params)
+    // from the params as sent: reviving them below replaces serialized filters with functions
+    const cacheKey = this._queryCache && method === 'search' ? this._searchCacheKey(params, keyInfo) : null
+
+    // Allow passing serialized filters from client: convert them back to real functions
+    const reparsedParams = this._reviveParams(Array.isArray(params) ? params : [params])
+
+    // only registered methods are callable, and only with params matching their schema
+    validateCall(this._rpc, method, reparsedParams)
+
+    const scopedCall = await this._enforceCollections(keyInfo, method, reparsedParams, collection)
+    // naming a collection doesn't create it: only `createCollection` does
+    if (collection !== undefined && collection !== null) await this._assertCollectionExists(collection)
+
+    const run = async () => {
+      const mutates = this._isMutationMethod(method)
+      // a mutation holds its collection's write gate until it is logged, so saves can't split it (see _enterMutation)
+      if (mutates) await this._enterMutation(collection, pending)
+      try {
+        const db = mutates ? await this._instanceFor(collection) : null
+        const removed = mutates ? await captureBefore(db, method, reparsedParams) : null
+
+        // identical searches share one execution, run without any single caller's signal, and its result
+        const value = await (cacheKey
+          ? this._queryCache.run(collection, cacheKey, () => this._dispatch(method, reparsedParams, { collection, keyInfo }))
+          : scopedCall
+            ? scopedCall()
+            : this._dispatch(method, reparsedParams, { collection, keyInfo, signal }))
+        // documents reloaded from storage: the keyword index is rebuilt when next needed
+        if (method === 'loadFromStorage') {
+          this._keywordIndexes.delete(collection || '')
+          this._metadataIndexes.delete(collection || '')
+          this._vectorDimensions.delete(collection || '')
+          this._queryCache?.invalidate(collection)
+        }
+        if (!mutates) return value
+
+        // record mutation activity (used to auto-flush after a burst + inactivity); a call that
+        // completes after its client gave up still changed the index, so it counts too
+        if (this.autoSaveOnMutationBurst) {
+          try {
+            this._recordMutation()
+          } catch (e) {
+            /* swallow tracking errors */
+          }
+        }
+        const events = await changesFor(db, method, reparsedParams, collection ?? null, removed)
+        // collection management is logged under the collection it creates or drops
+        const target = method === 'createCollection' || method === 'dropCollection' ? reparsedParams[0] : collection ?? null
+        const change = { entry: { collection: target, method, params: reparsedParams }, events }
+        if (pending) pending.changes.push(change)
+        else await this._commitChanges([change])
+        return value
+      } finally {
+        if (mutates && !pending) this._leaveMutation(collection)
+      }
+    }
+    return { method, params: reparsedParams, collection, keyInfo, run }
+  }
+
+  // `maxPayloadBytes`: params are measured as the client sent them, before filters are revived; binary
+  // vectors count at their byte length
+  _checkPayloadSize(method, params) {
+    if (!this.maxPayloadBytes) return
+    const own = Object.prototype.hasOwnProperty.call(this.maxPayloadBytes, method)
+    const maxBytes = Number(own ? this.maxPayloadBytes[method] : this.maxPayloadBytes['*'])
+    if (!(maxBytes > 0)) return
+    const size = payloadBytes(params)
+    if (size > maxBytes) {
+      throw new RpcError('PayloadTooLarge', `${method} params are ${size} bytes, max is ${maxBytes}`, { method, maxBytes, received: size })
+    }
+  }
+
+  // make applied mutations durable in the WAL, then announce them on the change feed
+  async _commitChanges(changes) {
+    if (this._wal) {
+      for (const { entry } of changes) {
+        const lsn = await this._wal.append(entry)
+        // nothing before a drop is left to recover, and a persisted collection's creation is in the manifest:
+        // neither needs replaying on the next start
+        if (entry.method === 'dropCollection' || (entry.method === 'createCollection' && this._persists(entry.collection))) {
+          await this._wal.checkpoint(entry.collection, lsn)
+        }
+      }
+    }
+    const events = changes.flatMap(change => change.events)
+    await this._updateIndexes(events)
+    // an emptied index takes vectors of any length again
+    for (const event of events) if (event.type === 'clear' || event.type === 'drop') this._vectorDimensions.delete(event.collection || '')
+    // cached searches of a changed collection are stale now
+    if (this._queryCache) for (const { entry } of changes) this._queryCache.invalidate(entry.collection)
+    this._feed.publish(events)
+  }
+
+  // the BM25 index of a collection (or of the default index)
+  _keywordIndexFor(collection) {
+    return this._derivedIndexFor(this._keywordIndexes, collection, () => new KeywordIndex(this.bm25))
+  }
+
+  _metadataIndexFor(collection) {
+    return this._derivedIndexFor(this._metadataIndexes, collection, () => new MetadataIndex({ fields: this.indexedFields }))
+  }
+
+  // an index over a collection's documents, built from them on first use and then kept current by `_updateIndexes`
+  _derivedIndexFor(indexes, collection, create) {
+    const key = collection || ''
+    if (!indexes.has(key)) {
+      const built = (async () => {
+        const index = create()
+        const db = await this._instanceFor(collection)
+        for (const doc of (await db.filter(() => true)) || []) index.add(doc.id, doc.text, doc.metadata)
+        return index
+      })()
+      indexes.set(key, built)
+      // a failed build is tried again by the next caller
+      built.catch(() => indexes.get(key) === built && indexes.delete(key))
+    }
+    return indexes.get(key)
+  }
+
+  // bring built keyword and metadata indexes up to date with committed change events
+  async _updateIndexes(events) {
+    for (const event of events) {
+      const key = event.collection || ''
+      let doc // looked up once per event, by the first index that needs it
+      for (const indexes of [this._keywordIndexes, this._metadataIndexes]) {
+        const pending = indexes.get(key)
+        if (!pending) continue
+        if (event.type === 'drop') {
+          indexes.delete(key)
+          continue
+        }
+        try {
+          const index = await pending
+          if (event.type === 'clear') index.clear()
+          else if (event.type === 'remove') index.remove(event.id)
+          else {
+            if (doc === undefined) doc = (await (await this._instanceFor(event.collection)).get(event.id)) || null
+            if (doc) index.add(event.id, doc.text, doc.metadata)
+            else index.remove(event.id)
+          }
+        } catch (err) {
+          // out of step now: drop it so it is rebuilt when next needed
+          if (indexes.get(key) === pending) indexes.delete(key)
+        }
+      }
+    }
+  }
+
+  // what identifies a `search` for the result cache: the caller's key (its collection limits change the filter),
+  // the normalized query and the options as sent. Null when the params can't be keyed exactly.
+  _searchCacheKey(params, keyInfo) {
+    if (!Array.isArray(params)) return null
+    const [query, options = {}] = params
+    return stableKey([keyInfo ? keyInfo.id : null, normalizeQuery(query), options])
+  }
+
+  // the length vectors sent to `collection` must have: the `vectorDimensions` option, the embedding model's,
+  // or that of the vectors already stored (learned once). Null while there is nothing to go by.
+  async _expectedDimensions(collection, db) {
+    if (this.vectorDimensions) return this.vectorDimensions
+    const service = db.embeddingService
+    const model = service ? Number(typeof service.getDimensions === 'function' ? service.getDimensions() : service.dimensions) : 0
+    if (model > 0) return model
+    const key = collection || ''
+    if (!this._vectorDimensions.has(key)) {
+      const stored = ((await db.filter(() => true)) || []).find(doc => doc.vector && doc.vector.length)
+      if (!stored) return null
+      this._vectorDimensions.set(key, stored.vector.length)
+    }
+    return this._vectorDimensions.get(key)
+  }
+
+  // `vectors` as [param, vector] pairs; without an expected length they must at least agree with each other
+  async _checkDimensions(collection, db, vectors) {
+    const expected = (await this._expectedDimensions(collection, db)) ?? vectors[0]?.[1]?.length
+    for (const [param, vector] of vectors) {
+      if (!isVector(vector)) throw new ValidationError(`${param} must be a non-empty list of numbers`, { param })
+      if (vector.length !== expected) throw new DimensionMismatchError(param, expected, vector.length)
+    }
+  }
+
+  // ids the metadata indexes allow for `predicate`, or null when it can't be narrowed. `predicate.spec` is
+  // a declarative condition every match meets: the compiled spec itself, or the owner condition of a
+  // collection-restricted key.
+  async _candidatesFor(collection, predicate) {
+    if (this.indexedFields.length === 0 || typeof predicate !== 'function' || !predicate.spec) return null
+    return (await this._metadataIndexFor(collection)).candidates(predicate.spec)
+  }
+
+  // `db.filter(predicate)`, fetching only the indexed candidates when there are some
+  async _filterDocuments(collection, predicate) {
+    const db = await this._instanceFor(collection)
+    const candidates = await this._candidatesFor(collection, predicate)
+    if (!candidates) return db.filter(predicate)
+    const docs = []
+    for (const id of candidates) {
+      const doc = await db.get(id)
+      if (doc && predicate(doc.metadata)) docs.push(doc)
+    }
+    return docs
+  }
+
+  // `predicate` limited to the indexed candidates, for filters that only see metadata: null when nothing
+  // can match, `predicate` itself when the indexes don't narrow it
+  async _narrowFilter(collection, predicate) {
+    const candidates = await this._candidatesFor(collection, predicate)
+    if (!candidates) return predicate
+    if (candidates.size === 0) return null
+    const isCandidate = (await this._metadataIndexFor(collection)).candidateFilter(candidates)
+    return metadata => isCandidate(metadata) && predicate(metadata)
+  }
+
+  // re-apply logged mutations that aren't in a storage snapshot yet (acknowledged before a crash)
+  async _replayWal() {
+    await this._wal.open()
+    const entries = await this._wal.pending()
+    for (const entry of entries) {
+      try {
+        await this._dispatch(entry.method, entry.params, { collection: entry.collection || undefined })
+      } catch (err) {
+        this._log.warn({ err, method: entry.method, lsn: entry.lsn }, 'WAL replay of a logged mutation failed')
+      }
+    }
+    if (entries.length) this._log.info({ count: entries.length }, `replayed ${entries.length} logged mutation(s)`)
+  }
+
+  // Save one index. When its snapshot outlives the process, the WAL entries it now contains are dropped;
+  // without a storage adapter the log stays the only durable copy and is kept whole. The collection's
+  // mutations under way are logged first and new ones wait, so the snapshot holds exactly the entries up
+  // to the checkpoint.
+  async _saveInstance(collection, db) {
+    if (!this._wal || !this._persists(collection)) return db.saveToStorage()
+    const key = collection || ''
+    while (this._saving.has(key)) await this._saving.get(key)
+    let done
+    this._saving.set(key, new Promise(resolve => (done = resolve)))
+    try {
+      await _waitUntil(() => !this._mutating.has(key), Infinity, 5)
+      const lsn = this._wal.lsn
+      const result = await db.saveToStorage()
+      await this._wal.checkpoint(collection, lsn)
+      return result
+    } finally {
+      this._saving.delete(key)
+      done()
+    }
+  }
+
+  // A mutation of `collection` enters its write gate before changing the index and leaves once it is
+  // logged (or failed), waiting while the collection is being saved. An atomic batch's `pending` holds
+  // each gate once, until the batch commits, so its later ops don't wait on a save that waits on it.
+  async _enterMutation(collection, pending = null) {
+    const key = collection || ''
+    if (pending?.held.has(key)) return
+    while (this._saving.has(key)) await this._saving.get(key)
+    this._mutating.set(key, (this._mutating.get(key) || 0) + 1)
+    if (pending) pending.held.add(key)
+  }
+
+  _leaveMutation(collection) {
+    const key = collection || ''
+    const left = (this._mutating.get(key) || 1) - 1
+    if (left) this._mutating.set(key, left)
+    else this._mutating.delete(key)
+  }
+
+  _persists(collection) {
+    if (this.vectoriadbConfig.storageAdapter) return true
+    return !!collection && !!this.collectionStorageAdapter
+  }
+
+  // Register a change feed subscription for `socket`: { subId, collection, filter, events, since, epoch }
+  async _subscribe(socket, { subId, collection = null, filter = null, events, since, epoch } = {}) {
+    if (!subId || typeof subId !== 'string') throw new ValidationError('subId is required', { param: 'subId' })
+    if (collection !== null) assertCollectionName(collection)
+    if (events !== undefined && (!Array.isArray(events) || events.some(type => !EVENT_TYPES.includes(type)))) {
+      throw new ValidationError(`events must be a list of ${EVENT_TYPES.join(', ')}`, { param: 'events' })
+    }
+
+    // a subscription reads documents, so it is authorized and scoped like a `filter` call
+    const keyInfo = this._authorize(socket, 'filter')
+    const params = filter === null ? [undefined] : this._reviveParams([filter])
+    if (params[0] !== undefined && typeof params[0] !== 'function') {
+      throw new ValidationError('filter must be a function or a filter spec', { param: 'filter' })
+    }
+    await this._enforceCollections(keyInfo, 'filter', params, collection)
+
+    return this._feed.subscribe({
+      owner: socket,
+      subId,
+      collection,
+      events,
+      filter: params[0] || null,
+      since,
+      epoch,
+      send: event => socket.emit('change', { subId, ...event }),
+    })
+  }
+
+  // the client's deadline for a request, capped by requestTimeoutMs
+  _timeoutFor(payload) {
+    return Math.min(Number(payload.timeout) > 0 ? Number(payload.timeout) : Infinity, this.requestTimeoutMs)
+  }
+
+  // settle with `work`, unless the deadline passes or the request is cancelled first
+  _runWithDeadline(work, timeoutMs, signal) {
+    let timer = null
+    let onAbort = null
+    const stop = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new ServerTimeoutError(timeoutMs)), timeoutMs)
+      onAbort = () => reject(new RpcError('Cancelled', 'Cancelled'))
+      signal.addEventListener('abort', onAbort, { once: true })
+    })
+    return Promise.race([work, stop]).finally(() => {
+      clearTimeout(timer)
+      signal.removeEventListener('abort', onAbort)
+    })
+  }
+
+  _inflightFor(socket) {
+    let inflight = this._inflight.get(socket)
+    if (!inflight) {
+      inflight = new Map()
+      this._inflight.set(socket, inflight)
+    }
+    return inflight
+  }
+
+  _cancelRequest(socket, id) {
+    this._inflightFor(socket).get(id)?.abort()
+    this._streamsFor(socket).get(id)?.cancel()
+  }
+
+  _streamsFor(socket) {
+    let streams = this._streams.get(socket)
+    if (!streams) {
+      streams = new Map()
+      this._streams.set(socket, streams)
+    }
+    return streams
+  }
+
+  async _streamResult(socket, id, items, requestedChunkSize, took) {
+    const chunkSize = Math.min(Number(requestedChunkSize) || this.streamChunkSize, this.streamChunkSize)
+    const stream = new ResultStream({
+      id,
+      items,
+      chunkSize,
+      window: this.streamWindow,
+      ackTimeoutMs: this.streamAckTimeoutMs,
+      send: msg => {
+        this._metrics.chunkSent()
+        socket.emit('response-chunk', msg)
+      },
+    })
+    const streams = this._streamsFor(socket)
+    streams.set(id, stream)
+    try {
+      const { count, cancelled, timedOut } = await stream.start()
+      if (timedOut) {
+        const error = new RpcError('StreamTimeout', `StreamTimeout: no ack within ${this.streamAckTimeoutMs}ms`).toJSON()
+        return socket.emit('response', { id, result: null, error, took })
+      }
+      // a cancelled stream gets no final response: the client has already stopped listening
+      if (cancelled) return
+      socket.emit('response', { id, result: { streamed: true, count }, error: null, took })
+    } finally {
+      streams.delete(id)
+    }
+  }
+
+  // run a validated call: server-level handlers first, otherwise the (collection's) VectoriaDB instance
+  async _dispatch(method, params, ctx) {
+    if (Object.prototype.hasOwnProperty.call(this._handlers, method)) {
+      return this._handlers[method](params, ctx)
+    }
+    const db = await this._instanceFor(ctx.collection)
+    const fn = db[method]
+    if (typeof fn !== 'function') {
+      throw new MethodNotFoundError(method)
+    }
+    return fn.apply(db, params)
+  }
+
+  // metrics are labelled by method; names that aren't registered share one label so clients can't add series
+  _metricsLabel(method) {
+    return Object.prototype.hasOwnProperty.call(this._rpc, method) ? method : 'unknown'
+  }
+
+  // request, save and streaming stats with the current sockets and per-index document counts
+  async getStats() {
+    return this._metrics.snapshot(await this._gauges())
+  }
+
+  // the same, in the Prometheus text format
+  async metricsText() {
+    return this._metrics.render(await this._gauges())
+  }
+
+  async _gauges() {
+    const documents = {}
+    for (const [name, db] of await this._allInstances()) {
+      if (typeof db.size === 'function') documents[name ?? ''] = await db.size()
+    }
+    return { sockets: this._sockets.size, documents, cache: this._queryCache ? this._queryCache.stats() : null }
+  }
+
+  _instanceFor(collection) {
+    return collection ? this._collections.get(collection) : this._vectoria
+  }
+
+  _serializeError(err) {
+    return toRpcError(err).toJSON()
+  }
+
+  // Convert serialized filters sent by the client back into predicates:
+  // - declarative specs ({ __isFilterSpec: true, spec }) are compiled by filter-dsl.js
+  // - function strings ({ __isFnString: true, fn }) are evaluated with `new Function`,
+  //   unless the server was created with `allowFunctionFilters: false`
+  // and encoded vectors (a param, or the `vector` of documents in an array param) back into Float32Arrays
+  _reviveParams(params) {
+    return params.map((p, i) => {
+      if (!p || typeof p !== 'object') return p
+      if (isEncodedVector(p)) return decodeVector(p, `params[${i}]`)
+      if (Array.isArray(p)) {
+        return p.map((doc, j) => (isEncodedVector(doc?.vector) ? { ...doc, vector: decodeVector(doc.vector, `params[${i}][${j}].vector`) } : doc))
+      }
+
+      // Top-level serialized filter (client forwarded a filter as a param, e.g. `filter(fn)`)
+      if (isSerializedFilterSpec(p)) return compileFilter(p.spec)
+      if (p.__isFnString && typeof p.fn === 'string') return this._reviveFunction(p.fn)
+
+      // Support a serialized `filter` nested inside an `options` object:
+      // - { filter: { __isFilterSpec: true, spec: { ... } } } or a plain spec object
+      // - { filter: { __isFnString: true, fn: 'function(m) { ... }' } }
+      // - or `filter` as a raw function string
+      let usedSpec = false
+      if (isSerializedFilterSpec(p.filter)) {
+        p.filter = compileFilter(p.filter.spec)
+        usedSpec = true
+      } else if (p.filter && typeof p.filter === 'object' && p.filter.__isFnString && typeof p.filter.fn === 'string') {
+        p.filter = this._reviveFunction(p.filter.fn)
+      } else if (typeof p.filter === 'string' && p.filter.trim().startsWith('function')) {
+        p.filter = this._reviveFunction(p.filter)
+      } else if (isPlainObject(p.filter)) {
+        p.filter = compileFilter(p.filter)
+        usedSpec = true
+      }
+
+      // declarative specs carry their values inline and don't take a context
+      if (usedSpec) delete p.filterContext
+
+      // If a `filterContext` was provided alongside a deserialized `filter`,
+      // wrap the filter so it will be invoked as `filter(metadata, filterContext)`
+      if (p.filter && typeof p.filter === 'function' && Object.prototype.hasOwnProperty.call(p, 'filterContext')) {
+        const __ctx = p.filterContext
+        const __origFilter = p.filter
+        p.filter = function (m) {
+          try {
+            return __origFilter.call(this, m, __ctx)
+          } catch (e) {
+            return false
+          }
+        }
+        // remove filterContext so the underlying VectoriaDB doesn't receive unexpected fields
+        delete p.filterContext
+      }
+      return p
+    })
+  }
+
+  _reviveFunction(source) {
+    if (!this.allowFunctionFilters) {
+      throw new ForbiddenError('this server only accepts declarative filter specs', undefined, 'FunctionFiltersDisabled')
+    }
+    // create function from string - executed in server process (trusted usage only)
+    // eslint-disable-next-line no-new-func
+    return new Function('return (' + source + ')')()
+  }
+
+  // --- API key scopes and collection restrictions ---
+  _authorize(socket, method) {
+    if (!this._apiKeys.enabled) return null
+    const keyInfo = socket.data?.apiKey
+    if (!keyInfo || isExpired(keyInfo)) throw new UnauthorizedError()
+    const scope = requiredScope(method, this._isMutationMethod(method))
+    if (!hasScope(keyInfo, scope)) {
+      throw new ForbiddenError(`API key "${keyInfo.id}" lacks the "${scope}" scope required by ${method}`)
+    }
+    return keyInfo
+  }
+
+  // Restrict a call to the key's collections. Named collections are all-or-nothing; on the default index
+  // the key is limited to documents whose `metadata.owner` is one of its collections: filters are narrowed
+  // in place and id-based calls are checked against the stored document. May return a replacement call.
+  async _enforceCollections(keyInfo, method, params, collection) {
+    if (!keyInfo || !keyInfo.collections) return null
+    const allowed = keyInfo.collections
+    const checkCollection = name => {
+      if (!allowed.has(name)) throw new ForbiddenError(`collection "${name}" is not allowed for this key`)
+    }
+
+    if (method === 'listCollections') return null
+    if (method === 'createCollection' || method === 'dropCollection') {
+      checkCollection(params[0])
+      return null
+    }
+    if (collection) {
+      checkCollection(collection)
+      return null
+    }
+
+    // the owner condition is also a spec, so it narrows through an index on `owner`
+    const ownerSpec = { owner: { $in: [...allowed] } }
+    const owns = Object.assign(m => !!m && allowed.has(m.owner), { spec: ownerSpec })
+    const scoped = filter =>
+      typeof filter === 'function'
+        ? Object.assign(m => owns(m) && filter(m), { spec: filter.spec ? { $and: [ownerSpec, filter.spec] } : ownerSpec })
+        : owns
+
+    const checkOwner = metadata => {
+      if (!owns(metadata)) throw new ForbiddenError(`metadata.owner must be one of the key's collections`)
+    }
+    const checkExisting = async docId => {
+      const doc = await this._vectoria.get(docId)
+      if (doc && !owns(doc.metadata)) throw new ForbiddenError(`document "${docId}" belongs to another collection`)
+    }
+    const checkMetadataUpdate = metadata => {
+      if (metadata && Object.prototype.hasOwnProperty.call(metadata, 'owner')) checkOwner(metadata)
+    }
+    const checkChunks = async parentId => {
+      for (const chunk of await chunksOf(this._vectoria, parentId)) {
+        if (!owns(chunk.metadata)) throw new ForbiddenError(`document "${parentId}" belongs to another collection`)
+      }
+    }
+
+    switch (method) {
+      case 'initialize':
+        return null
+      case 'search': {
+        if (!params[1] || typeof params[1] !== 'object') params[1] = {}
+        params[1].filter = scoped(params[1].filter)
+        return null
+      }
+      case 'filter':
+        params[0] = scoped(params[0])
+        return null
+      case 'size':
+        return async () => (await this._filterDocuments(null, owns)).length
+      case 'get':
+      case 'has':
+      case 'remove':
+        await checkExisting(params[0])
+        return null
+      case 'removeMany':
+        for (const docId of params[0] || []) await checkExisting(docId)
+        return null
+      case 'add':
+      case 'addVector':
+        checkOwner(params[2])
+        await checkExisting(params[0])
+        return null
+      case 'addMany':
+      case 'addManyVectors':
+        for (const doc of params[0] || []) {
+          checkOwner(doc?.metadata)
+          await checkExisting(doc?.id)
+        }
+        return null
+      case 'update':
+        await checkExisting(params[0])
+        checkMetadataUpdate(params[1]?.metadata)
+        return null
+      case 'updateMetadata':
+        await checkExisting(params[0])
+        checkMetadataUpdate(params[1])
+        return null
+      case 'updateMany':
+        for (const u of params[0] || []) {
+          await checkExisting(u?.id)
+          checkMetadataUpdate(u?.metadata)
+        }
+        return null
+      case 'ingestDocument':
+        checkOwner(params[2])
+        await checkChunks(params[0])
+        return null
+      case 'removeDocument':
+        await checkChunks(params[0])
+        return null
+      default:
+        throw new ForbiddenError(`${method} is not available to collection-restricted keys`)
     }
   }
 
   // --- Auto-save on mutation bursts (configurable) ---
   _isMutationMethod(method) {
-    return this._mutationMethods.has(method)
+    return !!(Object.prototype.hasOwnProperty.call(this._rpc, method) && this._rpc[method].mutates)
   }
 
   _recordMutation() {
@@ -254,7 +1306,7 @@ export default class VectoriaDBServer {
     }
     this._inactivityTimer = setTimeout(() => {
       // fire-and-forget async
-      this._onInactivityTimeout().catch(err => console.warn('Inactivity flush error:', err.message))
+      this._onInactivityTimeout().catch(err => this._log.warn({ err }, 'inactivity flush failed'))
     }, this.mutationInactivityMs)
     if (this._inactivityTimer.unref) this._inactivityTimer.unref()
   }
@@ -285,6 +1337,94 @@ export default class VectoriaDBServer {
     this._lastBurstAt = 0
   }
 
+  // --- collections ---
+  async _createCollectionInstance(name) {
+    // never share the default index's storage adapter with a collection
+    const { storageAdapter: baseAdapter, ...config } = this.vectoriadbConfig
+    let storageAdapter = null
+    if (this.collectionStorageAdapter) {
+      storageAdapter = await this.collectionStorageAdapter(name)
+    } else if (baseAdapter) {
+      storageAdapter = new FileStorageAdapter({ cacheDir: this.collectionsDir, namespace: name })
+    }
+    const db = new VectoriaDB(storageAdapter ? { ...config, storageAdapter } : config)
+    if (typeof db.initialize === 'function') {
+      await db.initialize()
+    }
+    return db
+  }
+
+  async _assertCollectionExists(name) {
+    if (!(await this._collections.exists(name))) {
+      throw new RpcError('NotFound', `NotFound: collection "${name}" does not exist`, { collection: name })
+    }
+  }
+
+  // every existing collection, including those persisted before a restart (opened here to report their size)
+  async _listCollections(keyInfo) {
+    const out = []
+    for (const name of await this._collections.known()) {
+      if (keyInfo?.collections && !keyInfo.collections.has(name)) continue
+      let db
+      try {
+        db = await this._collections.get(name)
+      } catch (e) {
+        continue // one that can't be opened isn't listed
+      }
+      out.push({ name, size: typeof db.size === 'function' ? await db.size() : null })
+    }
+    return out
+  }
+
+  // --- backups (see snapshot.js) ---
+
+  // write a backup of the default index and every collection now; returns { name, documents }
+  async backup() {
+    return this._backups.create()
+  }
+
+  // backup names, oldest first
+  async listBackups() {
+    return this._backups.list()
+  }
+
+  // Replace the default index and the backed-up collections with backup `name` (default: the newest).
+  // Restored data is logged and announced like an `importSnapshot` call.
+  async restoreBackup(name = null) {
+    const { name: restored, contents } = await this._backups.read(name)
+    let documents = 0
+    for (const [collection, docs] of contents) {
+      const db = await this._instanceFor(collection)
+      const params = [docs, { mode: 'replace' }]
+      await this._enterMutation(collection)
+      try {
+        await importDocuments(db, docs, { mode: 'replace' })
+        const events = await changesFor(db, 'importSnapshot', params, collection, null)
+        await this._commitChanges([{ entry: { collection, method: 'importSnapshot', params }, events }])
+      } finally {
+        this._leaveMutation(collection)
+      }
+      documents += docs.length
+    }
+    return { name: restored, documents }
+  }
+
+  // The default index plus every collection, as [collection name (null for the default index), instance].
+  // Collections persisted before a restart are opened too, unless `openOnly` (saving has nothing to write
+  // for them); one that can't be opened is logged and left out.
+  async _allInstances({ openOnly = false } = {}) {
+    const out = this._vectoria ? [[null, this._vectoria]] : []
+    if (openOnly) return out.concat(await this._collections.entries())
+    for (const name of await this._collections.known()) {
+      try {
+        out.push([name, await this._collections.get(name)])
+      } catch (err) {
+        this._log.warn({ err, collection: name }, 'collection could not be opened')
+      }
+    }
+    return out
+  }
+
   async _saveToStorage(reason = 'manual') {
     if (!this._vectoria || typeof this._vectoria.saveToStorage !== 'function') return
     const now = Date.now()
@@ -292,23 +1432,56 @@ export default class VectoriaDBServer {
     if (now - this._lastSaveAt < this.minSaveIntervalMs) return
     this._savingInProgress = true
     try {
-      await this._vectoria.saveToStorage()
+      for (const [name, db] of await this._allInstances({ openOnly: true })) {
+        if (typeof db.saveToStorage === 'function') await this._saveInstance(name, db)
+      }
       this._lastSaveAt = Date.now()
-      console.log(`[VectoriaDBServer] auto-saved storage (${reason})`)
+      this._metrics.saved(this._lastSaveAt - now)
+      this._log.info({ reason, took: this._lastSaveAt - now }, `auto-saved storage (${reason})`)
     } catch (err) {
-      console.warn('[VectoriaDBServer] auto-save failed:', err.message)
+      this._metrics.saved(Date.now() - now, false)
+      this._log.warn({ err, reason }, 'auto-save failed')
     } finally {
       this._savingInProgress = false
     }
   }
 
-  async close() {
-    if (!this._started) return
-    // stop any pending auto-save timer
+  // Graceful shutdown: stop taking new calls and tell clients (`server-shutting-down`) so they hold on to new
+  // ones, let in-flight calls finish for up to `drainTimeoutMs` and cancel the rest, then let a running
+  // auto-save finish, save every index and close. Resolves with a report of what happened.
+  async close({ drainTimeoutMs = this.drainTimeoutMs } = {}) {
+    if (!this._started) return null
+    if (!this._closing) this._closing = this._shutdown(drainTimeoutMs)
+    return this._closing
+  }
+
+  async _shutdown(drainTimeoutMs) {
+    const start = Date.now()
+    this._draining = true
+    clearInterval(this._backupTimer)
+    this._backupTimer = null
+
+    // stop any pending auto-save timer; the final save below covers it
     if (this._inactivityTimer) {
       clearTimeout(this._inactivityTimer)
       this._inactivityTimer = null
     }
+    for (const s of this._sockets) s.emit('server-shutting-down', { drainTimeoutMs })
+    const inFlight = this._metrics.inFlight
+    const drained = await _waitUntil(() => this._metrics.inFlight === 0, drainTimeoutMs)
+
+    // out of time: cancel what's left (HTTP calls end when their connections are closed)
+    let cancelled = 0
+    if (!drained) {
+      for (const socket of this._sockets) {
+        for (const requestId of new Set([...this._inflightFor(socket).keys(), ...this._streamsFor(socket).keys()])) {
+          this._cancelRequest(socket, requestId)
+          cancelled++
+        }
+      }
+      this._http?.closeAllConnections?.()
+    }
+
     // disconnect sockets
     for (const s of Array.from(this._sockets)) {
       try {
@@ -327,15 +1500,54 @@ export default class VectoriaDBServer {
       await new Promise(resolve => this._http.close(resolve))
     }
 
-    // attempt to persist state if available
-    try {
-      if (this._vectoria && typeof this._vectoria.saveToStorage === 'function') {
-        await this._vectoria.saveToStorage()
+    // a running auto-save finishes first, then every index is saved once more
+    await _waitUntil(() => !this._savingInProgress, Infinity)
+    const saved = []
+    const saveErrors = []
+    for (const [name, db] of await this._allInstances({ openOnly: true })) {
+      if (typeof db.saveToStorage !== 'function') continue
+      try {
+        await this._saveInstance(name, db)
+        saved.push(name ?? '')
+      } catch (err) {
+        saveErrors.push({ collection: name ?? '', message: err.message })
+        this._log.warn({ err, collection: name }, 'saving state during shutdown failed')
       }
-    } catch (err) {
-      console.warn('Error saving VectoriaDB state during shutdown:', err.message)
     }
+    if (this._wal) await this._wal.close()
 
+    for (const [signal, onSignal] of this._signalHandlers) process.off(signal, onSignal)
+    this._signalHandlers.clear()
     this._started = false
+    this._draining = false
+    this._closing = null
+
+    const report = { drained, inFlight, cancelled, saved, saveErrors, took: Date.now() - start }
+    this._log.info(report, 'server closed')
+    return report
+  }
+
+  // `handleSignals`: drain and exit; a second signal while draining exits at once
+  async _closeOnSignal(signal) {
+    this._log.info({ signal }, `${signal} received, shutting down`)
+    process.once(signal, () => process.exit(1))
+    let code = 1
+    try {
+      const report = await this.close()
+      code = report && report.drained && report.saveErrors.length === 0 ? 0 : 1
+    } catch (err) {
+      this._log.error({ err }, 'shutdown failed')
+    }
+    process.exit(code)
+  }
+}
+
+// poll `condition` until it holds (true) or `timeoutMs` passes (false)
+async function _waitUntil(condition, timeoutMs, intervalMs = 20) {
+  const deadline = Date.now() + timeoutMs
+  while (!condition()) {
+    if (Date.now() >= deadline) return false
+    await new Promise(resolve => setTimeout(resolve, intervalMs))
   }
+  return true
 }
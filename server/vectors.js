@@ -0,0 +1,62 @@
+import { RpcError, ValidationError } from './errors.js'
+
+// Precomputed vectors on the wire. Clients send them as `{ __isVector: true, dtype: 'float32', data }`:
+// `data` is binary (an ArrayBuffer / Buffer, sent as a Socket.IO attachment) or base64 text where the
+// transport is JSON (the REST API, a stored offline queue). Plain number arrays are accepted as well.
+// The server decodes them all to Float32Array before dispatch (see `_reviveParams`).
+
+// a vector whose length isn't the index's dimensions: `details` is { param, expected, received }
+export class DimensionMismatchError extends RpcError {
+  constructor(param, expected, received) {
+    super('DimensionMismatch', `DimensionMismatch: ${param} has ${received} dimensions, expected ${expected}`, { param, expected, received })
+  }
+}
+
+export function isEncodedVector(v) {
+  return !!(v && typeof v === 'object' && v.__isVector === true && v.data !== undefined)
+}
+
+export function decodeVector(v, param = 'vector') {
+  if (v.dtype !== undefined && v.dtype !== 'float32') {
+    throw new ValidationError(`${param} must be float32, got ${v.dtype}`, { param })
+  }
+  let bytes
+  if (typeof v.data === 'string') bytes = Buffer.from(v.data, 'base64')
+  else if (v.data instanceof ArrayBuffer) bytes = new Uint8Array(v.data)
+  else if (ArrayBuffer.isView(v.data)) bytes = new Uint8Array(v.data.buffer, v.data.byteOffset, v.data.byteLength)
+  else throw new ValidationError(`${param} data must be binary or base64`, { param })
+  if (bytes.byteLength % 4 !== 0) throw new ValidationError(`${param} is not a whole number of float32 values`, { param })
+  // copied: the received bytes needn't be 4-byte aligned
+  return new Float32Array(Uint8Array.from(bytes).buffer)
+}
+
+// a vector param as Float32Array (number arrays too); anything else is returned unchanged for the schema to reject
+export function toFloat32(v) {
+  if (v instanceof Float32Array) return v
+  if (ArrayBuffer.isView(v) && !(v instanceof DataView)) return Float32Array.from(v)
+  if (Array.isArray(v) && v.every(x => typeof x === 'number')) return Float32Array.from(v)
+  return v
+}
+
+export function isVector(v) {
+  return (v instanceof Float32Array || (Array.isArray(v) && v.every(x => typeof x === 'number'))) && v.length > 0
+}
+
+// JSON.stringify replacer keeping vectors as number arrays (typed arrays otherwise become objects)
+export function plainVectors(key, value) {
+  return ArrayBuffer.isView(value) && !(value instanceof DataView) && !Buffer.isBuffer(value) ? Array.from(value) : value
+}
+
+// bytes a call's params take on the wire: JSON, with binary parts counted at their length
+export function payloadBytes(params) {
+  let binary = 0
+  const json = JSON.stringify(params ?? [], function (key, value) {
+    const raw = this[key]
+    if (raw instanceof ArrayBuffer || ArrayBuffer.isView(raw)) {
+      binary += raw.byteLength
+      return null
+    }
+    return value
+  })
+  return Buffer.byteLength(json ?? '') + binary
+}
@@ -0,0 +1,141 @@
+import fs from 'fs/promises'
+import path from 'path'
+import { plainVectors } from './vectors.js'
+
+// Append-only mutation log (write-ahead log) for crash recovery.
+//
+// Every mutation is appended as one NDJSON line `{ lsn, collection, method, params, ts }` before the
+// client gets its response. `lsn` (log sequence number) increases by one per entry. When a collection's
+// index is saved, `checkpoint(collection, lsn)` records that its entries up to `lsn` are in the snapshot
+// and drops them from the log. On startup `pending()` returns the entries that aren't in a snapshot yet,
+// for the server to replay in order.
+//
+// fsync policy: 'always' syncs after every append, 'interval' every `fsyncIntervalMs`, 'never' leaves it
+// to the OS. The default collection is keyed as '' in the checkpoint file.
+
+const FSYNC_POLICIES = ['always', 'interval', 'never']
+
+const _key = collection => collection ?? ''
+
+export default class WriteAheadLog {
+  constructor({ dir = './.cache/vectoriadb-wal', fsync = 'interval', fsyncIntervalMs = 1000 } = {}) {
+    if (!FSYNC_POLICIES.includes(fsync)) throw new TypeError(`fsync must be one of ${FSYNC_POLICIES.join(', ')}`)
+    this.dir = dir
+    this.fsync = fsync
+    this.fsyncIntervalMs = fsyncIntervalMs
+    this.lsn = 0
+    this._logPath = path.join(dir, 'mutations.log')
+    this._checkpointPath = path.join(dir, 'checkpoint.json')
+    this._checkpoints = {} // collection key -> highest lsn contained in its snapshot
+    this._file = null
+    this._dirty = false
+    this._syncTimer = null
+    // appends, checkpoints and close run one at a time, in call order
+    this._queue = Promise.resolve()
+  }
+
+  async open() {
+    await fs.mkdir(this.dir, { recursive: true })
+    try {
+      this._checkpoints = JSON.parse(await fs.readFile(this._checkpointPath, 'utf8')) || {}
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e
+    }
+    const entries = await this._readAll()
+    this.lsn = [...entries.map(e => e.lsn), ...Object.values(this._checkpoints)].reduce((max, lsn) => Math.max(max, lsn), 0)
+    this._file = await fs.open(this._logPath, 'a')
+    if (this.fsync === 'interval') {
+      this._syncTimer = setInterval(() => this._run(() => this._syncIfDirty()).catch(() => {}), this.fsyncIntervalMs)
+      if (this._syncTimer.unref) this._syncTimer.unref()
+    }
+    return this
+  }
+
+  // entries not covered by a checkpoint, oldest first
+  async pending() {
+    const entries = await this._readAll()
+    return entries.filter(e => e.lsn > (this._checkpoints[_key(e.collection)] || 0))
+  }
+
+  append({ collection = null, method, params }) {
+    return this._run(async () => {
+      const entry = { lsn: ++this.lsn, collection, method, params, ts: Date.now() }
+      // vectors (`addVector`, `addManyVectors`) are logged as number arrays
+      await this._file.write(JSON.stringify(entry, plainVectors) + '\n')
+      this._dirty = true
+      if (this.fsync === 'always') await this._syncIfDirty()
+      return entry.lsn
+    })
+  }
+
+  // `collection`'s snapshot now holds everything up to `lsn`: remember that and compact the log
+  checkpoint(collection, lsn = this.lsn) {
+    return this._run(async () => {
+      const key = _key(collection)
+      if ((this._checkpoints[key] || 0) >= lsn) return
+      this._checkpoints[key] = lsn
+      await this._writeAtomic(this._checkpointPath, JSON.stringify(this._checkpoints))
+
+      const keep = (await this._readAll()).filter(e => e.lsn > (this._checkpoints[_key(e.collection)] || 0))
+      await this._file.close()
+      await this._writeAtomic(this._logPath, keep.map(e => JSON.stringify(e) + '\n').join(''))
+      this._file = await fs.open(this._logPath, 'a')
+      this._dirty = false
+    })
+  }
+
+  close() {
+    clearInterval(this._syncTimer)
+    this._syncTimer = null
+    return this._run(async () => {
+      if (!this._file) return
+      await this._syncIfDirty()
+      await this._file.close()
+      this._file = null
+    })
+  }
+
+  _run(task) {
+    const result = this._queue.then(task)
+    this._queue = result.catch(() => {})
+    return result
+  }
+
+  async _syncIfDirty() {
+    if (!this._dirty || !this._file) return
+    this._dirty = false
+    await this._file.sync()
+  }
+
+  async _readAll() {
+    let text
+    try {
+      text = await fs.readFile(this._logPath, 'utf8')
+    } catch (e) {
+      if (e.code === 'ENOENT') return []
+      throw e
+    }
+    const entries = []
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue
+      try {
+        entries.push(JSON.parse(line))
+      } catch (e) {
+        // a torn final line from a crash mid-append: that mutation was never acknowledged
+      }
+    }
+    return entries
+  }
+
+  async _writeAtomic(file, contents) {
+    const tmp = `${file}.tmp`
+    const handle = await fs.open(tmp, 'w')
+    try {
+      await handle.write(contents)
+      if (this.fsync !== 'never') await handle.sync()
+    } finally {
+      await handle.close()
+    }
+    await fs.rename(tmp, file)
+  }
+}